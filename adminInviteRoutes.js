@@ -0,0 +1,236 @@
+const express = require('express');
+const { doc, getDoc } = require('firebase/firestore');
+const { db } = require('./firebaseConfig');
+const { authenticateFirebaseToken } = require('./middleware');
+const { verifyAndCheckAdmin } = require('./verifyAndCheckAdmin');
+const { authorize, isKnownRole, canGrantRole } = require('./rbac');
+const { recordAudit } = require('./auditLog');
+const { createInvite, listInvites, revokeInvite, acceptInvite } = require('./adminInvites');
+const router = express.Router();
+
+const INVITE_STATUSES = ['pending', 'accepted', 'revoked', 'expired'];
+
+/**
+ * @swagger
+ * /api/admin/invites:
+ *   post:
+ *     summary: Invite a new admin
+ *     description: Emails a single-use invite link that expires after 7 days. Any earlier pending invite for the same email is revoked.
+ *     tags: [Admin Access]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 example: "support"
+ *     responses:
+ *       201:
+ *         description: Invite created and emailed
+ *       400:
+ *         description: Invalid email or unknown role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Inviting with a full-access role needs full access
+ */
+router.post('/api/admin/invites', verifyAndCheckAdmin, authorize('admins:invite'), async (req, res) => {
+  try {
+    const { email, role } = req.body || {};
+    if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+    if (!role || !(await isKnownRole(role))) {
+      return res.status(400).json({ error: 'A valid role is required' });
+    }
+    if (!(await canGrantRole(req.admin, role))) {
+      return res.status(403).json({ error: 'Forbidden: Only a full-access admin can invite with this role' });
+    }
+
+    const invite = await createInvite({ email, role, invitedBy: req.user.uid });
+    await recordAudit(req, {
+      action: 'admin.invite.create',
+      targetType: 'adminInvite',
+      targetId: invite.id,
+      after: { email: invite.email, role: invite.role, status: invite.status, expiresAt: invite.expiresAt },
+      metadata: { supersededInvites: invite.supersededInvites },
+    });
+    res.status(201).json({ status: 'success', message: `Invite sent to ${invite.email}`, invite });
+  } catch (error) {
+    console.error('Create admin invite error:', error);
+    res.status(500).json({ error: 'Failed to create invite', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/invites:
+ *   get:
+ *     summary: List admin invites
+ *     tags: [Admin Access]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, revoked, expired]
+ *     responses:
+ *       200:
+ *         description: Invites, newest first
+ */
+router.get('/api/admin/invites', verifyAndCheckAdmin, authorize('admins:invite'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !INVITE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status. Use one of: ${INVITE_STATUSES.join(', ')}` });
+    }
+    res.json({ invites: await listInvites({ status }) });
+  } catch (error) {
+    console.error('List admin invites error:', error);
+    res.status(500).json({ error: 'Failed to fetch invites', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/invites/{inviteId}:
+ *   delete:
+ *     summary: Revoke a pending admin invite
+ *     tags: [Admin Access]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: inviteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invite revoked
+ *       400:
+ *         description: Invite is no longer pending
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Invite not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/api/admin/invites/:inviteId', verifyAndCheckAdmin, authorize('admins:invite'), async (req, res) => {
+  try {
+    const result = await revokeInvite(req.params.inviteId, { actorUid: req.user.uid });
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    await recordAudit(req, {
+      action: 'admin.invite.revoke',
+      targetType: 'adminInvite',
+      targetId: req.params.inviteId,
+      before: { status: result.before.status },
+      after: { status: result.after.status },
+      metadata: { email: result.before.email, role: result.before.role },
+    });
+    res.json({ status: 'success', message: 'Invite revoked' });
+  } catch (error) {
+    console.error('Revoke admin invite error:', error);
+    res.status(500).json({ error: 'Failed to revoke invite', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/invites/accept:
+ *   post:
+ *     summary: Accept an admin invite
+ *     description: The signed-in user's email must match the invited address. Creates their `admins` record with the invited role.
+ *     tags: [Admin Access]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token from the invite link
+ *     responses:
+ *       200:
+ *         description: Invite accepted; the user is now an admin
+ *       403:
+ *         description: Email does not match the invite or is not verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Invite not found
+ *       409:
+ *         description: User is already an admin
+ *       410:
+ *         description: Invite already used, revoked or expired
+ */
+router.post('/api/admin/invites/accept', authenticateFirebaseToken, async (req, res) => {
+  try {
+    const { token } = req.body || {};
+    if (!token) {
+      return res.status(400).json({ error: 'Invite token is required' });
+    }
+    if (req.user.email_verified === false) {
+      return res.status(403).json({ error: 'Verify your email address before accepting the invite' });
+    }
+
+    let email = req.user.email;
+    if (!email) {
+      const userSnap = await getDoc(doc(db, 'users', req.user.uid));
+      email = userSnap.exists() ? userSnap.data().email : null;
+    }
+    if (!email) {
+      return res.status(403).json({ error: 'Your account has no email address to match the invite' });
+    }
+
+    const result = await acceptInvite(token, { uid: req.user.uid, email });
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await recordAudit(req, {
+      action: 'admin.invite.accept',
+      targetType: 'admin',
+      targetId: req.user.uid,
+      before: result.before,
+      after: result.admin,
+      metadata: { inviteId: result.invite.id, invitedBy: result.invite.invitedBy },
+    });
+    res.json({ status: 'success', message: `You now have ${result.admin.role} admin access`, role: result.admin.role });
+  } catch (error) {
+    console.error('Accept admin invite error:', error);
+    res.status(500).json({ error: 'Failed to accept invite', details: error.message });
+  }
+});
+
+module.exports = router;
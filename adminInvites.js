@@ -0,0 +1,161 @@
+// Admin invitations: a super admin invites an email address with a role, the invitee signs in with that
+// address and accepts, and the `admins/{uid}` record is created for them.
+// Invites live in `adminInvites/{inviteId}`; only a SHA-256 hash of the emailed token is stored, and each
+// invite can be accepted once before it expires.
+const crypto = require('crypto');
+const {
+  collection, doc, getDoc, getDocs, query, where, setDoc, updateDoc, runTransaction, serverTimestamp, Timestamp,
+} = require('firebase/firestore');
+const { db } = require('./firebaseConfig');
+const { normalizeEmail } = require('./rbac');
+const { sendAdminInviteEmail } = require('./emailService');
+
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const hashInviteToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Pending invites past their expiry are reported as expired without rewriting them
+function inviteStatus(invite) {
+  if (invite.status === 'pending' && invite.expiresAt?.toDate?.() <= new Date()) return 'expired';
+  return invite.status;
+}
+
+const toIso = (value) => value?.toDate?.().toISOString() || null;
+
+const serializeInvite = (id, invite) => ({
+  id,
+  email: invite.email,
+  role: invite.role,
+  status: inviteStatus(invite),
+  invitedBy: invite.invitedBy,
+  createdAt: toIso(invite.createdAt),
+  expiresAt: toIso(invite.expiresAt),
+  acceptedBy: invite.acceptedBy || null,
+  acceptedAt: toIso(invite.acceptedAt),
+  revokedBy: invite.revokedBy || null,
+  revokedAt: toIso(invite.revokedAt),
+});
+
+/**
+ * Creates and emails an invite. Earlier pending invites for the same email are revoked, so only the
+ * newest link works. Returns the serialized invite.
+ */
+async function createInvite({ email, role, invitedBy }) {
+  const normalized = normalizeEmail(email);
+  const pendingSnap = await getDocs(query(
+    collection(db, 'adminInvites'),
+    where('email', '==', normalized),
+    where('status', '==', 'pending')
+  ));
+  await Promise.all(pendingSnap.docs.map(pending => updateDoc(pending.ref, {
+    status: 'revoked',
+    revokedBy: invitedBy,
+    revokedAt: serverTimestamp(),
+    revokedReason: 'superseded',
+  })));
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + INVITE_TTL_MS);
+  const inviteRef = doc(collection(db, 'adminInvites'));
+  const invite = {
+    email: normalized,
+    role,
+    tokenHash: hashInviteToken(token),
+    status: 'pending',
+    invitedBy,
+    createdAt: Timestamp.now(),
+    expiresAt: Timestamp.fromDate(expiresAt),
+  };
+  await setDoc(inviteRef, invite);
+
+  try {
+    await sendAdminInviteEmail({ email: normalized, inviteToken: token, role, expiresAt });
+  } catch (error) {
+    // An invite nobody received should not stay usable
+    await updateDoc(inviteRef, { status: 'revoked', revokedAt: serverTimestamp(), revokedReason: 'email_failed' });
+    throw error;
+  }
+  return { ...serializeInvite(inviteRef.id, invite), supersededInvites: pendingSnap.docs.map(pending => pending.id) };
+}
+
+async function listInvites({ status } = {}) {
+  const snap = await getDocs(collection(db, 'adminInvites'));
+  return snap.docs
+    .map(inviteDoc => serializeInvite(inviteDoc.id, inviteDoc.data()))
+    .filter(invite => !status || invite.status === status)
+    .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+}
+
+/**
+ * Revokes a pending invite. Returns { ok: true, before, after } or { ok: false, status, error }.
+ */
+async function revokeInvite(inviteId, { actorUid }) {
+  const inviteRef = doc(db, 'adminInvites', inviteId);
+  const inviteSnap = await getDoc(inviteRef);
+  if (!inviteSnap.exists()) {
+    return { ok: false, status: 404, error: 'Invite not found' };
+  }
+  const before = serializeInvite(inviteId, inviteSnap.data());
+  if (before.status !== 'pending') {
+    return { ok: false, status: 400, error: `Invite is already ${before.status}` };
+  }
+  await updateDoc(inviteRef, { status: 'revoked', revokedBy: actorUid, revokedAt: serverTimestamp() });
+  return { ok: true, before, after: { ...before, status: 'revoked', revokedBy: actorUid } };
+}
+
+/**
+ * Accepts an invite for the signed-in user `uid` whose account email is `email`. The email must match the
+ * invited address. Creates `admins/{uid}` with the invited role.
+ * Returns { ok: true, invite, admin } or { ok: false, status, error }.
+ */
+async function acceptInvite(token, { uid, email }) {
+  const inviteSnap = await getDocs(query(collection(db, 'adminInvites'), where('tokenHash', '==', hashInviteToken(token))));
+  if (inviteSnap.empty) {
+    return { ok: false, status: 404, error: 'Invite not found' };
+  }
+  const inviteRef = inviteSnap.docs[0].ref;
+  const adminRef = doc(db, 'admins', uid);
+
+  return runTransaction(db, async (tx) => {
+    const current = await tx.get(inviteRef);
+    const invite = current.data();
+    const status = inviteStatus(invite);
+    if (status !== 'pending') {
+      return { ok: false, status: 410, error: `Invite is ${status}` };
+    }
+    if (normalizeEmail(email) !== invite.email) {
+      return { ok: false, status: 403, error: 'This invite was sent to a different email address' };
+    }
+    const existingAdmin = await tx.get(adminRef);
+    if (existingAdmin.exists() && existingAdmin.data().active !== false) {
+      return { ok: false, status: 409, error: 'You already have admin access' };
+    }
+
+    const admin = {
+      email: invite.email,
+      role: invite.role,
+      active: true,
+      invitedBy: invite.invitedBy,
+      inviteId: inviteRef.id,
+      updatedBy: uid,
+      updatedAt: serverTimestamp(),
+    };
+    if (!existingAdmin.exists()) admin.createdAt = serverTimestamp();
+    tx.set(adminRef, admin, { merge: true });
+    tx.update(inviteRef, { status: 'accepted', acceptedBy: uid, acceptedAt: serverTimestamp() });
+    return {
+      ok: true,
+      invite: { ...serializeInvite(inviteRef.id, invite), status: 'accepted', acceptedBy: uid },
+      before: existingAdmin.exists() ? existingAdmin.data() : null,
+      admin: { email: admin.email, role: admin.role, active: true },
+    };
+  });
+}
+
+module.exports = {
+  INVITE_TTL_MS,
+  createInvite,
+  listInvites,
+  revokeInvite,
+  acceptInvite,
+};
@@ -0,0 +1,88 @@
+// Append-only audit trail for admin mutations.
+// Entries are only ever created here (addDoc); nothing in the API updates or deletes them.
+const { collection, addDoc, serverTimestamp, Timestamp, FieldValue } = require('firebase/firestore');
+const { db } = require('./firebaseConfig');
+const { getClientIp } = require('./middleware');
+
+const AUDIT_COLLECTION = 'auditLog';
+
+// Fields that change on every write and only add noise to a diff
+const IGNORED_DIFF_FIELDS = ['updatedAt'];
+
+// Converts a value into something Firestore can store and a reviewer can read:
+// Timestamps/Dates become ISO strings, write sentinels (serverTimestamp) and undefined are dropped.
+function toAuditValue(value) {
+  if (value === undefined || value instanceof FieldValue) return undefined;
+  if (value === null) return null;
+  if (value instanceof Timestamp) return value.toDate().toISOString();
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(toAuditValue).filter(v => v !== undefined);
+  if (typeof value === 'object') {
+    return Object.entries(value).reduce((acc, [key, inner]) => {
+      const converted = toAuditValue(inner);
+      if (converted !== undefined) acc[key] = converted;
+      return acc;
+    }, {});
+  }
+  return value;
+}
+
+/**
+ * Shallow diff between two snapshots: { field: { from, to } } for every top-level field that changed.
+ */
+function diffSnapshots(before, after) {
+  const from = toAuditValue(before || {}) || {};
+  const to = toAuditValue(after || {}) || {};
+  const fields = new Set([...Object.keys(from), ...Object.keys(to)]);
+  const changes = {};
+  fields.forEach(field => {
+    if (IGNORED_DIFF_FIELDS.includes(field)) return;
+    if (JSON.stringify(from[field]) !== JSON.stringify(to[field])) {
+      changes[field] = { from: from[field] ?? null, to: to[field] ?? null };
+    }
+  });
+  return changes;
+}
+
+/**
+ * Records an admin mutation. Call after the change has been written.
+ * A failure to write the entry is logged but never fails the admin's request.
+ *
+ * @param {object} req - Express request (actor, IP and request id are read from it)
+ * @param {object} entry - { action, targetType, targetId, before, after, metadata }
+ */
+async function recordAudit(req, { action, targetType, targetId, before = null, after = null, metadata = {} }) {
+  const entry = {
+    action,
+    targetType,
+    targetId: targetId ? String(targetId) : null,
+    actorUid: req.user?.uid || null,
+    actorEmail: req.user?.email || null,
+    actorRole: req.admin?.role || null,
+    before: toAuditValue(before),
+    after: toAuditValue(after),
+    changes: diffSnapshots(before, after),
+    metadata: toAuditValue(metadata),
+    ip: getClientIp(req),
+    userAgent: req.headers['user-agent'] || '',
+    requestId: req.id || null,
+    method: req.method,
+    path: req.originalUrl,
+    createdAt: serverTimestamp(),
+  };
+
+  try {
+    const entryRef = await addDoc(collection(db, AUDIT_COLLECTION), entry);
+    return entryRef.id;
+  } catch (error) {
+    console.error('Failed to write audit log entry:', { action, targetType, targetId, error: error.message });
+    return null;
+  }
+}
+
+module.exports = {
+  AUDIT_COLLECTION,
+  recordAudit,
+  diffSnapshots,
+  toAuditValue,
+};
@@ -0,0 +1,181 @@
+const express = require('express');
+const { db } = require('./firebaseConfig');
+const { collection, doc, getDoc, getDocs, query, where, orderBy, limit, startAfter, Timestamp } = require('firebase/firestore');
+const { verifyAndCheckAdmin } = require('./verifyAndCheckAdmin');
+const { authorize } = require('./rbac');
+const { AUDIT_COLLECTION } = require('./auditLog');
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 100;
+const MAX_EXPORT_ROWS = 5000;
+const CSV_COLUMNS = ['id', 'createdAt', 'action', 'targetType', 'targetId', 'actorUid', 'actorEmail', 'actorRole', 'ip', 'requestId', 'changes'];
+
+// Builds the filtered audit query shared by the list and export endpoints
+function buildAuditQuery({ actorUid, action, targetType, targetId, from, to }) {
+  const constraints = [];
+  if (actorUid) constraints.push(where('actorUid', '==', actorUid));
+  if (action) constraints.push(where('action', '==', action));
+  if (targetType) constraints.push(where('targetType', '==', targetType));
+  if (targetId) constraints.push(where('targetId', '==', targetId));
+  if (from) constraints.push(where('createdAt', '>=', Timestamp.fromDate(new Date(from))));
+  if (to) constraints.push(where('createdAt', '<=', Timestamp.fromDate(new Date(to))));
+  constraints.push(orderBy('createdAt', 'desc'));
+  return constraints;
+}
+
+const invalidDate = (value) => value && isNaN(new Date(value).getTime());
+
+const serializeEntry = (entryDoc) => {
+  const data = entryDoc.data();
+  return { id: entryDoc.id, ...data, createdAt: data.createdAt?.toDate?.().toISOString() || null };
+};
+
+// Quotes a CSV cell and neutralises spreadsheet formulas (cells starting with = + - @)
+const csvCell = (value) => {
+  let text = value === null || value === undefined ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @swagger
+ * /api/admin/audit-log:
+ *   get:
+ *     summary: Query the admin audit log
+ *     description: Filterable, cursor-paginated list of admin mutations, newest first
+ *     tags: [Admin Audit]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actorUid
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         example: "payout.approve"
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *         example: "transaction"
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 50
+ *           maximum: 100
+ *       - in: query
+ *         name: pageToken
+ *         schema:
+ *           type: string
+ *         description: nextPageToken from the previous response
+ *     responses:
+ *       200:
+ *         description: Audit entries retrieved successfully
+ *       400:
+ *         description: Invalid filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/api/admin/audit-log', verifyAndCheckAdmin, authorize('audit:read'), async (req, res) => {
+  try {
+    const { from, to, pageToken } = req.query;
+    if (invalidDate(from) || invalidDate(to)) {
+      return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+    const limitNum = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+
+    const constraints = buildAuditQuery(req.query);
+    if (pageToken) {
+      const cursorSnap = await getDoc(doc(db, AUDIT_COLLECTION, Buffer.from(pageToken, 'base64url').toString()));
+      if (!cursorSnap.exists()) {
+        return res.status(400).json({ error: 'Invalid pageToken' });
+      }
+      constraints.push(startAfter(cursorSnap));
+    }
+    constraints.push(limit(limitNum + 1));
+
+    const entriesSnap = await getDocs(query(collection(db, AUDIT_COLLECTION), ...constraints));
+    const docs = entriesSnap.docs.slice(0, limitNum);
+    const hasNextPage = entriesSnap.docs.length > limitNum;
+
+    res.json({
+      status: 'success',
+      entries: docs.map(serializeEntry),
+      pagination: {
+        limit: limitNum,
+        hasNextPage,
+        nextPageToken: hasNextPage ? Buffer.from(docs[docs.length - 1].id).toString('base64url') : null,
+      },
+    });
+  } catch (error) {
+    console.error('Audit log query error:', error);
+    res.status(500).json({ error: 'Failed to query audit log', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/audit-log/export:
+ *   get:
+ *     summary: Export the admin audit log as CSV
+ *     description: Accepts the same filters as /api/admin/audit-log and returns up to 5000 rows
+ *     tags: [Admin Audit]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: CSV file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ */
+router.get('/api/admin/audit-log/export', verifyAndCheckAdmin, authorize('audit:read'), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if (invalidDate(from) || invalidDate(to)) {
+      return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+
+    const constraints = buildAuditQuery(req.query);
+    constraints.push(limit(MAX_EXPORT_ROWS));
+    const entriesSnap = await getDocs(query(collection(db, AUDIT_COLLECTION), ...constraints));
+
+    const rows = entriesSnap.docs.map(entryDoc => {
+      const entry = serializeEntry(entryDoc);
+      return CSV_COLUMNS.map(column => csvCell(entry[column])).join(',');
+    });
+    const csv = [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+
+    const fileName = `audit-log-${new Date().toISOString().split('T')[0]}.csv`;
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(csv);
+  } catch (error) {
+    console.error('Audit log export error:', error);
+    res.status(500).json({ error: 'Failed to export audit log', details: error.message });
+  }
+});
+
+module.exports = router;
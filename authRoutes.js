@@ -1,18 +1,8 @@
 const express = require('express');
-const { db } = require('./firebaseConfig');
-const { collection, getDocs, query, where } = require('firebase/firestore');
+const { resolveAdmin, authorize } = require('./rbac');
+const { verifyAndCheckAdmin, verifyIdToken } = require('./verifyAndCheckAdmin');
 const router = express.Router();
 
-// Middleware to check authorization based on token
-const requireAuth = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ error: 'Unauthorized: No valid token provided' });
-  }
-  req.token = authHeader.split(' ')[1];
-  next();
-};
-
 // Authentication endpoint
 router.post('/authenticate', async (req, res) => {
   try {
@@ -22,49 +12,51 @@ router.post('/authenticate', async (req, res) => {
       return res.status(400).json({ error: 'Email is required' });
     }
 
-    const adminsRef = collection(db, 'admins');
-    const adminQ = query(adminsRef, where('email', '==', email));
-    const adminSnapshot = await getDocs(adminQ);
-    const isAdminRegistered = !adminSnapshot.empty;
-
-    const adminEmails = ['Foremade@icloud.com', 'echinecherem729@gmail.com'];
-    const isAdminEmail = adminEmails.includes(email);
-    const role = isAdminEmail ? 'admin' : 'buyer';
+    // Nothing is granted here, so the unverified email is matched as if verified just to pick the redirect
+    const admin = await resolveAdmin({ email, emailVerified: true });
+    const isAdmin = !!admin;
+    const role = isAdmin ? 'admin' : 'buyer';
     const redirectUrl = role === 'admin' ? '/admin/dashboard' : '/profile';
 
-    if (role === 'admin' && !isAdminRegistered) {
-      console.warn(`Admin ${email} not found in Firestore but allowed due to adminEmails list.`);
-      // Optionally register admin in Firestore here if needed
-    }
-
-    res.status(200).json({ isAdmin: isAdminEmail, role, redirectUrl });
+    // Unauthenticated lookup: only routing info here; role details come from /auth/check
+    res.status(200).json({ isAdmin, role, redirectUrl });
   } catch (error) {
     console.error('Admin verification error:', error);
     res.status(500).json({ error: 'Verification failed: ' + error.message });
   }
 });
 
-// Updated /auth/check endpoint
-router.post('/auth/check', requireAuth, async (req, res) => {
+// Reports the caller's admin role. Identity comes from the verified ID token, never from headers.
+router.post('/auth/check', async (req, res) => {
   try {
-    console.log('Received headers:', req.headers);
-    const userEmail = req.headers['x-user-email'];
-    if (!userEmail) {
-      return res.status(401).json({ error: 'Unauthorized: No user email provided' });
+    const authHeader = req.headers.authorization || '';
+    if (!authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ error: 'Unauthorized: No valid token provided' });
     }
 
-    const adminsRef = collection(db, 'admins');
-    const adminQ = query(adminsRef, where('email', '==', userEmail));
-    const adminSnapshot = await getDocs(adminQ);
-    const isAdminRegistered = !adminSnapshot.empty;
+    let firebaseUser;
+    try {
+      firebaseUser = await verifyIdToken(authHeader.split('Bearer ')[1]);
+    } catch (err) {
+      return res.status(401).json({ error: 'Unauthorized: Invalid or expired token' });
+    }
+    const userEmail = firebaseUser.email;
 
-    const adminEmails = ['Foremade@icloud.com', 'echinecherem729@gmail.com'];
-    const isAdminEmail = adminEmails.includes(userEmail);
-    const isAdmin = isAdminEmail && isAdminRegistered;
+    const admin = await resolveAdmin({
+      uid: firebaseUser.localId,
+      email: userEmail,
+      emailVerified: firebaseUser.emailVerified === true,
+    });
+    const isAdmin = !!admin;
     const role = isAdmin ? 'admin' : 'buyer';
 
     console.log(`User ${userEmail} isAdmin: ${isAdmin}, role: ${role}`); // Debug log
-    res.status(200).json({ isAdmin, role });
+    res.status(200).json({
+      isAdmin,
+      role,
+      adminRole: admin?.role || null,
+      permissions: admin?.permissions || [],
+    });
   } catch (error) {
     console.error('Auth check error:', error);
     res.status(500).json({ error: 'Auth check failed: ' + error.message });
@@ -72,22 +64,14 @@ router.post('/auth/check', requireAuth, async (req, res) => {
 });
 
 // Protected admin dashboard route
-router.get('/admin/dashboard', requireAuth, async (req, res) => {
+router.get('/admin/dashboard', verifyAndCheckAdmin, authorize('dashboard:view'), async (req, res) => {
   try {
-    const userEmail = req.headers['x-user-email'];
-    const adminsRef = collection(db, 'admins');
-    const adminQ = query(adminsRef, where('email', '==', userEmail));
-    const adminSnapshot = await getDocs(adminQ);
-    const isAdminRegistered = !adminSnapshot.empty;
-
-    const adminEmails = ['Foremade@icloud.com', 'echinecherem729@gmail.com'];
-    const isAdmin = adminEmails.includes(userEmail);
-
-    if (!isAdmin || !isAdminRegistered) {
-      return res.status(403).json({ error: 'Forbidden: Access to admin dashboard denied' });
-    }
-
-    res.status(200).json({ message: 'Welcome to the admin dashboard', userEmail });
+    res.status(200).json({
+      message: 'Welcome to the admin dashboard',
+      userEmail: req.user.email,
+      role: req.admin.role,
+      permissions: req.admin.permissions,
+    });
   } catch (error) {
     console.error('Admin dashboard access error:', error);
     res.status(500).json({ error: 'Internal server error: ' + error.message });
@@ -4,6 +4,10 @@ const soap = require('soap');
 const { db } = require('./firebaseConfig');
 const { doc, setDoc, getDoc } = require('firebase/firestore');
 const { WebApi } = require('smile-identity-core');
+const { verifyAndCheckAdmin } = require('./verifyAndCheckAdmin');
+const { authorize } = require('./rbac');
+const { requireTotpStepUp } = require('./middleware');
+const { recordAudit } = require('./auditLog');
 const router = express.Router();
 
 /**
@@ -150,7 +154,7 @@ router.get('/fetch-banks', async (req, res) => {
 });
 
 // Admin bank endpoint
-router.post('/admin-bank', async (req, res) => {
+router.post('/admin-bank', verifyAndCheckAdmin, authorize('bank:manage'), requireTotpStepUp(), async (req, res) => {
   try {
     const { country, bankCode, accountNumber, iban, bankName } = req.body;
     console.log('Received payload:', req.body); // Debug
@@ -164,7 +168,7 @@ router.post('/admin-bank', async (req, res) => {
     }
 
     // Prepare data object, excluding undefined fields
-    const data = { country };
+    const data = { country, updatedBy: req.user.uid, updatedAt: new Date().toISOString() };
     if (country === 'Nigeria' && bankCode && accountNumber) {
       data.bankCode = bankCode;
       data.accountNumber = accountNumber;
@@ -174,7 +178,18 @@ router.post('/admin-bank', async (req, res) => {
       data.bankName = bankName;
     }
 
-    await setDoc(doc(db, 'admin', 'bank'), data, { merge: true });
+    const bankRef = doc(db, 'admin', 'bank');
+    const previousSnap = await getDoc(bankRef);
+    const previous = previousSnap.exists() ? previousSnap.data() : null;
+
+    await setDoc(bankRef, data, { merge: true });
+    await recordAudit(req, {
+      action: 'adminBank.update',
+      targetType: 'adminBank',
+      targetId: 'bank',
+      before: previous,
+      after: { ...(previous || {}), ...data },
+    });
     res.json({ message: 'Admin bank details saved' });
   } catch (error) {
     console.error('Admin bank error:', error);
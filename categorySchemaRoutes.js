@@ -0,0 +1,239 @@
+const express = require('express');
+const { db } = require('./firebaseConfig');
+const { doc, getDoc, getDocs, setDoc, deleteDoc, collection, serverTimestamp } = require('firebase/firestore');
+const { verifyAndCheckAdmin } = require('./verifyAndCheckAdmin');
+const { authorize } = require('./rbac');
+const { recordAudit } = require('./auditLog');
+const {
+  ATTRIBUTE_TYPES, DEFAULT_ATTRIBUTE_SCHEMAS, getAttributeSchema, clearSchemaCache, validateSchemaDefinition,
+} = require('./productAttributes');
+const router = express.Router();
+
+// Only the fields the validator understands are stored
+const pickAttribute = ({ key, label, type, options, required, multiple, unit }) => ({
+  key,
+  label: typeof label === 'string' && label.trim() ? label.trim() : key,
+  type,
+  ...(type === 'enum' && { options: options.map(option => option.trim()) }),
+  required: required === true,
+  multiple: multiple === true,
+  ...(typeof unit === 'string' && unit.trim() && { unit: unit.trim() }),
+});
+
+/**
+ * @swagger
+ * /api/products/categories/{category}/attributes:
+ *   get:
+ *     summary: Get the attribute schema of a category
+ *     description: The specifications a product in this category can carry, used by the seller form and the storefront filter sidebar. An empty list means specifications are free-form.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: category
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "Electronics"
+ *     responses:
+ *       200:
+ *         description: Attribute definitions
+ */
+router.get('/api/products/categories/:category/attributes', async (req, res) => {
+  try {
+    const { category } = req.params;
+    const attributes = await getAttributeSchema(category);
+    res.json({ status: 'success', category, attributes: attributes || [] });
+  } catch (error) {
+    console.error('Get category attributes error:', error);
+    res.status(500).json({ error: 'Failed to get category attributes', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/category-schemas:
+ *   get:
+ *     summary: List category attribute schemas
+ *     description: Built-in defaults and the schemas saved in Firestore, which take precedence.
+ *     tags: [Products]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Schemas retrieved successfully
+ *       403:
+ *         description: Missing catalog:manage permission
+ */
+router.get('/api/admin/category-schemas', verifyAndCheckAdmin, authorize('catalog:manage'), async (req, res) => {
+  try {
+    const schemas = Object.entries(DEFAULT_ATTRIBUTE_SCHEMAS).reduce((acc, [category, attributes]) => {
+      acc[category] = { category, attributes, isDefault: true };
+      return acc;
+    }, {});
+
+    const schemasSnap = await getDocs(collection(db, 'categorySchemas'));
+    schemasSnap.forEach(schemaDoc => {
+      const data = schemaDoc.data();
+      schemas[schemaDoc.id] = {
+        category: schemaDoc.id,
+        attributes: data.attributes,
+        updatedBy: data.updatedBy || null,
+        updatedAt: data.updatedAt?.toDate?.().toISOString() || null,
+        isDefault: false,
+      };
+    });
+
+    res.json({ status: 'success', schemas: Object.values(schemas), types: ATTRIBUTE_TYPES });
+  } catch (error) {
+    console.error('List category schemas error:', error);
+    res.status(500).json({ error: 'Failed to list category schemas', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/category-schemas/{category}:
+ *   put:
+ *     summary: Create or replace a category's attribute schema
+ *     description: New and updated products in the category are validated against it. Existing products are not rewritten.
+ *     tags: [Products]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: category
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "Electronics"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - attributes
+ *             properties:
+ *               attributes:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - key
+ *                     - type
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                     label:
+ *                       type: string
+ *                     type:
+ *                       type: string
+ *                       enum: [string, number, boolean, enum]
+ *                     options:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       description: Allowed values for enum attributes
+ *                     required:
+ *                       type: boolean
+ *                     multiple:
+ *                       type: boolean
+ *                       description: Accept a list of values (e.g. available sizes)
+ *                     unit:
+ *                       type: string
+ *                       example: "inches"
+ *                 example: [{ "key": "brand", "label": "Brand", "type": "string", "required": true }, { "key": "storage", "type": "enum", "options": ["64GB", "128GB"] }]
+ *     responses:
+ *       200:
+ *         description: Schema saved
+ *       400:
+ *         description: Invalid schema
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/api/admin/category-schemas/:category', verifyAndCheckAdmin, authorize('catalog:manage'), async (req, res) => {
+  try {
+    const { category } = req.params;
+    const { attributes } = req.body || {};
+
+    if (!category.trim() || category.includes('/')) {
+      return res.status(400).json({ error: 'Invalid category name' });
+    }
+    const errors = validateSchemaDefinition(attributes);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid attribute schema', details: errors.join('; ') });
+    }
+
+    const schemaRef = doc(db, 'categorySchemas', category);
+    const before = await getAttributeSchema(category);
+    const saved = attributes.map(pickAttribute);
+
+    await setDoc(schemaRef, { attributes: saved, updatedBy: req.user.uid, updatedAt: serverTimestamp() });
+    clearSchemaCache(category);
+    await recordAudit(req, {
+      action: 'category_schema.update',
+      targetType: 'category',
+      targetId: category,
+      before: { attributes: before || [] },
+      after: { attributes: saved },
+    });
+
+    res.json({ status: 'success', message: `Attribute schema for ${category} saved`, category, attributes: saved });
+  } catch (error) {
+    console.error('Save category schema error:', error);
+    res.status(500).json({ error: 'Failed to save category schema', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/category-schemas/{category}:
+ *   delete:
+ *     summary: Remove a saved category schema
+ *     description: The category falls back to its built-in default schema, or to free-form specifications when it has none.
+ *     tags: [Products]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: category
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Schema removed
+ *       404:
+ *         description: No saved schema for this category
+ */
+router.delete('/api/admin/category-schemas/:category', verifyAndCheckAdmin, authorize('catalog:manage'), async (req, res) => {
+  try {
+    const { category } = req.params;
+    const schemaRef = doc(db, 'categorySchemas', category);
+    const schemaSnap = await getDoc(schemaRef);
+    if (!schemaSnap.exists()) {
+      return res.status(404).json({ error: 'No saved schema for this category' });
+    }
+
+    await deleteDoc(schemaRef);
+    clearSchemaCache(category);
+    const fallback = DEFAULT_ATTRIBUTE_SCHEMAS[category] || [];
+    await recordAudit(req, {
+      action: 'category_schema.delete',
+      targetType: 'category',
+      targetId: category,
+      before: { attributes: schemaSnap.data().attributes },
+      after: { attributes: fallback },
+    });
+
+    res.json({ status: 'success', message: `Attribute schema for ${category} removed`, category, attributes: fallback });
+  } catch (error) {
+    console.error('Delete category schema error:', error);
+    res.status(500).json({ error: 'Failed to delete category schema', details: error.message });
+  }
+});
+
+module.exports = router;
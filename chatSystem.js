@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const { rateLimit } = require('./rateLimiter');
 
 const emailRegex = /\S+@\S+\.\S+/;
 const phoneRegex = /(\+\d{1,3}\s?)?(\d{3}[-\.\s]?\d{3}[-\.\s]?\d{4})/;
@@ -72,8 +73,10 @@ const restrictedPhrases = ['whatsapp me', 'call me', 'email me', 'contact me at'
  *                   type: string
  *                   description: Detailed error information
  *                   example: "Internal server error"
+ *       429:
+ *         description: Too many requests; retry after the number of seconds in the Retry-After header
  */
-router.post('/validate', async (req, res) => {
+router.post('/validate', rateLimit('chat-validate', { ip: { max: 60, windowMs: 60 * 1000 } }), async (req, res) => {
   try {
     const { text, productId } = req.body;
 
@@ -1,20 +1,92 @@
 const express = require('express');
-const { doc, deleteDoc } = require('firebase/firestore');
+const { doc, getDoc, setDoc, serverTimestamp } = require('firebase/firestore');
 const db = require('./firebaseConfig').db;
+const { verifyAndCheckAdmin } = require('./verifyAndCheckAdmin');
+const { authorize, canActOnUser } = require('./rbac');
+const { recordAudit } = require('./auditLog');
+const { findDeletionBlockers, deleteUserCascade } = require('./userManagement');
 const router = express.Router();
 
-// Delete user
-router.delete('/admin/delete-user/:userId', async (req, res) => {
+/**
+ * @swagger
+ * /admin/delete-user/{userId}:
+ *   delete:
+ *     summary: Delete a user and their data
+ *     description: Removes the user along with their seller profile, wallet, products, pro seller records and OTPs. Refused while the wallet holds a balance or a withdrawal is pending.
+ *     tags: [User Management]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User deleted
+ *       403:
+ *         description: Only full-access admins can delete staff accounts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: User still has a wallet balance or a pending withdrawal
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/admin/delete-user/:userId', verifyAndCheckAdmin, authorize('users:delete'), async (req, res) => {
   try {
     const { userId } = req.params;
+    if (userId === req.user.uid) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
 
     const userRef = doc(db, 'users', userId);
-    await deleteDoc(userRef);
-    res.json({ message: 'User deleted successfully' });
+    const userSnap = await getDoc(userRef);
+    if (!userSnap.exists()) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!(await canActOnUser(req.admin, { uid: userId, email: userSnap.data().email }))) {
+      return res.status(403).json({ error: 'Forbidden: Only full-access admins can delete staff accounts' });
+    }
+
+    const blockers = await findDeletionBlockers(userId);
+    if (blockers.length > 0) {
+      return res.status(409).json({
+        error: 'User cannot be deleted while funds are outstanding',
+        details: blockers.join('; '),
+      });
+    }
+
+    const removed = await deleteUserCascade(userId);
+    await setDoc(doc(db, 'deletedUsers', userId), {
+      email: userSnap.data().email || null,
+      removed,
+      deletedBy: req.user.uid,
+      deletedAt: serverTimestamp(),
+    });
+    await recordAudit(req, {
+      action: 'user.delete',
+      targetType: 'user',
+      targetId: userId,
+      before: userSnap.data(),
+      metadata: { removed },
+    });
+    res.json({ message: 'User deleted successfully', removed });
   } catch (error) {
     console.error('Error deleting user:', error);
     res.status(500).json({ error: 'Failed to delete user: ' + error.message });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,70 @@
+// Opt-in local development auth. With DEV_AUTH_ENABLED=true the API issues its own HS256 ID tokens
+// (POST /dev/token) that the auth middlewares accept next to real Firebase tokens, so routes can be exercised
+// without a Firebase project. It can never be on in production: the server refuses to start if
+// DEV_AUTH_ENABLED is set together with NODE_ENV=production, and the checks below fail closed as well.
+const { signToken, verifyToken } = require('./tokenSigner');
+
+const DEV_AUTH_SECRET_ENV = 'DEV_AUTH_SECRET';
+const DEV_TOKEN_TYPE = 'dev_id_token';
+const DEV_TOKEN_ISSUER = 'foremade-dev-auth';
+const DEFAULT_DEV_TOKEN_TTL_S = 60 * 60;
+
+// Claims the caller may not override, because they describe the token rather than the user
+const RESERVED_CLAIMS = ['typ', 'iss', 'aud', 'sub', 'uid', 'iat', 'exp', 'auth_time', 'firebase'];
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+const isDevAuthEnabled = () => process.env.DEV_AUTH_ENABLED === 'true' && !isProduction();
+
+// Called once at startup so a misconfigured production deploy fails loudly instead of silently ignoring the flag
+function assertDevAuthAllowed() {
+  if (process.env.DEV_AUTH_ENABLED === 'true' && isProduction()) {
+    throw new Error('DEV_AUTH_ENABLED cannot be used when NODE_ENV=production');
+  }
+  if (isDevAuthEnabled()) {
+    console.warn('Development auth is enabled: locally signed tokens from POST /dev/token are accepted.');
+  }
+}
+
+/**
+ * Issues a dev ID token for `uid`. Extra `claims` (e.g. { phone_number, role }) are copied onto the decoded
+ * token, which is shaped like a Firebase one (uid, email, email_verified, auth_time, firebase.sign_in_provider).
+ */
+function issueDevToken({ uid, email = null, claims = {}, expiresInSeconds = DEFAULT_DEV_TOKEN_TTL_S }) {
+  if (!isDevAuthEnabled()) {
+    throw new Error('Development auth is not enabled');
+  }
+  const extra = Object.fromEntries(Object.entries(claims || {}).filter(([key]) => !RESERVED_CLAIMS.includes(key)));
+  return signToken(
+    {
+      ...extra,
+      typ: DEV_TOKEN_TYPE,
+      iss: DEV_TOKEN_ISSUER,
+      sub: uid,
+      email,
+      email_verified: Boolean(email),
+      auth_time: Math.floor(Date.now() / 1000),
+      firebase: { sign_in_provider: 'dev' },
+    },
+    { expiresInSeconds, secretEnv: DEV_AUTH_SECRET_ENV }
+  );
+}
+
+/**
+ * Returns the decoded dev token (with `uid` set, like Firebase's decoded ID token), or null when dev auth is
+ * off or the token is not a valid dev token.
+ */
+function verifyDevToken(token) {
+  if (!isDevAuthEnabled()) return null;
+  const claims = verifyToken(token, { secretEnv: DEV_AUTH_SECRET_ENV });
+  if (!claims || claims.typ !== DEV_TOKEN_TYPE || claims.iss !== DEV_TOKEN_ISSUER || !claims.sub) return null;
+  return { ...claims, uid: claims.sub };
+}
+
+module.exports = {
+  DEFAULT_DEV_TOKEN_TTL_S,
+  isDevAuthEnabled,
+  assertDevAuthAllowed,
+  issueDevToken,
+  verifyDevToken,
+};
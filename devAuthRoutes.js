@@ -0,0 +1,63 @@
+const express = require('express');
+const { isDevAuthEnabled, issueDevToken, DEFAULT_DEV_TOKEN_TTL_S } = require('./devAuth');
+const router = express.Router();
+
+// server.js only mounts this router when development auth is enabled; the guard keeps it closed regardless
+router.use('/dev', (req, res, next) => {
+  if (!isDevAuthEnabled()) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  next();
+});
+
+/**
+ * @swagger
+ * /dev/token:
+ *   post:
+ *     summary: Issue a development ID token
+ *     description: Only available when DEV_AUTH_ENABLED=true outside production. The token is accepted by every auth middleware as if it were a Firebase ID token for `uid`.
+ *     tags: [Development]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - uid
+ *             properties:
+ *               uid:
+ *                 type: string
+ *                 example: "seller-123"
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               claims:
+ *                 type: object
+ *                 description: Extra claims copied onto the decoded token
+ *                 example: { "phone_number": "+2348012345678" }
+ *               expiresInSeconds:
+ *                 type: integer
+ *                 default: 3600
+ *     responses:
+ *       200:
+ *         description: Token issued
+ *       400:
+ *         description: Missing uid
+ */
+router.post('/dev/token', (req, res) => {
+  const { uid, email, claims, expiresInSeconds } = req.body || {};
+  if (!uid || typeof uid !== 'string') {
+    return res.status(400).json({ error: 'uid is required' });
+  }
+  if (claims !== undefined && (typeof claims !== 'object' || Array.isArray(claims) || claims === null)) {
+    return res.status(400).json({ error: 'claims must be an object' });
+  }
+
+  const ttl = Number(expiresInSeconds) > 0 ? Math.min(Number(expiresInSeconds), 24 * 60 * 60) : DEFAULT_DEV_TOKEN_TTL_S;
+  const token = issueDevToken({ uid, email: email || null, claims, expiresInSeconds: ttl });
+  console.log(`Issued dev token for ${uid}`);
+  res.json({ token, expiresIn: ttl, tokenType: 'Bearer' });
+});
+
+module.exports = router;
@@ -1,9 +1,15 @@
 const express = require('express');
-const { db } = require('./firebaseConfig');
-const { collection, doc, setDoc, getDocs, getDoc, updateDoc, query, where, serverTimestamp } = require('firebase/firestore');
+const { db, adminAuth } = require('./firebaseConfig');
+const { collection, doc, setDoc, getDocs, getDoc, updateDoc, query, where, serverTimestamp, deleteField } = require('firebase/firestore');
 const router = express.Router();
 const crypto = require('crypto');
 const emailService = require('./emailService');
+const { rateLimit } = require('./rateLimiter');
+const { requireRecaptcha } = require('./recaptcha');
+const { revokeAllSessions } = require('./sessions');
+const { verifyAndCheckAdmin } = require('./verifyAndCheckAdmin');
+const { authorize } = require('./rbac');
+const { approveProduct, rejectProduct, auditDecision } = require('./productModeration');
 
 // Remove redundant nodemailer transporter since emailService handles it
 
@@ -11,13 +17,17 @@ const emailService = require('./emailService');
 console.log('emailRoutes initialized. Firestore db:', db ? 'Available' : 'Not available');
 console.log('crypto module:', crypto ? 'Available' : 'Not available');
 
+const moderatorOf = (req) => ({ uid: req.user.uid, email: req.user.email });
+
 /**
  * @swagger
  * /send-product-approved-email:
  *   post:
- *     summary: Send product approval email
- *     description: Send email notification when a product is approved
+ *     summary: Approve a product and email the seller
+ *     description: Kept for older admin clients; behaves like POST /api/admin/moderation/products/{productId}/approve. Approving an already approved product changes nothing and only sends the email if it has not gone out yet.
  *     tags: [Email Notifications]
+ *     security:
+ *       - BearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -26,29 +36,17 @@ console.log('crypto module:', crypto ? 'Available' : 'Not available');
  *             type: object
  *             required:
  *               - productId
- *               - productName
- *               - sellerId
  *             properties:
  *               productId:
  *                 type: string
  *                 description: Product ID
  *                 example: "product123"
- *               productName:
+ *               note:
  *                 type: string
- *                 description: Product name
- *                 example: "iPhone 13 Pro"
- *               sellerId:
- *                 type: string
- *                 description: Seller ID
- *                 example: "seller123"
- *               sellerEmail:
- *                 type: string
- *                 format: email
- *                 description: Seller email (optional, will be fetched from database if not provided)
- *                 example: "seller@example.com"
+ *                 description: Internal note kept with the decision
  *     responses:
  *       200:
- *         description: Email sent successfully
+ *         description: Product approved and seller emailed
  *         content:
  *           application/json:
  *             schema:
@@ -59,19 +57,23 @@ console.log('crypto module:', crypto ? 'Available' : 'Not available');
  *                   example: "success"
  *                 message:
  *                   type: string
- *                   example: "Approval email sent to seller"
+ *                   example: "Product approved"
  *       400:
  *         description: Invalid request data
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing products:moderate permission
  *       404:
- *         description: Product or seller not found
+ *         description: Product not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Product is not in a moderation status (archived and trashed products are refused)
  *       500:
  *         description: Server error
  *         content:
@@ -79,56 +81,24 @@ console.log('crypto module:', crypto ? 'Available' : 'Not available');
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/send-product-approved-email', async (req, res) => {
+router.post('/send-product-approved-email', verifyAndCheckAdmin, authorize('products:moderate'), async (req, res) => {
   try {
-    const { productId, productName, sellerId, sellerEmail } = req.body;
-    console.log('Received payload for product approved email:', { productId, productName, sellerId, sellerEmail });
-
-    if (!productId || !productName || !sellerId) {
-      console.warn('Missing required fields:', { productId, productName, sellerId, sellerEmail });
-      return res.status(400).json({ error: 'Missing productId, productName, or sellerId' });
-    }
-
-    let email = sellerEmail;
-    if (!email) {
-      const userDoc = await getDoc(doc(db, 'users', sellerId));
-      if (!userDoc.exists()) {
-        console.warn(`Seller ${sellerId} not found in Firestore`);
-        return res.status(404).json({ error: 'Seller not found' });
-      }
-      email = userDoc.data().email;
-      if (!email) {
-        console.warn(`No email found for seller ${sellerId}`);
-        return res.status(400).json({ error: 'No email found for seller' });
-      }
-    }
-
-    if (!/\S+@\S+\.\S+/.test(email)) {
-      console.warn('Invalid email format:', email);
-      return res.status(400).json({ error: 'Invalid email format' });
+    const { productId, note } = req.body || {};
+    if (!productId || typeof productId !== 'string') {
+      return res.status(400).json({ error: 'Missing productId' });
     }
 
-    const productRef = doc(db, 'products', productId);
-    const productSnap = await getDoc(productRef);
-    if (!productSnap.exists()) {
-      console.warn(`Product ${productId} not found in Firestore`);
-      return res.status(404).json({ error: 'Product not found' });
-    }
-    const productData = productSnap.data();
-    if (productData.approvalEmailSent) {
-      console.log(`Approval email already sent to ${email} for product ${productId}`);
-      return res.json({ status: 'success', message: 'Approval email already sent to seller' });
+    const result = await approveProduct(productId, { moderator: moderatorOf(req), note });
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error, details: result.details });
     }
+    await auditDecision(req, productId, result, 'approve', { via: 'send-product-approved-email' });
 
-    await emailService.sendProductApprovedEmail({ email, productId, productName, sellerId });
-    console.log(`Approval email sent to ${email} for product ${productId}`);
-
-    await updateDoc(productRef, {
-      status: 'approved',
-      updatedAt: serverTimestamp(),
+    res.json({
+      status: 'success',
+      message: result.changed ? 'Product approved' : 'Product was already approved',
+      emailSent: result.emailed,
     });
-
-    res.json({ status: 'success', message: 'Approval email sent to seller' });
   } catch (error) {
     console.error('Error in send-product-approved-email endpoint:', {
       message: error.message,
@@ -143,9 +113,11 @@ router.post('/send-product-approved-email', async (req, res) => {
  * @swagger
  * /send-product-rejected-email:
  *   post:
- *     summary: Send product rejection email
- *     description: Send email notification when a product is rejected
+ *     summary: Reject a product and email the seller
+ *     description: Kept for older admin clients; behaves like POST /api/admin/moderation/products/{productId}/reject. A free-text `reason` without `reasons` is recorded as the `other` reason with `reason` as its note.
  *     tags: [Email Notifications]
+ *     security:
+ *       - BearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -154,34 +126,27 @@ router.post('/send-product-approved-email', async (req, res) => {
  *             type: object
  *             required:
  *               - productId
- *               - productName
- *               - sellerId
- *               - reason
  *             properties:
  *               productId:
  *                 type: string
  *                 description: Product ID
  *                 example: "product123"
- *               productName:
- *                 type: string
- *                 description: Product name
- *                 example: "iPhone 13 Pro"
- *               sellerId:
- *                 type: string
- *                 description: Seller ID
- *                 example: "seller123"
- *               sellerEmail:
+ *               reasons:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [prohibited_item, counterfeit, poor_images, inaccurate_description, wrong_category, pricing_issue, duplicate_listing, other]
+ *                 example: ["poor_images"]
+ *               note:
  *                 type: string
- *                 format: email
- *                 description: Seller email (optional, will be fetched from database if not provided)
- *                 example: "seller@example.com"
+ *                 description: Sent to the seller; required with `other`
  *               reason:
  *                 type: string
- *                 description: Reason for rejection
+ *                 description: Legacy free-text reason, used when `reasons` is not given
  *                 example: "Product images do not meet quality standards"
  *     responses:
  *       200:
- *         description: Email sent successfully
+ *         description: Product rejected and seller emailed
  *         content:
  *           application/json:
  *             schema:
@@ -192,19 +157,23 @@ router.post('/send-product-approved-email', async (req, res) => {
  *                   example: "success"
  *                 message:
  *                   type: string
- *                   example: "Rejection email sent to seller"
+ *                   example: "Product rejected"
  *       400:
- *         description: Invalid request data
+ *         description: Missing productId or an invalid rejection
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing products:moderate permission
  *       404:
- *         description: Product or seller not found
+ *         description: Product not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Product is not in a moderation status (archived and trashed products are refused)
  *       500:
  *         description: Server error
  *         content:
@@ -212,57 +181,31 @@ router.post('/send-product-approved-email', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/send-product-rejected-email', async (req, res) => {
+router.post('/send-product-rejected-email', verifyAndCheckAdmin, authorize('products:moderate'), async (req, res) => {
   try {
-    const { productId, productName, sellerId, sellerEmail, reason } = req.body;
-    console.log('Received payload for product rejected email:', { productId, productName, sellerId, sellerEmail, reason });
-
-    if (!productId || !productName || !sellerId || !reason) {
-      console.warn('Missing required fields:', { productId, productName, sellerId, sellerEmail, reason });
-      return res.status(400).json({ error: 'Missing productId, productName, sellerId, or reason' });
+    const { productId, reason } = req.body || {};
+    if (!productId || typeof productId !== 'string') {
+      return res.status(400).json({ error: 'Missing productId' });
     }
+    const { reasons, note } = req.body.reasons === undefined && reason
+      ? { reasons: ['other'], note: reason }
+      : req.body;
 
-    let email = sellerEmail;
-    if (!email) {
-      const userDoc = await getDoc(doc(db, 'users', sellerId));
-      if (!userDoc.exists()) {
-        console.warn(`Seller ${sellerId} not found in Firestore`);
-        return res.status(404).json({ error: 'Seller not found' });
-      }
-      email = userDoc.data().email;
-      if (!email) {
-        console.warn(`No email found for seller ${sellerId}`);
-        return res.status(400).json({ error: 'No email found for seller' });
-      }
+    const result = await rejectProduct(productId, { moderator: moderatorOf(req), reasons, note });
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error, details: result.details });
     }
-
-    if (!/\S+@\S+\.\S+/.test(email)) {
-      console.warn('Invalid email format:', email);
-      return res.status(400).json({ error: 'Invalid email format' });
-    }
-
-    const productRef = doc(db, 'products', productId);
-    const productSnap = await getDoc(productRef);
-    if (!productSnap.exists()) {
-      console.warn(`Product ${productId} not found in Firestore`);
-      return res.status(404).json({ error: 'Product not found' });
-    }
-    const productData = productSnap.data();
-    if (productData.rejectionEmailSent) {
-      console.log(`Rejection email already sent to ${email} for product ${productId}`);
-      return res.json({ status: 'success', message: 'Rejection email already sent to seller' });
-    }
-
-    await emailService.sendProductRejectedEmail({ email, productId, productName, sellerId, reason });
-    console.log(`Rejection email sent to ${email} for product ${productId}`);
-
-    await updateDoc(productRef, {
-      status: 'rejected',
-      rejectionReason: reason,
-      updatedAt: serverTimestamp(),
+    await auditDecision(req, productId, result, 'reject', {
+      reasons: result.reasons,
+      note: result.note,
+      via: 'send-product-rejected-email',
     });
 
-    res.json({ status: 'success', message: 'Rejection email sent to seller' });
+    res.json({
+      status: 'success',
+      message: result.changed ? 'Product rejected' : 'Product was already rejected',
+      emailSent: result.emailed,
+    });
   } catch (error) {
     console.error('Error in send-product-rejected-email endpoint:', {
       message: error.message,
@@ -516,8 +459,15 @@ router.post('/send-seller-order-notification', async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many requests; retry after the number of seconds in the Retry-After header
+ *       403:
+ *         description: reCAPTCHA verification failed (send a v3 token for action "youth_empowerment" in x-recaptcha-token)
  */
-router.post('/api/youth-empowerment', async (req, res) => {
+router.post('/api/youth-empowerment', rateLimit('youth-empowerment', {
+  ip: { max: 5, windowMs: 60 * 60 * 1000 },
+  email: { max: 2, windowMs: 24 * 60 * 60 * 1000 },
+}), requireRecaptcha({ action: 'youth_empowerment' }), async (req, res) => {
   const formData = req.body;
   try {
     console.log('[YOUTH EMPOWERMENT] Received formData:', formData);
@@ -1527,13 +1477,16 @@ router.post('/send-membership-revoked-email', async (req, res) => {
   }
 });
 
+// Reset tokens are only ever stored as a SHA-256 hash; the raw token exists only in the emailed link
+const hashResetToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
 // Endpoint to request a password reset link
 /**
  * @swagger
  * /api/request-password-reset:
  *   post:
  *     summary: Request a password reset link
- *     description: Sends a password reset link to the user's email if the email exists in Firestore.
+ *     description: Sends a password reset link to the user's email if the email exists in Firestore. Any previously issued link stops working.
  *     requestBody:
  *       required: true
  *       content:
@@ -1554,9 +1507,15 @@ router.post('/send-membership-revoked-email', async (req, res) => {
  *         description: Invalid email or user not found
  *       500:
  *         description: Server error
+ *       429:
+ *         description: Too many requests; retry after the number of seconds in the Retry-After header
+ *       403:
+ *         description: reCAPTCHA verification failed (send a v3 token for action "password_reset" in x-recaptcha-token)
  */
-router.post('/request-password-reset', async (req, res) => {
-  console.log('Request password reset:', JSON.stringify(req.body, null, 2));
+router.post('/request-password-reset', rateLimit('password-reset', {
+  ip: { max: 10, windowMs: 60 * 60 * 1000 },
+  email: { max: 3, windowMs: 60 * 60 * 1000 },
+}), requireRecaptcha({ action: 'password_reset' }), async (req, res) => {
   const { email } = req.body;
 
   if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
@@ -1576,22 +1535,20 @@ router.post('/request-password-reset', async (req, res) => {
     const userId = userDoc.id;
 
     // Generate a reset token
-    if (!crypto.randomBytes) {
-      throw new Error('crypto.randomBytes is not available');
-    }
     const resetToken = crypto.randomBytes(32).toString('hex');
     const tokenExpiry = Date.now() + 3600000; // 1 hour expiry
 
-    // Store token in Firestore
+    // Store the token hash in Firestore; keyed by user, so a new request replaces the previous token
     const tokenRef = doc(db, 'passwordResetTokens', userId);
     await setDoc(tokenRef, {
       email,
-      resetToken,
+      userId,
+      tokenHash: hashResetToken(resetToken),
       expiry: tokenExpiry,
       used: false,
       createdAt: serverTimestamp(),
     });
-    console.log('Password reset token stored:', { email, resetToken, expiry: tokenExpiry });
+    console.log('Password reset token stored:', { email, expiry: tokenExpiry });
 
     // Send reset email
     await emailService.sendPasswordResetEmail({ email, resetToken });
@@ -1609,7 +1566,10 @@ router.post('/request-password-reset', async (req, res) => {
  * /api/reset-password:
  *   post:
  *     summary: Reset user password
- *     description: Verifies the reset token and updates the user's password in Firestore.
+ *     description: |
+ *       Verifies the reset token and changes the user's Firebase Auth password. Every outstanding reset token
+ *       for the email is invalidated, existing sessions are signed out (refresh tokens revoked) and a
+ *       "password changed" email is sent.
  *     requestBody:
  *       required: true
  *       content:
@@ -1638,9 +1598,10 @@ router.post('/request-password-reset', async (req, res) => {
  *         description: Invalid token, expired token, or invalid password
  *       500:
  *         description: Server error
+ *       503:
+ *         description: Firebase Admin SDK not configured
  */
 router.post('/reset-password', async (req, res) => {
-  console.log('Reset password request:', JSON.stringify(req.body, null, 2));
   const { email, token, newPassword } = req.body;
 
   if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
@@ -1649,14 +1610,18 @@ router.post('/reset-password', async (req, res) => {
   if (!token) {
     return res.status(400).json({ success: false, error: 'Reset token is required' });
   }
-  if (!newPassword || newPassword.length < 8) {
+  if (!newPassword || typeof newPassword !== 'string' || newPassword.length < 8) {
     return res.status(400).json({ success: false, error: 'New password must be at least 8 characters' });
   }
+  if (!adminAuth) {
+    console.error('Password reset attempted but Firebase Admin SDK is not configured');
+    return res.status(503).json({ success: false, error: 'Password reset is temporarily unavailable' });
+  }
 
   try {
     // Verify token in Firestore
     const tokensRef = collection(db, 'passwordResetTokens');
-    const q = query(tokensRef, where('email', '==', email), where('resetToken', '==', token), where('used', '==', false));
+    const q = query(tokensRef, where('email', '==', email), where('tokenHash', '==', hashResetToken(token)), where('used', '==', false));
     const tokenSnapshot = await getDocs(q);
 
     if (tokenSnapshot.empty) {
@@ -1679,23 +1644,43 @@ router.post('/reset-password', async (req, res) => {
     }
 
     const userDoc = userSnapshot.docs[0];
+    const uid = tokenData.userId || userDoc.id;
 
-    // Update user password
-    await updateDoc(doc(db, 'users', userDoc.id), {
-      password: newPassword,
-      updatedAt: serverTimestamp(),
-    });
+    // Change the real credential and sign the user out everywhere
+    await adminAuth.updateUser(uid, { password: newPassword });
+    await revokeAllSessions(uid);
 
-    // Mark token as used
-    await updateDoc(doc(db, 'passwordResetTokens', tokenDoc.id), {
+    // Invalidate every outstanding reset token for this email, not just the one used
+    const outstandingSnapshot = await getDocs(query(tokensRef, where('email', '==', email), where('used', '==', false)));
+    await Promise.all(outstandingSnapshot.docs.map(outstanding => updateDoc(outstanding.ref, {
       used: true,
       usedAt: serverTimestamp(),
+      invalidatedBy: outstanding.id === tokenDoc.id ? 'reset' : 'superseded',
+    })));
+
+    // Remove any plaintext password left on the profile by the old reset flow
+    await updateDoc(doc(db, 'users', userDoc.id), {
+      password: deleteField(),
+      passwordChangedAt: serverTimestamp(),
+      updatedAt: serverTimestamp(),
     });
 
+    try {
+      await emailService.sendPasswordChangedEmail({ email });
+    } catch (emailError) {
+      console.error('Failed to send password changed email:', emailError.message);
+    }
+
     console.log('Password reset successfully for email:', email);
     res.json({ success: true, message: 'Password reset successfully' });
   } catch (error) {
     console.error('Error in reset-password:', error.message || error);
+    if (error.code === 'auth/user-not-found') {
+      return res.status(400).json({ success: false, error: 'No user found with this email' });
+    }
+    if (error.code === 'auth/invalid-password') {
+      return res.status(400).json({ success: false, error: 'New password does not meet the password requirements' });
+    }
     res.status(500).json({ success: false, error: `Failed to reset password: ${error.message}` });
   }
 });
@@ -324,6 +324,14 @@ const transporter = nodemailer.createTransport({
   }
 });
 
+// Escapes free text (reasons, product names) before it goes into email HTML
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 async function sendShippingConfirmationEmail({ email, orderNumber, name }) {
   if (!email || !/\S+@\S+\.\S+/.test(email) || !orderNumber) {
     throw new Error('Valid email and orderNumber are required');
@@ -568,7 +576,7 @@ async function sendProSellerRejectedEmail({ email, name }) {
   await transporter.sendMail(mailOptions);
 }
 
-async function sendProductRejectedEmail({ email, name }) {
+async function sendProductRejectedEmail({ email, name, reason }) {
   if (!email || !/\S+@\S+\.\S+/.test(email)) {
     throw new Error('Valid email is required');
   }
@@ -577,7 +585,7 @@ async function sendProductRejectedEmail({ email, name }) {
     from: `"FOREMADE Support" <${process.env.SUPPORT_EMAIL || process.env.EMAIL_USER || 'support@foremade.com'}>`,
     to: email,
     subject: 'Your Product Was Rejected - FOREMADE',
-    html: `<!DOCTYPE html><html lang="en"><head><meta charset="UTF-8" /><meta name="viewport" content="width=device-width, initial-scale=1.0"/><title>Product Rejected - FOREMADE</title><style>body { margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #ffffff; color: #0F2940; }.header { background-color: #0F2940; text-align: center; padding: 40px 20px; }.header img { max-width: 180px; margin-bottom: 10px; }.header h2 { color: #ffffff; font-size: 22px; margin-top: 10px; }.content { max-width: 600px; margin: 0 auto; padding: 40px 25px; background-color: #ffffff; text-align: center; }.content h1 { color: #D9782D; font-size: 24px; margin-bottom: 20px; }.content p { font-size: 16px; line-height: 1.6; margin-bottom: 25px; }.button { display: inline-block; background-color: #0F2940; color: #ffffff; padding: 14px 28px; border-radius: 5px; text-decoration: none; font-weight: bold; font-size: 15px; margin-top: 10px; }.footer { background-color: #F4F4F4; padding: 30px 20px; text-align: center; font-size: 13px; color: #666666; }.footer a { color: #0F2940; text-decoration: none; }</style></head><body><div class="header"><img src="https://foremade.com/assets/logi-DGW4y32z.png" alt="FOREMADE Logo" /><h2>Product Update</h2></div><div class="content"><h1>Your Product Was Rejected</h1><p>Hi ${userName},</p><p>We regret to inform you that your product listing was not approved due to policy violations.</p><p>Check our guidelines and resubmit if needed:</p><a href="https://foremade.com/guidelines" class="button">View Guidelines</a><p style="margin-top: 40px;">For help, feel free to contact us.</p><p>Warm regards,<br><strong>The FOREMADE Team</strong></p></div><div class="footer"><p>Questions? Contact us at<a href="mailto:support@foremade.com">support@foremade.com</a><br />You received this email because you submitted a product at<a href="https://foremade.com">foremade.com</a>.</p><p>© 2025 FOREMADE. All rights reserved.</p></div></body></html>`,
+    html: `<!DOCTYPE html><html lang="en"><head><meta charset="UTF-8" /><meta name="viewport" content="width=device-width, initial-scale=1.0"/><title>Product Rejected - FOREMADE</title><style>body { margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #ffffff; color: #0F2940; }.header { background-color: #0F2940; text-align: center; padding: 40px 20px; }.header img { max-width: 180px; margin-bottom: 10px; }.header h2 { color: #ffffff; font-size: 22px; margin-top: 10px; }.content { max-width: 600px; margin: 0 auto; padding: 40px 25px; background-color: #ffffff; text-align: center; }.content h1 { color: #D9782D; font-size: 24px; margin-bottom: 20px; }.content p { font-size: 16px; line-height: 1.6; margin-bottom: 25px; }.button { display: inline-block; background-color: #0F2940; color: #ffffff; padding: 14px 28px; border-radius: 5px; text-decoration: none; font-weight: bold; font-size: 15px; margin-top: 10px; }.footer { background-color: #F4F4F4; padding: 30px 20px; text-align: center; font-size: 13px; color: #666666; }.footer a { color: #0F2940; text-decoration: none; }</style></head><body><div class="header"><img src="https://foremade.com/assets/logi-DGW4y32z.png" alt="FOREMADE Logo" /><h2>Product Update</h2></div><div class="content"><h1>Your Product Was Rejected</h1><p>Hi ${userName},</p><p>We regret to inform you that your product listing was not approved due to policy violations.</p>${reason ? `<p><strong>Reason:</strong> ${escapeHtml(reason)}</p>` : ''}<p>Check our guidelines and resubmit if needed:</p><a href="https://foremade.com/guidelines" class="button">View Guidelines</a><p style="margin-top: 40px;">For help, feel free to contact us.</p><p>Warm regards,<br><strong>The FOREMADE Team</strong></p></div><div class="footer"><p>Questions? Contact us at<a href="mailto:support@foremade.com">support@foremade.com</a><br />You received this email because you submitted a product at<a href="https://foremade.com">foremade.com</a>.</p><p>© 2025 FOREMADE. All rights reserved.</p></div></body></html>`,
   };
   await transporter.sendMail(mailOptions);
 }
@@ -1150,6 +1158,363 @@ async function sendPasswordResetEmail({ email, resetToken }) {
   }
 }
 
+async function sendPasswordChangedEmail({ email, changedAt = new Date() }) {
+  if (!email || !/\S+@\S+\.\S+/.test(email)) {
+    throw new Error('Valid email is required');
+  }
+
+  const mailOptions = {
+    from: `"FOREMADE Support" <${process.env.SUPPORT_EMAIL || process.env.EMAIL_USER || 'support@foremade.com'}>`,
+    to: email,
+    subject: 'Your Password Was Changed - FOREMADE',
+    html: `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1.0"/>
+  <title>Password Changed</title>
+  <style>
+    body { margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #ffffff; color: #0F2940; }
+    .header { background-color: #0F2940; text-align: center; padding: 40px 20px; }
+    .header img { max-width: 180px; margin-bottom: 10px; }
+    .header h2 { color: #ffffff; font-size: 22px; margin-top: 10px; }
+    .content { max-width: 600px; margin: 0 auto; padding: 40px 25px; background-color: #ffffff; text-align: center; }
+    .content h1 { color: #D9782D; font-size: 24px; margin-bottom: 20px; }
+    .content p { font-size: 16px; line-height: 1.6; margin-bottom: 25px; }
+    .footer { background-color: #F4F4F4; padding: 30px 20px; text-align: center; font-size: 13px; color: #666666; }
+    .footer a { color: #0F2940; text-decoration: none; }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <img src="https://foremade.com/assets/logi-DGW4y32z.png" alt="FOREMADE Logo" />
+    <h2>Password Changed</h2>
+  </div>
+  <div class="content">
+    <h1>Your Password Was Changed</h1>
+    <p>Hi there,</p>
+    <p>The password for your FOREMADE account was changed on ${changedAt.toUTCString()}. You have been signed out of all devices and will need to log in again with your new password.</p>
+    <p>If you did not make this change, please contact us immediately at <a href="mailto:support@foremade.com">support@foremade.com</a> so we can secure your account.</p>
+    <p style="margin-top: 40px;">Thank you!</p>
+    <p><strong>The FOREMADE Team</strong></p>
+  </div>
+  <div class="footer">
+    <p>Questions? Contact us at <a href="mailto:support@foremade.com">support@foremade.com</a><br />
+    You received this email because the password for your account at <a href="https://foremade.com">foremade.com</a> was changed.</p>
+    <p>© 2025 FOREMADE. All rights reserved.</p>
+  </div>
+</body>
+</html>`
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log(`Password changed email sent to ${email}`);
+  } catch (error) {
+    console.error(`Failed to send password changed email to ${email}:`, error);
+    throw new Error(`Failed to send password changed email: ${error.message}`);
+  }
+}
+
+async function sendAdminInviteEmail({ email, inviteToken, role, expiresAt }) {
+  if (!email || !/\S+@\S+\.\S+/.test(email)) {
+    throw new Error('Valid email is required');
+  }
+  if (!inviteToken) {
+    throw new Error('Invite token is required');
+  }
+
+  const inviteLink = `${process.env.ADMIN_INVITE_URL || 'https://foremade.vercel.app/admin/accept-invite'}?token=${inviteToken}`;
+  const mailOptions = {
+    from: `"FOREMADE Support" <${process.env.SUPPORT_EMAIL || process.env.EMAIL_USER || 'support@foremade.com'}>`,
+    to: email,
+    subject: 'You Have Been Invited to the FOREMADE Admin Team',
+    html: `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1.0"/>
+  <title>Admin Invitation</title>
+  <style>
+    body { margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #ffffff; color: #0F2940; }
+    .header { background-color: #0F2940; text-align: center; padding: 40px 20px; }
+    .header img { max-width: 180px; margin-bottom: 10px; }
+    .header h2 { color: #ffffff; font-size: 22px; margin-top: 10px; }
+    .content { max-width: 600px; margin: 0 auto; padding: 40px 25px; background-color: #ffffff; text-align: center; }
+    .content h1 { color: #D9782D; font-size: 24px; margin-bottom: 20px; }
+    .content p { font-size: 16px; line-height: 1.6; margin-bottom: 25px; }
+    .button { display: inline-block; background-color: #0F2940; color: #ffffff; padding: 14px 28px; border-radius: 5px; text-decoration: none; font-weight: bold; font-size: 15px; margin-top: 10px; }
+    .footer { background-color: #F4F4F4; padding: 30px 20px; text-align: center; font-size: 13px; color: #666666; }
+    .footer a { color: #0F2940; text-decoration: none; }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <img src="https://foremade.com/assets/logi-DGW4y32z.png" alt="FOREMADE Logo" />
+    <h2>Admin Invitation</h2>
+  </div>
+  <div class="content">
+    <h1>Join the FOREMADE Admin Team</h1>
+    <p>Hi there,</p>
+    <p>You have been invited to join the FOREMADE admin dashboard with the <strong>${role}</strong> role. Sign in with this email address and accept the invitation:</p>
+    <a href="${inviteLink}" class="button">Accept Invitation</a>
+    <p>This invitation can only be used once and expires on ${expiresAt.toUTCString()}. If you were not expecting it, you can ignore this email.</p>
+    <p style="margin-top: 40px;">Thank you!</p>
+    <p><strong>The FOREMADE Team</strong></p>
+  </div>
+  <div class="footer">
+    <p>Questions? Contact us at <a href="mailto:support@foremade.com">support@foremade.com</a><br />
+    You received this email because a FOREMADE administrator invited this address to the admin team.</p>
+    <p>© 2025 FOREMADE. All rights reserved.</p>
+  </div>
+</body>
+</html>`
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log(`Admin invite email sent to ${email}`);
+  } catch (error) {
+    console.error(`Failed to send admin invite email to ${email}:`, error);
+    throw new Error(`Failed to send admin invite email: ${error.message}`);
+  }
+}
+
+// Erasure request emails: `received` when a request is filed, then `completed` or `rejected` after admin review
+const ERASURE_EMAIL_COPY = {
+  received: {
+    subject: 'We Received Your Data Erasure Request - FOREMADE',
+    heading: 'Erasure Request Received',
+    body: 'We have received your request to erase the personal data on your FOREMADE account. Our team will review it and email you once it has been processed, usually within 30 days.',
+  },
+  completed: {
+    subject: 'Your Personal Data Has Been Erased - FOREMADE',
+    heading: 'Your Data Has Been Erased',
+    body: 'Your FOREMADE account has been closed and the personal data on it has been erased. Records we are legally required to keep for accounting, such as transaction amounts and dates, are retained without your personal details.',
+  },
+  rejected: {
+    subject: 'Update on Your Data Erasure Request - FOREMADE',
+    heading: 'We Could Not Process Your Request',
+    body: 'We were unable to complete your data erasure request.',
+  },
+};
+
+async function sendErasureRequestEmail({ email, status, reason }) {
+  if (!email || !/\S+@\S+\.\S+/.test(email)) {
+    throw new Error('Valid email is required');
+  }
+  const copy = ERASURE_EMAIL_COPY[status];
+  if (!copy) {
+    throw new Error(`Unknown erasure email status: ${status}`);
+  }
+
+  const mailOptions = {
+    from: `"FOREMADE Support" <${process.env.SUPPORT_EMAIL || process.env.EMAIL_USER || 'support@foremade.com'}>`,
+    to: email,
+    subject: copy.subject,
+    html: `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1.0"/>
+  <title>${copy.heading}</title>
+  <style>
+    body { margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #ffffff; color: #0F2940; }
+    .header { background-color: #0F2940; text-align: center; padding: 40px 20px; }
+    .header img { max-width: 180px; margin-bottom: 10px; }
+    .header h2 { color: #ffffff; font-size: 22px; margin-top: 10px; }
+    .content { max-width: 600px; margin: 0 auto; padding: 40px 25px; background-color: #ffffff; text-align: center; }
+    .content h1 { color: #D9782D; font-size: 24px; margin-bottom: 20px; }
+    .content p { font-size: 16px; line-height: 1.6; margin-bottom: 25px; }
+    .footer { background-color: #F4F4F4; padding: 30px 20px; text-align: center; font-size: 13px; color: #666666; }
+    .footer a { color: #0F2940; text-decoration: none; }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <img src="https://foremade.com/assets/logi-DGW4y32z.png" alt="FOREMADE Logo" />
+    <h2>Your Data</h2>
+  </div>
+  <div class="content">
+    <h1>${copy.heading}</h1>
+    <p>Hi there,</p>
+    <p>${copy.body}</p>
+    ${reason ? `<p><strong>Reason:</strong> ${escapeHtml(reason)}</p>` : ''}
+    <p>If you have any questions, contact us at <a href="mailto:support@foremade.com">support@foremade.com</a>.</p>
+    <p style="margin-top: 40px;">Thank you!</p>
+    <p><strong>The FOREMADE Team</strong></p>
+  </div>
+  <div class="footer">
+    <p>Questions? Contact us at <a href="mailto:support@foremade.com">support@foremade.com</a><br />
+    You received this email because a data erasure request was made for your account at <a href="https://foremade.com">foremade.com</a>.</p>
+    <p>© 2025 FOREMADE. All rights reserved.</p>
+  </div>
+</body>
+</html>`
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log(`Erasure request (${status}) email sent to ${email}`);
+  } catch (error) {
+    console.error(`Failed to send erasure request email to ${email}:`, error);
+    throw new Error(`Failed to send erasure request email: ${error.message}`);
+  }
+}
+
+async function sendLowStockAlertEmail({ email, items, threshold }) {
+  if (!email || !/\S+@\S+\.\S+/.test(email)) {
+    throw new Error('Valid email is required');
+  }
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new Error('Items are required');
+  }
+
+  const rows = items.map(item => `
+      <tr>
+        <td style="padding: 8px; border-bottom: 1px solid #eeeeee; text-align: left;">${escapeHtml(item.name || item.productId)}${item.sku ? ` (${escapeHtml(item.sku)})` : ''}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #eeeeee; text-align: right;">${item.remaining}</td>
+      </tr>`).join('');
+
+  const mailOptions = {
+    from: `"FOREMADE Support" <${process.env.SUPPORT_EMAIL || process.env.EMAIL_USER || 'support@foremade.com'}>`,
+    to: email,
+    subject: 'Low Stock Alert - FOREMADE',
+    html: `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1.0"/>
+  <title>Low Stock Alert</title>
+  <style>
+    body { margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #ffffff; color: #0F2940; }
+    .header { background-color: #0F2940; text-align: center; padding: 40px 20px; }
+    .header img { max-width: 180px; margin-bottom: 10px; }
+    .header h2 { color: #ffffff; font-size: 22px; margin-top: 10px; }
+    .content { max-width: 600px; margin: 0 auto; padding: 40px 25px; background-color: #ffffff; text-align: center; }
+    .content h1 { color: #D9782D; font-size: 24px; margin-bottom: 20px; }
+    .content p { font-size: 16px; line-height: 1.6; margin-bottom: 25px; }
+    .content table { width: 100%; border-collapse: collapse; margin-bottom: 25px; font-size: 15px; }
+    .footer { background-color: #F4F4F4; padding: 30px 20px; text-align: center; font-size: 13px; color: #666666; }
+    .footer a { color: #0F2940; text-decoration: none; }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <img src="https://foremade.com/assets/logi-DGW4y32z.png" alt="FOREMADE Logo" />
+    <h2>Inventory</h2>
+  </div>
+  <div class="content">
+    <h1>Some of Your Items Are Running Low</h1>
+    <p>Hi there,</p>
+    <p>The following items have ${threshold} or fewer units left after recent sales. Restock them from your seller dashboard so buyers can keep ordering.</p>
+    <table>
+      <tr>
+        <th style="padding: 8px; border-bottom: 2px solid #0F2940; text-align: left;">Item</th>
+        <th style="padding: 8px; border-bottom: 2px solid #0F2940; text-align: right;">Units left</th>
+      </tr>${rows}
+    </table>
+    <p style="margin-top: 40px;">Thank you!</p>
+    <p><strong>The FOREMADE Team</strong></p>
+  </div>
+  <div class="footer">
+    <p>Questions? Contact us at <a href="mailto:support@foremade.com">support@foremade.com</a><br />
+    You received this email because you sell on <a href="https://foremade.com">foremade.com</a>.</p>
+    <p>© 2025 FOREMADE. All rights reserved.</p>
+  </div>
+</body>
+</html>`
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log(`Low stock alert sent to ${email} for ${items.length} item(s)`);
+  } catch (error) {
+    console.error(`Failed to send low stock alert to ${email}:`, error);
+    throw new Error(`Failed to send low stock alert: ${error.message}`);
+  }
+}
+
+async function sendOversoldStockEmail({ email, reference, items }) {
+  if (!email || !/\S+@\S+\.\S+/.test(email)) {
+    throw new Error('Valid email is required');
+  }
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new Error('Items are required');
+  }
+
+  const rows = items.map(item => `
+      <tr>
+        <td style="padding: 8px; border-bottom: 1px solid #eeeeee; text-align: left;">${escapeHtml(item.name || item.productId)}${item.sku ? ` (${escapeHtml(item.sku)})` : ''}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #eeeeee; text-align: right;">${item.quantity}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #eeeeee; text-align: right;">${item.shortfall}</td>
+      </tr>`).join('');
+
+  const mailOptions = {
+    from: `"FOREMADE Support" <${process.env.SUPPORT_EMAIL || process.env.EMAIL_USER || 'support@foremade.com'}>`,
+    to: email,
+    subject: 'Action Needed: Order Exceeds Your Stock - FOREMADE',
+    html: `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1.0"/>
+  <title>Order Exceeds Your Stock</title>
+  <style>
+    body { margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #ffffff; color: #0F2940; }
+    .header { background-color: #0F2940; text-align: center; padding: 40px 20px; }
+    .header img { max-width: 180px; margin-bottom: 10px; }
+    .header h2 { color: #ffffff; font-size: 22px; margin-top: 10px; }
+    .content { max-width: 600px; margin: 0 auto; padding: 40px 25px; background-color: #ffffff; text-align: center; }
+    .content h1 { color: #D9782D; font-size: 24px; margin-bottom: 20px; }
+    .content p { font-size: 16px; line-height: 1.6; margin-bottom: 25px; }
+    .content table { width: 100%; border-collapse: collapse; margin-bottom: 25px; font-size: 15px; }
+    .footer { background-color: #F4F4F4; padding: 30px 20px; text-align: center; font-size: 13px; color: #666666; }
+    .footer a { color: #0F2940; text-decoration: none; }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <img src="https://foremade.com/assets/logi-DGW4y32z.png" alt="FOREMADE Logo" />
+    <h2>Inventory</h2>
+  </div>
+  <div class="content">
+    <h1>An Order Exceeds Your Stock</h1>
+    <p>Hi there,</p>
+    <p>Payment ${escapeHtml(reference)} was completed after its stock hold expired, and by then some of the items below had already sold. Please restock them or contact our support team so the buyer can be refunded for what cannot be sent.</p>
+    <table>
+      <tr>
+        <th style="padding: 8px; border-bottom: 2px solid #0F2940; text-align: left;">Item</th>
+        <th style="padding: 8px; border-bottom: 2px solid #0F2940; text-align: right;">Ordered</th>
+        <th style="padding: 8px; border-bottom: 2px solid #0F2940; text-align: right;">Short by</th>
+      </tr>${rows}
+    </table>
+    <p style="margin-top: 40px;">Thank you!</p>
+    <p><strong>The FOREMADE Team</strong></p>
+  </div>
+  <div class="footer">
+    <p>Questions? Contact us at <a href="mailto:support@foremade.com">support@foremade.com</a><br />
+    You received this email because you sell on <a href="https://foremade.com">foremade.com</a>.</p>
+    <p>© 2025 FOREMADE. All rights reserved.</p>
+  </div>
+</body>
+</html>`
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log(`Oversold stock alert sent to ${email} for ${items.length} item(s)`);
+  } catch (error) {
+    console.error(`Failed to send oversold stock alert to ${email}:`, error);
+    throw new Error(`Failed to send oversold stock alert: ${error.message}`);
+  }
+}
+
 
 module.exports = {
   sendDispatchEmail,
@@ -1169,6 +1534,11 @@ module.exports = {
   sendEmailVerification,
   sendSellerOrderNotification,
   sendPasswordResetEmail,
+  sendPasswordChangedEmail,
+  sendAdminInviteEmail,
+  sendErasureRequestEmail,
+  sendLowStockAlertEmail,
+  sendOversoldStockEmail,
   sendInactiveUserReminder,
   // sendProSellerRequestReceived, // Removed as it is not defined
   sendProductBumpReceipt,
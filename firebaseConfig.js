@@ -1,6 +1,15 @@
 const { initializeApp } = require('firebase/app');
-const { getFirestore } = require('firebase/firestore');
-const { getAuth } = require('firebase/auth'); // Added for auth
+const { getFirestore, connectFirestoreEmulator } = require('firebase/firestore');
+const { getAuth, connectAuthEmulator } = require('firebase/auth'); // Added for auth
+
+const isProduction = process.env.NODE_ENV === 'production';
+
+// Local emulators (`firebase emulators:start`). FIREBASE_AUTH_EMULATOR_HOST is also read by the Admin SDK itself.
+const authEmulatorHost = process.env.FIREBASE_AUTH_EMULATOR_HOST;
+const firestoreEmulatorHost = process.env.FIRESTORE_EMULATOR_HOST;
+if (isProduction && (authEmulatorHost || firestoreEmulatorHost)) {
+  throw new Error('Firebase emulators cannot be used when NODE_ENV=production; unset FIREBASE_AUTH_EMULATOR_HOST and FIRESTORE_EMULATOR_HOST');
+}
 
 // Client SDK config (for direct Firestore access)
 const firebaseConfig = {
@@ -16,4 +25,51 @@ const appFirebase = initializeApp(firebaseConfig);
 const db = getFirestore(appFirebase);
 const auth = getAuth(appFirebase); // Initialize auth
 
-module.exports = { db, auth };
\ No newline at end of file
+const splitHost = (hostPort) => {
+  const [host, port] = hostPort.split(':');
+  return { host, port: Number(port) };
+};
+
+if (firestoreEmulatorHost) {
+  const { host, port } = splitHost(firestoreEmulatorHost);
+  connectFirestoreEmulator(db, host, port);
+  console.log(`Using Firestore emulator at ${firestoreEmulatorHost}`);
+}
+if (authEmulatorHost) {
+  connectAuthEmulator(auth, `http://${authEmulatorHost}`, { disableWarnings: true });
+  console.log(`Using Firebase Auth emulator at ${authEmulatorHost}`);
+}
+
+/**
+ * Admin SDK (server credentials) - needed to verify ID tokens and manage Auth users. Credentials come from
+ * FIREBASE_SERVICE_ACCOUNT_KEY (the service account JSON) or GOOGLE_APPLICATION_CREDENTIALS (a path to it).
+ * Against the Auth emulator no credentials are needed, only FIREBASE_PROJECT_ID.
+ * Left undefined when none of these are set.
+ */
+function initializeAdminAuth() {
+  const options = { projectId: process.env.FIREBASE_PROJECT_ID };
+  const admin = require('firebase-admin');
+  if (process.env.FIREBASE_SERVICE_ACCOUNT_KEY) {
+    options.credential = admin.credential.cert(JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT_KEY));
+  } else if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+    options.credential = admin.credential.applicationDefault();
+  } else if (!authEmulatorHost) {
+    return undefined;
+  }
+  const adminApp = admin.apps.length ? admin.app() : admin.initializeApp(options);
+  return adminApp.auth();
+}
+
+let adminAuth;
+try {
+  adminAuth = initializeAdminAuth();
+} catch (error) {
+  console.error('Failed to initialize Firebase Admin SDK:', error.message);
+}
+if (!adminAuth) {
+  const message = 'Firebase Admin SDK is not configured: set FIREBASE_SERVICE_ACCOUNT_KEY or GOOGLE_APPLICATION_CREDENTIALS (or FIREBASE_AUTH_EMULATOR_HOST locally). Authenticated routes will reject every request.';
+  if (isProduction) console.error(message);
+  else console.warn(message);
+}
+
+module.exports = { db, auth, adminAuth };
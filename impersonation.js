@@ -0,0 +1,159 @@
+// Support impersonation ("view as user"). An admin with `users:impersonate` starts a time-boxed session for a
+// user and gets a token to send in the x-impersonation-token header next to their own Firebase ID token.
+// authenticateFirebaseToken then runs the request as that user, read-only. Sessions live in
+// `impersonationSessions/{sessionId}`, and every request made through one is logged in its `requests` subcollection.
+const {
+  collection, doc, getDoc, getDocs, addDoc, setDoc, updateDoc, query, where, increment, serverTimestamp, Timestamp,
+} = require('firebase/firestore');
+const { db } = require('./firebaseConfig');
+const { resolveAdmin, hasPermission } = require('./rbac');
+const { signToken, verifyToken } = require('./tokenSigner');
+
+const IMPERSONATION_SECRET_ENV = 'IMPERSONATION_TOKEN_SECRET';
+const IMPERSONATION_TOKEN_TYPE = 'impersonation';
+const DEFAULT_DURATION_MINUTES = 15;
+const MAX_DURATION_MINUTES = 60;
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const toIso = (value) => value?.toDate?.().toISOString() || null;
+
+const serializeSession = (id, session) => ({
+  id,
+  adminUid: session.adminUid,
+  adminEmail: session.adminEmail,
+  targetUid: session.targetUid,
+  targetEmail: session.targetEmail,
+  reason: session.reason,
+  startedAt: toIso(session.startedAt),
+  expiresAt: toIso(session.expiresAt),
+  endedAt: toIso(session.endedAt),
+  endedBy: session.endedBy || null,
+  requestCount: session.requestCount || 0,
+  active: !session.endedAt && session.expiresAt?.toDate?.() > new Date(),
+});
+
+/**
+ * Starts a session for `admin` ({ uid, email }) to view the API as `targetUid`.
+ * Returns { ok: true, session, token } or { ok: false, status, error }.
+ */
+async function startImpersonation({ admin, targetUid, reason, durationMinutes = DEFAULT_DURATION_MINUTES }) {
+  if (targetUid === admin.uid) {
+    return { ok: false, status: 400, error: 'You cannot impersonate yourself' };
+  }
+  const targetSnap = await getDoc(doc(db, 'users', targetUid));
+  if (!targetSnap.exists()) {
+    return { ok: false, status: 404, error: 'User not found' };
+  }
+  // Staff accounts are never impersonated, so support cannot borrow someone else's admin view. Any email
+  // match counts as staff here, verified or not.
+  if (await resolveAdmin({ uid: targetUid, email: targetSnap.data().email, emailVerified: true })) {
+    return { ok: false, status: 403, error: 'Admin accounts cannot be impersonated' };
+  }
+
+  const minutes = Math.min(Math.max(Number(durationMinutes) || DEFAULT_DURATION_MINUTES, 1), MAX_DURATION_MINUTES);
+  const expiresAt = new Date(Date.now() + minutes * 60 * 1000);
+  const sessionRef = doc(collection(db, 'impersonationSessions'));
+  const session = {
+    adminUid: admin.uid,
+    adminEmail: admin.email || null,
+    targetUid,
+    targetEmail: targetSnap.data().email || null,
+    reason,
+    startedAt: Timestamp.now(),
+    expiresAt: Timestamp.fromDate(expiresAt),
+    endedAt: null,
+    requestCount: 0,
+  };
+  await setDoc(sessionRef, session);
+
+  const token = signToken(
+    { typ: IMPERSONATION_TOKEN_TYPE, jti: sessionRef.id, sub: targetUid, act: admin.uid },
+    { expiresInSeconds: minutes * 60, secretEnv: IMPERSONATION_SECRET_ENV }
+  );
+  return { ok: true, session: serializeSession(sessionRef.id, session), token };
+}
+
+/**
+ * Ends a session early. Returns { ok: true, session } or { ok: false, status, error }.
+ */
+async function endImpersonation(sessionId, { actorUid }) {
+  const sessionRef = doc(db, 'impersonationSessions', sessionId);
+  const sessionSnap = await getDoc(sessionRef);
+  if (!sessionSnap.exists()) {
+    return { ok: false, status: 404, error: 'Impersonation session not found' };
+  }
+  if (!serializeSession(sessionId, sessionSnap.data()).active) {
+    return { ok: false, status: 400, error: 'Impersonation session has already ended' };
+  }
+  await updateDoc(sessionRef, { endedAt: serverTimestamp(), endedBy: actorUid });
+  return { ok: true, session: serializeSession(sessionId, { ...sessionSnap.data(), endedAt: Timestamp.now(), endedBy: actorUid }) };
+}
+
+async function listImpersonations({ adminUid, targetUid, active } = {}) {
+  const filters = [];
+  if (adminUid) filters.push(where('adminUid', '==', adminUid));
+  if (targetUid) filters.push(where('targetUid', '==', targetUid));
+  const snap = await getDocs(query(collection(db, 'impersonationSessions'), ...filters));
+  return snap.docs
+    .map(sessionDoc => serializeSession(sessionDoc.id, sessionDoc.data()))
+    .filter(session => active === undefined || session.active === active)
+    .sort((a, b) => (b.startedAt || '').localeCompare(a.startedAt || ''));
+}
+
+async function listImpersonatedRequests(sessionId) {
+  const snap = await getDocs(collection(db, 'impersonationSessions', sessionId, 'requests'));
+  return snap.docs
+    .map(requestDoc => ({ ...requestDoc.data(), at: toIso(requestDoc.data().at) }))
+    .sort((a, b) => (a.at || '').localeCompare(b.at || ''));
+}
+
+/**
+ * Checks an impersonation token presented by the signed-in admin `actor` (the decoded ID token). The session
+ * must still be active and the admin must still hold `users:impersonate`.
+ * Returns { ok: true, session } or { ok: false, status, error }.
+ */
+async function resolveImpersonation(token, actor) {
+  const claims = verifyToken(token, { secretEnv: IMPERSONATION_SECRET_ENV });
+  if (!claims || claims.typ !== IMPERSONATION_TOKEN_TYPE || claims.act !== actor.uid) {
+    return { ok: false, status: 403, error: 'Invalid or expired impersonation token' };
+  }
+  const sessionSnap = await getDoc(doc(db, 'impersonationSessions', claims.jti));
+  const session = sessionSnap.exists() ? serializeSession(sessionSnap.id, sessionSnap.data()) : null;
+  if (!session || !session.active) {
+    return { ok: false, status: 403, error: 'Impersonation session has ended' };
+  }
+  const admin = await resolveAdmin({ uid: actor.uid, email: actor.email, emailVerified: actor.email_verified === true });
+  if (!admin || !hasPermission(admin.permissions, 'users:impersonate')) {
+    return { ok: false, status: 403, error: 'Forbidden: Missing permission users:impersonate' };
+  }
+  return { ok: true, session };
+}
+
+// Appends one request to the session's log; failures are logged but never block the request
+async function logImpersonatedRequest(sessionId, req) {
+  try {
+    await addDoc(collection(db, 'impersonationSessions', sessionId, 'requests'), {
+      method: req.method,
+      path: req.originalUrl,
+      requestId: req.id || null,
+      at: serverTimestamp(),
+    });
+    await updateDoc(doc(db, 'impersonationSessions', sessionId), { requestCount: increment(1), lastRequestAt: serverTimestamp() });
+  } catch (error) {
+    console.error('Failed to log impersonated request:', error.message || error);
+  }
+}
+
+const isReadOnlyMethod = (method) => READ_ONLY_METHODS.includes(method);
+
+module.exports = {
+  DEFAULT_DURATION_MINUTES,
+  MAX_DURATION_MINUTES,
+  startImpersonation,
+  endImpersonation,
+  listImpersonations,
+  listImpersonatedRequests,
+  resolveImpersonation,
+  logImpersonatedRequest,
+  isReadOnlyMethod,
+};
@@ -0,0 +1,203 @@
+const express = require('express');
+const { verifyAndCheckAdmin } = require('./verifyAndCheckAdmin');
+const { authorize } = require('./rbac');
+const { recordAudit } = require('./auditLog');
+const {
+  MAX_DURATION_MINUTES, startImpersonation, endImpersonation, listImpersonations, listImpersonatedRequests,
+} = require('./impersonation');
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/admin/impersonation:
+ *   post:
+ *     summary: Start viewing the API as a user
+ *     description: Returns a read-only impersonation token. Send it in the x-impersonation-token header together with your own Firebase ID token; routes using authenticateFirebaseToken then act as the user. Only GET requests are allowed, and every request is logged against the session.
+ *     tags: [Impersonation]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *               - reason
+ *             properties:
+ *               userId:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *                 example: "Ticket #1234 - seller cannot see pending balance"
+ *               durationMinutes:
+ *                 type: integer
+ *                 default: 15
+ *                 maximum: 60
+ *     responses:
+ *       201:
+ *         description: Impersonation session started
+ *       400:
+ *         description: Missing reason or impersonating yourself
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin accounts cannot be impersonated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ */
+router.post('/api/admin/impersonation', verifyAndCheckAdmin, authorize('users:impersonate'), async (req, res) => {
+  try {
+    const { userId, reason, durationMinutes } = req.body || {};
+    if (!userId) {
+      return res.status(400).json({ error: 'userId is required' });
+    }
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({ error: 'A reason is required to impersonate a user' });
+    }
+
+    const result = await startImpersonation({
+      admin: { uid: req.user.uid, email: req.user.email },
+      targetUid: userId,
+      reason: reason.trim(),
+      durationMinutes,
+    });
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await recordAudit(req, {
+      action: 'user.impersonation.start',
+      targetType: 'user',
+      targetId: userId,
+      metadata: { sessionId: result.session.id, reason: result.session.reason, expiresAt: result.session.expiresAt },
+    });
+    res.status(201).json({
+      message: `Impersonating ${result.session.targetEmail || userId} until ${result.session.expiresAt}`,
+      impersonationToken: result.token,
+      session: result.session,
+      maxDurationMinutes: MAX_DURATION_MINUTES,
+    });
+  } catch (error) {
+    console.error('Start impersonation error:', error);
+    res.status(500).json({ error: 'Failed to start impersonation', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/impersonation/{sessionId}:
+ *   delete:
+ *     summary: End an impersonation session
+ *     description: Call without the x-impersonation-token header (impersonated requests are read-only).
+ *     tags: [Impersonation]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session ended
+ *       400:
+ *         description: Session has already ended
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/api/admin/impersonation/:sessionId', verifyAndCheckAdmin, authorize('users:impersonate'), async (req, res) => {
+  try {
+    const result = await endImpersonation(req.params.sessionId, { actorUid: req.user.uid });
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    await recordAudit(req, {
+      action: 'user.impersonation.end',
+      targetType: 'user',
+      targetId: result.session.targetUid,
+      metadata: { sessionId: result.session.id, startedBy: result.session.adminUid, requestCount: result.session.requestCount },
+    });
+    res.json({ message: 'Impersonation session ended', session: result.session });
+  } catch (error) {
+    console.error('End impersonation error:', error);
+    res.status(500).json({ error: 'Failed to end impersonation', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/impersonation:
+ *   get:
+ *     summary: List impersonation sessions
+ *     tags: [Impersonation]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: adminUid
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: targetUid
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Sessions, newest first
+ */
+router.get('/api/admin/impersonation', verifyAndCheckAdmin, authorize('audit:read'), async (req, res) => {
+  try {
+    const { adminUid, targetUid, active } = req.query;
+    const sessions = await listImpersonations({
+      adminUid,
+      targetUid,
+      active: active === undefined ? undefined : active === 'true',
+    });
+    res.json({ sessions });
+  } catch (error) {
+    console.error('List impersonation sessions error:', error);
+    res.status(500).json({ error: 'Failed to fetch impersonation sessions', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/impersonation/{sessionId}/requests:
+ *   get:
+ *     summary: List the requests made during an impersonation session
+ *     tags: [Impersonation]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Requests in the order they were made
+ */
+router.get('/api/admin/impersonation/:sessionId/requests', verifyAndCheckAdmin, authorize('audit:read'), async (req, res) => {
+  try {
+    res.json({ sessionId: req.params.sessionId, requests: await listImpersonatedRequests(req.params.sessionId) });
+  } catch (error) {
+    console.error('List impersonated requests error:', error);
+    res.status(500).json({ error: 'Failed to fetch impersonated requests', details: error.message });
+  }
+});
+
+module.exports = router;
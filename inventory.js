@@ -0,0 +1,314 @@
+// Stock tracking for checkout. Starting a Paystack payment soft-reserves the items being bought: the product
+// (or variant) keeps its `stock` but its `reserved` count goes up, so other checkouts only see what is left.
+// A successful charge commits the reservation and takes the quantity off `stock` in the same transaction;
+// payments that are never completed expire and their reservation is released. Products whose `stock` is
+// null are not tracked and are never reserved.
+const {
+  collection, doc, getDoc, getDocs, query, where, runTransaction, serverTimestamp, Timestamp,
+} = require('firebase/firestore');
+const { db } = require('./firebaseConfig');
+const { findVariant } = require('./productVariants');
+const emailService = require('./emailService');
+
+const RESERVATION_TTL_MS = (parseInt(process.env.STOCK_RESERVATION_TTL_MINUTES, 10) || 30) * 60 * 1000;
+const RESERVATION_EXPIRY_SWEEP_INTERVAL_MS = 60 * 1000;
+const LOW_STOCK_THRESHOLD = parseInt(process.env.LOW_STOCK_THRESHOLD, 10) || 5;
+const MAX_RESERVATION_ITEMS = 50;
+const MAX_ITEM_QUANTITY = parseInt(process.env.MAX_CHECKOUT_ITEM_QUANTITY, 10) || 20;
+
+const isTracked = (stock) => typeof stock === 'number';
+
+/**
+ * Checks checkout items ([{ productId, variantId, quantity }]). Returns { items } with quantities of the
+ * same product/variant merged, or { error }. Each product/variant is capped at MAX_ITEM_QUANTITY per checkout
+ * so one buyer cannot hold a listing's whole stock.
+ */
+function normalizeItems(items) {
+  if (!Array.isArray(items) || !items.length) return { error: 'items must be a non-empty array' };
+  if (items.length > MAX_RESERVATION_ITEMS) return { error: `At most ${MAX_RESERVATION_ITEMS} items can be bought at once` };
+
+  const merged = new Map();
+  for (const [i, item] of items.entries()) {
+    if (typeof item?.productId !== 'string' || !item.productId || item.productId.includes('/')) {
+      return { error: `Item ${i + 1} needs a productId` };
+    }
+    if (item.variantId !== undefined && item.variantId !== null && typeof item.variantId !== 'string') {
+      return { error: `Item ${i + 1} has an invalid variantId` };
+    }
+    if (!Number.isInteger(item.quantity) || item.quantity < 1) {
+      return { error: `Item ${i + 1} needs a positive integer quantity` };
+    }
+    const key = `${item.productId}:${item.variantId || ''}`;
+    const existing = merged.get(key);
+    merged.set(key, {
+      productId: item.productId,
+      variantId: item.variantId || null,
+      quantity: (existing?.quantity || 0) + item.quantity,
+    });
+    if (merged.get(key).quantity > MAX_ITEM_QUANTITY) {
+      return { error: `At most ${MAX_ITEM_QUANTITY} of each item can be bought at once` };
+    }
+  }
+  return { items: [...merged.values()] };
+}
+
+// Reads every product an item list touches, inside a transaction (all reads must come before writes)
+async function readProducts(tx, items) {
+  const products = new Map();
+  for (const productId of new Set(items.map(item => item.productId))) {
+    const productSnap = await tx.get(doc(db, 'products', productId));
+    products.set(productId, productSnap.exists() ? { ...productSnap.data() } : null);
+  }
+  return products;
+}
+
+// The stock record an item draws from: the variant when one is given, otherwise the product itself
+const stockHolder = (product, item) => (item.variantId ? findVariant(product, item.variantId) : product);
+
+const availableOf = (holder) => holder.stock - (holder.reserved || 0);
+
+// Fields to write back after the in-memory product copy has been adjusted
+const stockFields = (product) => ({
+  stock: product.stock,
+  reserved: product.reserved || 0,
+  ...(product.hasVariants && { variants: product.variants }),
+  updatedAt: serverTimestamp(),
+});
+
+/**
+ * Soft-reserves stock for a checkout identified by its payment `reference`.
+ * Returns { ok: true, reservation } or { ok: false, status, error, details } when an item is unknown or
+ * there is not enough unreserved stock left.
+ */
+async function reserveStock(reference, rawItems) {
+  const { items, error } = normalizeItems(rawItems);
+  if (error) return { ok: false, status: 400, error: 'Invalid items', details: error };
+
+  const reservationRef = doc(db, 'stockReservations', reference);
+  return runTransaction(db, async (tx) => {
+    const products = await readProducts(tx, items);
+    const shortages = [];
+
+    for (const item of items) {
+      const product = products.get(item.productId);
+      if (!product) return { ok: false, status: 404, error: 'Product not found', details: item.productId };
+      if (product.status !== 'approved') {
+        return { ok: false, status: 409, error: 'Product is not available for sale', details: item.productId };
+      }
+      if (product.hasVariants && !item.variantId) {
+        return { ok: false, status: 400, error: 'Invalid items', details: `Product ${item.productId} needs a variantId` };
+      }
+      const holder = stockHolder(product, item);
+      if (!holder) return { ok: false, status: 404, error: 'Variant not found', details: `${item.productId}/${item.variantId}` };
+      if (!isTracked(holder.stock)) continue;
+
+      if (availableOf(holder) < item.quantity) {
+        shortages.push(`${product.name || item.productId}${holder.sku ? ` (${holder.sku})` : ''}: ${Math.max(availableOf(holder), 0)} left`);
+        continue;
+      }
+      holder.reserved = (holder.reserved || 0) + item.quantity;
+      if (holder !== product) product.reserved = (product.reserved || 0) + item.quantity;
+    }
+    if (shortages.length) {
+      return { ok: false, status: 409, error: 'Not enough stock', details: shortages.join('; ') };
+    }
+
+    products.forEach((product, productId) => tx.update(doc(db, 'products', productId), stockFields(product)));
+    const reservation = {
+      reference,
+      items,
+      status: 'active',
+      expiresAt: Timestamp.fromDate(new Date(Date.now() + RESERVATION_TTL_MS)),
+      createdAt: serverTimestamp(),
+    };
+    tx.set(reservationRef, reservation);
+    return { ok: true, reservation };
+  });
+}
+
+/**
+ * Releases an active reservation, making its stock available again. `status` records why
+ * (`released` or `expired`). Returns true when this call released it.
+ */
+async function releaseReservation(reference, status = 'released') {
+  const reservationRef = doc(db, 'stockReservations', reference);
+  return runTransaction(db, async (tx) => {
+    const reservationSnap = await tx.get(reservationRef);
+    if (!reservationSnap.exists() || reservationSnap.data().status !== 'active') return false;
+
+    const { items } = reservationSnap.data();
+    const products = await readProducts(tx, items);
+    for (const item of items) {
+      const product = products.get(item.productId);
+      if (!product) continue;
+      const holder = stockHolder(product, item);
+      if (!holder) {
+        // The seller removed the variant while the checkout was open; its hold still counts on the product
+        product.reserved = Math.max((product.reserved || 0) - item.quantity, 0);
+        continue;
+      }
+      if (!isTracked(holder.stock)) continue;
+      holder.reserved = Math.max((holder.reserved || 0) - item.quantity, 0);
+      if (holder !== product) product.reserved = Math.max((product.reserved || 0) - item.quantity, 0);
+    }
+
+    products.forEach((product, productId) => {
+      if (product) tx.update(doc(db, 'products', productId), stockFields(product));
+    });
+    tx.update(reservationRef, { status, releasedAt: serverTimestamp() });
+    return true;
+  });
+}
+
+/**
+ * Takes a paid checkout's items off stock. Called from the Paystack webhook, which can deliver the same
+ * event more than once, so a reservation is only committed once. A reservation that already expired is
+ * still committed (the buyer has paid); stock is then taken directly and floored at zero, and any quantity
+ * that was no longer available is recorded as oversold in `stockOversells/{reference}` for follow-up.
+ * Returns { ok: true, committed, lowStock, oversold } where `lowStock` lists items that dropped to the alert
+ * threshold and `oversold` items sold beyond the available stock.
+ */
+async function commitReservation(reference) {
+  const reservationRef = doc(db, 'stockReservations', reference);
+  return runTransaction(db, async (tx) => {
+    const reservationSnap = await tx.get(reservationRef);
+    if (!reservationSnap.exists()) return { ok: true, committed: false, lowStock: [], oversold: [] };
+    const reservation = reservationSnap.data();
+    if (reservation.status === 'committed') return { ok: true, committed: false, lowStock: [], oversold: [] };
+
+    const wasReserved = reservation.status === 'active';
+    const products = await readProducts(tx, reservation.items);
+    const lowStock = [];
+    const oversold = [];
+    for (const item of reservation.items) {
+      const product = products.get(item.productId);
+      if (!product) continue;
+      const holder = stockHolder(product, item);
+      if (!holder) {
+        // Variant removed since checkout: nothing left to take stock from, but release its hold on the product
+        if (wasReserved) product.reserved = Math.max((product.reserved || 0) - item.quantity, 0);
+        continue;
+      }
+      if (!isTracked(holder.stock)) continue;
+
+      const availableBefore = availableOf(holder) + (wasReserved ? item.quantity : 0);
+      if (availableBefore < item.quantity) {
+        oversold.push({
+          productId: item.productId,
+          variantId: item.variantId || null,
+          sellerId: product.sellerId || null,
+          name: product.name || null,
+          sku: holder.sku || null,
+          quantity: item.quantity,
+          shortfall: item.quantity - Math.max(availableBefore, 0),
+        });
+      }
+      holder.stock = Math.max(holder.stock - item.quantity, 0);
+      if (wasReserved) holder.reserved = Math.max((holder.reserved || 0) - item.quantity, 0);
+      if (holder !== product) {
+        product.stock = Math.max(product.stock - item.quantity, 0);
+        if (wasReserved) product.reserved = Math.max((product.reserved || 0) - item.quantity, 0);
+      }
+
+      // Alert once, when the item crosses the threshold rather than on every sale below it
+      const availableAfter = availableOf(holder);
+      if (availableBefore > LOW_STOCK_THRESHOLD && availableAfter <= LOW_STOCK_THRESHOLD) {
+        lowStock.push({
+          productId: item.productId,
+          sellerId: product.sellerId,
+          name: product.name,
+          sku: holder.sku || null,
+          remaining: Math.max(availableAfter, 0),
+        });
+      }
+    }
+
+    products.forEach((product, productId) => {
+      if (product) tx.update(doc(db, 'products', productId), stockFields(product));
+    });
+    tx.update(reservationRef, {
+      status: 'committed',
+      committedAt: serverTimestamp(),
+      ...(oversold.length && { oversold }),
+    });
+    if (oversold.length) {
+      tx.set(doc(db, 'stockOversells', reference), { reference, items: oversold, status: 'open', createdAt: serverTimestamp() });
+    }
+    return { ok: true, committed: true, lowStock, oversold };
+  });
+}
+
+// Groups items by seller and hands each seller's email address and items to `send`. Failures are logged,
+// not thrown, so a mail outage never fails a payment.
+async function emailSellers(items, label, send) {
+  const bySeller = new Map();
+  items.filter(item => item.sellerId).forEach(item => {
+    if (!bySeller.has(item.sellerId)) bySeller.set(item.sellerId, []);
+    bySeller.get(item.sellerId).push(item);
+  });
+
+  for (const [sellerId, sellerItems] of bySeller) {
+    try {
+      const sellerSnap = await getDoc(doc(db, 'users', sellerId));
+      const email = sellerSnap.exists() ? sellerSnap.data().email : null;
+      if (!email) {
+        console.warn(`No email on file for seller ${sellerId}; ${label} skipped`);
+        continue;
+      }
+      await send(email, sellerItems);
+    } catch (err) {
+      console.error(`${label} for seller ${sellerId} failed:`, err.message || err);
+    }
+  }
+}
+
+// Emails each seller the items of theirs that are running low
+async function sendLowStockAlerts(lowStock) {
+  await emailSellers(lowStock, 'Low-stock alert', (email, items) =>
+    emailService.sendLowStockAlertEmail({ email, items, threshold: LOW_STOCK_THRESHOLD }));
+}
+
+// Emails each seller the items of theirs sold beyond their stock, so they can restock or contact the buyer
+async function sendOversoldAlerts(reference, oversold) {
+  console.error(`Payment ${reference} oversold ${oversold.length} item(s); recorded in stockOversells`);
+  await emailSellers(oversold, 'Oversold-stock alert', (email, items) =>
+    emailService.sendOversoldStockEmail({ email, reference, items }));
+}
+
+// Releases every active reservation whose payment window has passed
+async function expireStockReservations() {
+  const staleQuery = query(
+    collection(db, 'stockReservations'),
+    where('status', '==', 'active'),
+    where('expiresAt', '<=', Timestamp.now())
+  );
+  const staleSnap = await getDocs(staleQuery);
+  let expired = 0;
+  for (const reservationDoc of staleSnap.docs) {
+    if (await releaseReservation(reservationDoc.id, 'expired')) {
+      expired += 1;
+      console.log(`Stock reservation ${reservationDoc.id} expired; stock released`);
+    }
+  }
+  return expired;
+}
+
+function startReservationExpiryScheduler(intervalMs = RESERVATION_EXPIRY_SWEEP_INTERVAL_MS) {
+  const timer = setInterval(() => {
+    expireStockReservations().catch(err => console.error('Stock reservation expiry sweep error:', err.message || err));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  RESERVATION_TTL_MS,
+  LOW_STOCK_THRESHOLD,
+  reserveStock,
+  releaseReservation,
+  commitReservation,
+  sendLowStockAlerts,
+  sendOversoldAlerts,
+  expireStockReservations,
+  startReservationExpiryScheduler,
+};
@@ -1,7 +1,14 @@
 const cors = require('cors');
 const multer = require('multer');
 const express = require('express');
+const crypto = require('crypto');
 const { adminAuth } = require('./firebaseConfig');
+const { getActiveSuspension } = require('./userManagement');
+const { consumeVerification } = require('./otpService');
+const twoFactor = require('./twoFactor');
+const { touchSession } = require('./sessions');
+const impersonation = require('./impersonation');
+const { verifyDevToken } = require('./devAuth');
 
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -73,6 +80,78 @@ const currencyMiddleware = (req, res, next) => {
   next();
 };
 
+// Request id middleware: reuse a well-formed x-request-id from the caller or generate one
+const requestIdMiddleware = (req, res, next) => {
+  const incoming = req.headers['x-request-id'];
+  req.id = typeof incoming === 'string' && /^[\w-]{8,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+  next();
+};
+
+// Which proxies Express trusts for x-forwarded-for: a hop count (default 1, the hosting platform's load balancer),
+// `false` when clients connect directly, or a comma-separated list of proxy addresses/subnets. Never `true`,
+// which would trust whatever a client puts in the header.
+const trustProxySetting = () => {
+  const value = (process.env.TRUST_PROXY || '1').trim();
+  if (value === 'false') return false;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+};
+
+// Client IP as resolved by Express from the trusted proxy hops. The left-most x-forwarded-for entry is
+// written by the client and must not be used: a new value per request would dodge every per-IP limit.
+const getClientIp = (req) => req.ip || req.socket?.remoteAddress || 'unknown';
+
+// Suspended accounts are authenticated but not allowed to use the API
+const suspendedResponse = (res, suspension) => res.status(403).json({
+  error: 'Account suspended',
+  details: suspension.reason,
+  suspendedUntil: suspension.suspendedUntil,
+});
+
+// Request details stored on the session record (see sessions.js)
+const sessionContext = (req) => ({
+  ip: getClientIp(req),
+  userAgent: req.headers['user-agent'] || '',
+  deviceName: req.headers['x-device-name'],
+});
+
+/**
+ * When the signed-in admin sends x-impersonation-token, swaps req.user for the impersonated user and logs
+ * the request against the session. Returns null on success (or when no token was sent), otherwise
+ * { status, error } to refuse the request with.
+ */
+async function applyImpersonation(req) {
+  const token = req.headers['x-impersonation-token'];
+  if (!token) return null;
+  if (!impersonation.isReadOnlyMethod(req.method)) {
+    return { status: 403, error: 'Impersonation sessions are read-only' };
+  }
+  const result = await impersonation.resolveImpersonation(token, req.user);
+  if (!result.ok) return result;
+
+  const { session } = result;
+  req.impersonation = { sessionId: session.id, adminUid: session.adminUid, adminEmail: session.adminEmail };
+  req.user = { uid: session.targetUid, email: session.targetEmail, impersonatedBy: session.adminUid };
+  await impersonation.logImpersonatedRequest(session.id, req);
+  return null;
+}
+
+/**
+ * Verifies a bearer ID token: a dev token when development auth is on (see devAuth.js), otherwise a Firebase
+ * ID token via the Admin SDK with checkRevoked, which refuses tokens issued before revokeRefreshTokens().
+ */
+async function verifyBearerToken(idToken) {
+  const devToken = verifyDevToken(idToken);
+  if (devToken) return devToken;
+  if (!adminAuth) {
+    const error = new Error('Firebase Admin SDK not configured');
+    error.code = 'auth/not-configured';
+    throw error;
+  }
+  return adminAuth.verifyIdToken(idToken, true);
+}
+
 // Firebase Authentication middleware
 const authenticateFirebaseToken = async (req, res, next) => {
   try {
@@ -86,26 +165,32 @@ const authenticateFirebaseToken = async (req, res, next) => {
 
     const idToken = authHeader.split('Bearer ')[1];
     
-    if (!adminAuth) {
-      console.warn('Firebase Admin SDK not initialized. Skipping token verification.');
-      // For development, you can use a simple token format
-      if (idToken.startsWith('token_')) {
-        const userId = idToken.split('_')[2];
-        req.user = { uid: userId };
-        return next();
-      }
-      return res.status(401).json({ error: 'Firebase Admin SDK not configured' });
+    const decodedToken = await verifyBearerToken(idToken);
+    const session = await touchSession(decodedToken, sessionContext(req));
+    if (session.revoked) {
+      return res.status(401).json({ error: 'Session revoked. Please login again.' });
     }
-
-    // Verify the Firebase ID token
-    const decodedToken = await adminAuth.verifyIdToken(idToken);
     req.user = decodedToken;
-    
+    req.sessionId = session.sessionId;
     console.log(`Authenticated user: ${decodedToken.uid}`);
+
+    const suspension = await getActiveSuspension(req.user.uid);
+    if (suspension) {
+      return suspendedResponse(res, suspension);
+    }
+
+    const impersonationFailure = await applyImpersonation(req);
+    if (impersonationFailure) {
+      return res.status(impersonationFailure.status).json({ error: impersonationFailure.error });
+    }
     next();
     
   } catch (error) {
     console.error('Firebase authentication error:', error);
+
+    if (error.code === 'auth/not-configured') {
+      return res.status(503).json({ error: 'Authentication is not configured on this server', details: error.message });
+    }
     
     if (error.code === 'auth/id-token-expired') {
       return res.status(401).json({ error: 'Token expired. Please login again.' });
@@ -135,20 +220,27 @@ const optionalAuth = async (req, res, next) => {
 
     const idToken = authHeader.split('Bearer ')[1];
     
-    if (!adminAuth) {
-      // For development, handle simple token format
-      if (idToken.startsWith('token_')) {
-        const userId = idToken.split('_')[2];
-        req.user = { uid: userId };
-        return next();
-      }
+    // A revoked token or session is treated as anonymous
+    const decodedToken = await verifyBearerToken(idToken);
+    const session = await touchSession(decodedToken, sessionContext(req));
+    if (session.revoked) {
       req.user = null;
       return next();
     }
-
-    // Verify the Firebase ID token
-    const decodedToken = await adminAuth.verifyIdToken(idToken);
     req.user = decodedToken;
+    req.sessionId = session.sessionId;
+
+    // A valid token for a suspended account is refused rather than treated as anonymous
+    const suspension = await getActiveSuspension(req.user.uid);
+    if (suspension) {
+      return suspendedResponse(res, suspension);
+    }
+
+    // An impersonation token that does not check out is refused rather than ignored
+    const impersonationFailure = await applyImpersonation(req);
+    if (impersonationFailure) {
+      return res.status(impersonationFailure.status).json({ error: impersonationFailure.error });
+    }
     next();
     
   } catch (error) {
@@ -159,6 +251,69 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * Requires a verification token from /verify-otp for `purpose` (x-otp-token header or `otpToken` in the body).
+ * The token is redeemed, so it authorises exactly one request. Use after authenticateFirebaseToken for
+ * signed-in purposes; the token must then belong to req.user, otherwise to `email` or `phone` in the body.
+ */
+const requireOtpVerification = (purpose) => async (req, res, next) => {
+  try {
+    const token = req.headers['x-otp-token'] || req.body?.otpToken;
+    if (!token) {
+      return res.status(403).json({ error: 'OTP verification required', details: `Verify a ${purpose} code and send the token in x-otp-token` });
+    }
+
+    const result = await consumeVerification(token, purpose, {
+      uid: req.user?.uid,
+      recipient: req.body?.email || req.body?.phone,
+    });
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    req.otpVerification = result.claims;
+    next();
+  } catch (error) {
+    console.error('OTP verification check error:', error);
+    res.status(500).json({ error: 'Failed to check OTP verification', details: error.message });
+  }
+};
+
+/**
+ * Checks that req.user has TOTP enabled and sent a step-up token from /api/2fa/verify (x-step-up-token header)
+ * issued within the last few minutes. Returns null when it has, otherwise { status, error, details }.
+ * Use requireTotpStepUp() on routes; call this directly when only some requests to a route need the step-up.
+ */
+async function checkTotpStepUp(req) {
+  if (!twoFactor.isConfigured()) {
+    return { status: 503, error: 'Two-factor authentication is not configured', details: 'Set TOTP_ENCRYPTION_KEY' };
+  }
+  const status = await twoFactor.getTwoFactorStatus(req.user.uid);
+  if (!status.enabled) {
+    return { status: 403, error: 'Two-factor authentication required', details: 'Enable an authenticator app at /api/2fa/enroll' };
+  }
+  const token = req.headers['x-step-up-token'];
+  const claims = token && twoFactor.verifyStepUpToken(token, req.user.uid);
+  if (!claims) {
+    return { status: 403, error: 'Two-factor verification required', details: 'Verify a code at /api/2fa/verify and send the token in x-step-up-token' };
+  }
+  req.stepUp = claims;
+  return null;
+}
+
+// Use after authenticateFirebaseToken or verifyAndCheckAdmin
+const requireTotpStepUp = () => async (req, res, next) => {
+  try {
+    const failure = await checkTotpStepUp(req);
+    if (failure) {
+      return res.status(failure.status).json({ error: failure.error, details: failure.details });
+    }
+    next();
+  } catch (error) {
+    console.error('TOTP step-up check error:', error);
+    res.status(500).json({ error: 'Failed to check two-factor verification', details: error.message });
+  }
+};
+
 // Currency conversion utility
 const convertCurrency = (amount, fromCurrency, toCurrency) => {
   if (fromCurrency === toCurrency) return amount;
@@ -183,12 +338,27 @@ const formatCurrency = (amount, currencyCode, locale = 'en-NG') => {
   }).format(amount);
 };
 
+// Impersonated requests may only read, whichever route they hit and however it authenticates
+const blockImpersonatedWrites = (req, res, next) => {
+  if (req.headers['x-impersonation-token'] && !impersonation.isReadOnlyMethod(req.method)) {
+    return res.status(403).json({
+      error: 'Impersonation sessions are read-only',
+      details: `${req.method} requests cannot be made while impersonating a user`,
+    });
+  }
+  next();
+};
+
 const setupMiddleware = (app) => {
+  app.set('trust proxy', trustProxySetting());
   app.use(cors({
     origin: '*',
     methods: ['GET', 'POST', 'PUT', 'DELETE'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'x-user-currency', 'x-user-country', 'x-user-id', 'x-user-email'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'x-user-currency', 'x-user-country', 'x-user-id', 'x-user-email', 'x-request-id', 'x-otp-token', 'x-step-up-token', 'x-recaptcha-token', 'x-device-name', 'x-impersonation-token'],
+    exposedHeaders: ['X-Request-Id'],
   }));
+  app.use(requestIdMiddleware);
+  app.use(blockImpersonatedWrites);
   app.use(express.json({ limit: '50mb' }));
   app.use(express.urlencoded({ extended: true }));
   app.use(currencyMiddleware);
@@ -198,8 +368,16 @@ module.exports = {
   upload, 
   setupMiddleware, 
   currencyMiddleware, 
+  requestIdMiddleware,
+  blockImpersonatedWrites,
+  getClientIp,
+  sessionContext,
+  suspendedResponse,
   authenticateFirebaseToken,
   optionalAuth,
+  requireOtpVerification,
+  checkTotpStepUp,
+  requireTotpStepUp,
   convertCurrency, 
   formatCurrency,
   CURRENCY_CONFIG,
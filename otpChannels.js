@@ -0,0 +1,84 @@
+// OTP delivery channels. Email goes through emailService; SMS and WhatsApp go through a provider adapter
+// chosen by env (OTP_SMS_PROVIDER / OTP_WHATSAPP_PROVIDER). The `console` provider is a local stand-in that
+// prints the message and appends it to OTP_STUB_FILE instead of sending it; it is refused in production.
+const fs = require('fs');
+const axios = require('axios');
+const emailService = require('./emailService');
+
+const OTP_CHANNELS = ['email', 'sms', 'whatsapp'];
+const PHONE_CHANNELS = ['sms', 'whatsapp'];
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+// E.164-style number: optional +, 8-15 digits once spaces, dashes and brackets are removed
+const normalizePhone = (phone) => String(phone || '').replace(/[\s\-()]/g, '');
+const validatePhone = (phone) => /^\+?\d{8,15}$/.test(normalizePhone(phone));
+
+const otpMessage = (code) =>
+  `Your FOREMADE verification code is ${code}. It expires in 10 minutes. Do not share it with anyone.`;
+
+const providers = {
+  // Termii (https://developers.termii.com) handles both SMS and WhatsApp for Nigerian numbers
+  termii: async ({ channel, to, message }) => {
+    if (!process.env.TERMII_API_KEY) {
+      throw new Error('TERMII_API_KEY is not configured');
+    }
+    const response = await axios.post(`${process.env.TERMII_BASE_URL || 'https://api.ng.termii.com'}/api/sms/send`, {
+      api_key: process.env.TERMII_API_KEY,
+      to: normalizePhone(to).replace(/^\+/, ''),
+      from: process.env.TERMII_SENDER_ID || 'FOREMADE',
+      sms: message,
+      type: 'plain',
+      channel: channel === 'whatsapp' ? 'whatsapp' : (process.env.TERMII_SMS_ROUTE || 'generic'),
+    }, { timeout: 10000 });
+    return { providerMessageId: response.data?.message_id || null };
+  },
+
+  console: async ({ channel, to, message }) => {
+    if (isProduction()) {
+      throw new Error('The console OTP provider cannot be used in production');
+    }
+    const line = `[${new Date().toISOString()}] ${channel} to ${to}: ${message}`;
+    console.log(`[otp-stub] ${line}`);
+    if (process.env.OTP_STUB_FILE) {
+      await fs.promises.appendFile(process.env.OTP_STUB_FILE, `${line}\n`);
+    }
+    return { providerMessageId: null };
+  },
+};
+
+// Outside production the console stand-in is the default so phone OTPs work without provider credentials
+const providerFor = (channel) => {
+  const configured = channel === 'sms' ? process.env.OTP_SMS_PROVIDER : process.env.OTP_WHATSAPP_PROVIDER;
+  const name = configured || (isProduction() ? 'termii' : 'console');
+  if (!providers[name]) {
+    throw new Error(`Unknown OTP ${channel} provider: ${name}`);
+  }
+  return { name, send: providers[name] };
+};
+
+/**
+ * Delivers a code over `channel` to `destination` (an email address or phone number).
+ * Returns { channel, provider, providerMessageId }.
+ */
+async function deliverOtp({ channel, destination, code }) {
+  if (!OTP_CHANNELS.includes(channel)) {
+    throw new Error(`Unsupported OTP channel: ${channel}`);
+  }
+  if (channel === 'email') {
+    await emailService.sendOTPEmail({ email: destination, otp: code });
+    return { channel, provider: 'email', providerMessageId: null };
+  }
+
+  const provider = providerFor(channel);
+  const { providerMessageId } = await provider.send({ channel, to: destination, message: otpMessage(code) });
+  return { channel, provider: provider.name, providerMessageId };
+}
+
+module.exports = {
+  OTP_CHANNELS,
+  PHONE_CHANNELS,
+  normalizePhone,
+  validatePhone,
+  deliverOtp,
+};
@@ -1,38 +1,103 @@
 const express = require('express');
 const router = express.Router();
 const { db } = require('./firebaseConfig');
-const { collection, doc, setDoc, getDoc, updateDoc, deleteDoc, serverTimestamp, Timestamp } = require('firebase/firestore');
-const emailService = require('./emailService');
+const { doc, getDoc } = require('firebase/firestore');
+const {
+  OTP_PURPOSES, AUTHENTICATED_PURPOSES, otpRef, issueOtp, verifyOtp, inspectVerification, getVerificationStatus,
+} = require('./otpService');
+const { OTP_CHANNELS, PHONE_CHANNELS, validatePhone } = require('./otpChannels');
+const { getClientIp, optionalAuth } = require('./middleware');
+const { rateLimit } = require('./rateLimiter');
+const { requireRecaptcha } = require('./recaptcha');
+
+// Sending and resending share one budget so alternating between them does not double it
+const otpSendLimit = rateLimit('otp-send', {
+  ip: { max: 20, windowMs: 15 * 60 * 1000 },
+  email: { max: 5, windowMs: 15 * 60 * 1000 },
+  phone: { max: 5, windowMs: 15 * 60 * 1000 },
+  user: { max: 10, windowMs: 15 * 60 * 1000 },
+});
 
-const generateOTP = () => Math.floor(100000 + Math.random() * 900000).toString(); // 6-digit OTP
+// Signup/login codes can be requested by anyone; codes for the other purposes already need a Firebase token
+const otpSendRecaptcha = requireRecaptcha({
+  action: 'send_otp',
+  skip: (req) => AUTHENTICATED_PURPOSES.includes(req.body?.purpose),
+});
 
 const validateEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
 
-// Send OTP before login
-router.post('/send-otp', async (req, res) => {
-  console.log('Send OTP request:', JSON.stringify(req.body, null, 2));
-  if (!req.body || !req.body.email) {
-    return res.status(400).json({ success: false, error: 'Email is required' });
+/**
+ * Works out which purpose, channel and recipient an OTP request is for.
+ * `channel` is email (default), sms or whatsapp; phone channels use `phone` instead of `email`.
+ * `login` codes go to the email/phone in the body. Other purposes need a signed-in user: `email_change`
+ * codes go to the new address in the body (email only), the rest to the account's own email or phone.
+ * Returns { purpose, channel, recipient, uid } or { status, error }.
+ */
+async function resolveOtpTarget(req) {
+  const body = req.body || {};
+  const purpose = body.purpose || 'login';
+  const channel = body.channel || (body.phone && !body.email ? 'sms' : 'email');
+  if (!OTP_PURPOSES.includes(purpose)) {
+    return { status: 400, error: `Invalid purpose. Use one of: ${OTP_PURPOSES.join(', ')}` };
+  }
+  if (!OTP_CHANNELS.includes(channel)) {
+    return { status: 400, error: `Invalid channel. Use one of: ${OTP_CHANNELS.join(', ')}` };
+  }
+  const usesPhone = PHONE_CHANNELS.includes(channel);
+
+  let target;
+  if (!AUTHENTICATED_PURPOSES.includes(purpose)) {
+    target = { purpose, channel, recipient: usesPhone ? body.phone : body.email, uid: null };
+  } else if (!req.user?.uid) {
+    return { status: 401, error: `Sign in is required to request a ${purpose} code` };
+  } else if (purpose === 'email_change') {
+    if (usesPhone) {
+      return { status: 400, error: 'email_change codes can only be sent by email' };
+    }
+    target = { purpose, channel, recipient: body.email, uid: req.user.uid };
+  } else {
+    let recipient = usesPhone ? req.user.phone_number : req.user.email;
+    if (!recipient) {
+      const userSnap = await getDoc(doc(db, 'users', req.user.uid));
+      const userData = userSnap.exists() ? userSnap.data() : {};
+      recipient = usesPhone ? userData.phoneNumber || userData.phone : userData.email;
+    }
+    target = { purpose, channel, recipient, uid: req.user.uid };
+  }
+
+  if (!target.recipient) {
+    return { status: 400, error: usesPhone ? 'Phone number is required' : 'Email is required' };
   }
+  if (usesPhone ? !validatePhone(target.recipient) : !validateEmail(target.recipient)) {
+    return { status: 400, error: usesPhone ? 'Invalid phone number format' : 'Invalid email format' };
+  }
+  return target;
+}
+
+const verifiedMessage = (recipient) => (String(recipient).includes('@') ? 'Email verified' : 'Phone number verified');
 
-  const { email } = req.body;
+const destinationLabel = (channel) => (channel === 'email' ? 'your email' : channel === 'sms' ? 'your phone' : 'your WhatsApp');
 
+// Sends a failed service result, with Retry-After for cooldowns and lockouts
+const sendOtpFailure = (res, result) => {
+  if (result.retryAfter) res.set('Retry-After', String(result.retryAfter));
+  return res.status(result.status).json({ success: false, error: result.error, retryAfter: result.retryAfter });
+};
+
+// Send an OTP for a purpose (defaults to login) over a channel (defaults to email)
+router.post('/send-otp', optionalAuth, otpSendLimit, otpSendRecaptcha, async (req, res) => {
   try {
-    if (!validateEmail(email)) throw new Error('Invalid email format.');
-
-    const otp = generateOTP();
-    const expires = Timestamp.fromDate(new Date(Date.now() + 10 * 60 * 1000)); // 10 minutes from now as Timestamp
-    const otpRef = doc(collection(db, 'otps'), email);
-    await setDoc(otpRef, {
-      otp,
-      expires,
-      createdAt: serverTimestamp(),
-    });
-    console.log('OTP document set:', { email, otp, expires: expires.toDate() });
+    const target = await resolveOtpTarget(req);
+    if (target.error) {
+      return res.status(target.status).json({ success: false, error: target.error });
+    }
+    const { purpose, channel, recipient, uid } = target;
 
-    await emailService.sendOTPEmail({ email, otp });
-    console.log('OTP sent successfully for email:', email);
-    res.json({ success: true, message: 'OTP sent to your email.' });
+    const result = await issueOtp(recipient, purpose, { uid, channel });
+    if (!result.ok) return sendOtpFailure(res, result);
+
+    console.log(`OTP (${purpose}) sent successfully via ${channel} to:`, recipient);
+    res.json({ success: true, message: `OTP sent to ${destinationLabel(channel)}.`, channel });
   } catch (err) {
     console.error('Send OTP error:', err.message || err);
     res.status(500).json({ success: false, error: 'Failed to send OTP. Please try again.' });
@@ -40,125 +105,108 @@ router.post('/send-otp', async (req, res) => {
 });
 
 // Resend OTP
-router.post('/resend-otp', async (req, res) => {
-  console.log('Resend OTP request:', JSON.stringify(req.body, null, 2));
-  if (!req.body || !req.body.email) {
-    return res.status(400).json({ success: false, error: 'Email is required' });
-  }
+router.post('/resend-otp', optionalAuth, otpSendLimit, otpSendRecaptcha, async (req, res) => {
+  try {
+    const target = await resolveOtpTarget(req);
+    if (target.error) {
+      return res.status(target.status).json({ success: false, error: target.error });
+    }
+    const { purpose, channel, recipient, uid } = target;
 
-  const { email } = req.body;
+    const otpDoc = await getDoc(otpRef(recipient, purpose));
+    if (!otpDoc.exists()) {
+      return res.status(400).json({ success: false, error: 'No pending verification for this recipient.' });
+    }
 
-  try {
-    if (!validateEmail(email)) throw new Error('Invalid email format.');
-
-    const otpDoc = await getDoc(doc(db, 'otps', email));
-    if (!otpDoc.exists()) throw new Error('No pending verification for this email.');
-
-    const otp = generateOTP();
-    const expires = Timestamp.fromDate(new Date(Date.now() + 10 * 60 * 1000)); // 10 minutes from now as Timestamp
-    await updateDoc(doc(db, 'otps', email), {
-      otp,
-      expires,
-      createdAt: serverTimestamp(),
-    }).catch(err => {
-      console.error('Firestore update OTP error:', err);
-      throw err;
-    });
+    const result = await issueOtp(recipient, purpose, { uid, channel });
+    if (!result.ok) return sendOtpFailure(res, result);
 
-    await emailService.sendOTPEmail({ email, otp });
-    console.log('New OTP sent successfully for email:', email);
-    res.json({ success: true, message: 'New OTP sent to your email.' });
+    console.log(`New OTP (${purpose}) sent successfully via ${channel} to:`, recipient);
+    res.json({ success: true, message: `New OTP sent to ${destinationLabel(channel)}.`, channel });
   } catch (err) {
     console.error('Resend OTP error:', err.message || err);
     res.status(500).json({ success: false, error: 'Failed to resend OTP. Please try again.' });
   }
 });
 
-// Verify OTP
-router.post('/verify-otp', async (req, res) => {
-  console.log('Verify OTP request received:', JSON.stringify(req.body, null, 2));
-  if (!req.body || !req.body.email || !req.body.otp) {
-    console.log('Missing data:', req.body);
-    return res.status(400).json({ success: false, error: 'Email and verification code are required' });
+// Verify OTP; returns a short-lived verification token for the purpose
+router.post('/verify-otp', optionalAuth, async (req, res) => {
+  if (!req.body || !req.body.otp) {
+    return res.status(400).json({ success: false, error: 'Verification code is required' });
   }
 
-  const { email, otp } = req.body;
-
   try {
-    if (!validateEmail(email)) {
-      console.log('Invalid email format:', email);
-      return res.status(400).json({ success: false, error: 'Invalid email format' });
+    const target = await resolveOtpTarget(req);
+    if (target.error) {
+      return res.status(target.status).json({ success: false, error: target.error });
     }
+    const { purpose, recipient, uid } = target;
 
-    const otpDoc = await getDoc(doc(db, 'otps', email)).catch(err => {
-      console.error('Firestore get OTP error:', err);
-      throw err;
-    });
-    console.log('OTP document data:', otpDoc.exists() ? otpDoc.data() : 'Not found');
-
-    if (!otpDoc.exists()) {
-      console.log('No OTP document for email:', email);
-      return res.status(400).json({ success: false, error: 'No verification code found. Please request a new one.' });
+    const result = await verifyOtp(recipient, String(req.body.otp), getClientIp(req), { purpose, uid });
+    if (!result.ok) {
+      console.log(`OTP (${purpose}) verification failed for:`, recipient, result.error);
+      return sendOtpFailure(res, result);
     }
 
-    const otpData = otpDoc.data();
-    console.log('Comparing OTPs:', { stored: otpData.otp, provided: otp });
-    console.log('Expiration check:', {
-      storedExpires: otpData.expires.toDate(),
-      currentTime: new Date(),
-      isExpired: otpData.expires.toDate() < new Date(),
+    console.log(`OTP (${purpose}) verified successfully for:`, recipient);
+    res.json({
+      success: true,
+      message: `${verifiedMessage(recipient)} successfully.`,
+      purpose,
+      verificationToken: result.verificationToken,
+      expiresIn: result.expiresIn,
     });
-
-    if (otpData.otp !== otp) {
-      console.log('OTP mismatch:', { stored: otpData.otp, provided: otp });
-      return res.status(400).json({ success: false, error: 'Incorrect verification code. Please try again.' });
-    }
-
-    const currentTimeWithBuffer = new Date(Date.now() + 30 * 1000);
-    if (otpData.expires.toDate() < currentTimeWithBuffer) {
-      console.log('OTP expired with buffer:', {
-        storedExpires: otpData.expires.toDate(),
-        currentTime: currentTimeWithBuffer,
-      });
-      await deleteDoc(doc(db, 'otps', email)).catch(err => console.error('Failed to delete expired OTP:', err));
-      return res.status(400).json({ success: false, error: 'Verification code has expired. Please request a new one.' });
-    }
-
-    await deleteDoc(doc(db, 'otps', email)).catch(err => {
-      console.error('Firestore delete OTP error:', err);
-      throw err;
-    });
-
-    console.log('OTP verified successfully for email:', email);
-    res.json({ success: true, message: 'Email verified successfully.' });
   } catch (err) {
     console.error('Verify OTP error:', err.message || err);
     res.status(500).json({ success: false, error: 'Verification failed due to a server issue. Please try again later.' });
   }
 });
 
-// Check OTP verification status
+// Check OTP verification status, either for a verification token or for an email/phone and purpose
 router.post('/verify-otp-status', async (req, res) => {
-  console.log('Verify OTP status request:', JSON.stringify(req.body, null, 2));
-  if (!req.body || !req.body.email) {
-    return res.status(400).json({ success: false, error: 'Email is required' });
+  if (!req.body || (!req.body.email && !req.body.phone && !req.body.verificationToken)) {
+    return res.status(400).json({ success: false, error: 'Email, phone or verificationToken is required' });
   }
 
-  const { email } = req.body;
+  const { email, phone, verificationToken } = req.body;
+  const purpose = req.body.purpose || 'login';
 
   try {
-    if (!validateEmail(email)) throw new Error('Invalid email format.');
+    if (verificationToken) {
+      const claims = await inspectVerification(verificationToken);
+      if (!claims) {
+        return res.json({ success: false, error: 'Verification token is invalid, expired or already used.' });
+      }
+      return res.json({
+        success: true,
+        message: `${verifiedMessage(claims.recipient)}.`,
+        purpose: claims.purpose,
+        expiresAt: new Date(claims.exp * 1000).toISOString(),
+      });
+    }
 
-    const otpDoc = await getDoc(doc(db, 'otps', email));
-    if (otpDoc.exists()) {
-      return res.json({ success: false, error: 'Email not yet verified. Please check your verification code.' });
+    if (email ? !validateEmail(email) : !validatePhone(phone)) {
+      return res.status(400).json({ success: false, error: email ? 'Invalid email format' : 'Invalid phone number format' });
+    }
+    if (!OTP_PURPOSES.includes(purpose)) {
+      return res.status(400).json({ success: false, error: `Invalid purpose. Use one of: ${OTP_PURPOSES.join(', ')}` });
+    }
+
+    const status = await getVerificationStatus(email || phone, purpose);
+    if (!status.verified) {
+      return res.json({
+        success: false,
+        error: status.pending
+          ? 'Not yet verified. Please check your verification code.'
+          : 'No verified code for this recipient. Please request a new one.',
+      });
     }
 
-    res.json({ success: true, message: 'Email verified.' });
+    res.json({ success: true, message: `${verifiedMessage(email || phone)}.`, purpose, expiresAt: status.expiresAt });
   } catch (err) {
     console.error('Verify OTP status error:', err.message || err);
     res.status(500).json({ success: false, error: 'Failed to check verification status. Please try again later.' });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,325 @@
+// One-time passcodes: generation, salted-hash storage, per-code attempt limits and
+// progressive lockout per recipient and per IP. Raw codes are never stored or logged.
+// Every code is issued for a purpose; verifying it yields a signed, single-use token for that purpose.
+// A recipient is an email address or a phone number; codes are delivered through otpChannels.
+const crypto = require('crypto');
+const { doc, getDoc, setDoc, deleteDoc, runTransaction, serverTimestamp, Timestamp } = require('firebase/firestore');
+const { db } = require('./firebaseConfig');
+const { signToken, verifyToken } = require('./tokenSigner');
+const { OTP_CHANNELS, normalizePhone, deliverOtp } = require('./otpChannels');
+
+const OTP_PURPOSES = ['login', 'email_change', 'payout_confirmation', 'bank_change'];
+// Purposes that confirm an action by a signed-in user rather than a sign-in itself
+const AUTHENTICATED_PURPOSES = ['email_change', 'payout_confirmation', 'bank_change'];
+
+const OTP_LENGTH = 6;
+const OTP_TTL_MS = 10 * 60 * 1000;
+const MAX_ATTEMPTS_PER_CODE = 5;
+const RESEND_COOLDOWN_MS = 60 * 1000;
+const VERIFICATION_TOKEN_TTL_S = 10 * 60;
+const TOKEN_SECRET_ENV = 'OTP_TOKEN_SECRET';
+
+// Failed guesses allowed (across codes) before a lockout; each further lockout doubles in length
+const FAILURES_BEFORE_LOCKOUT = 5;
+const BASE_LOCKOUT_MS = 60 * 1000;
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+// Lockout history is forgotten after a quiet period with no failures
+const LOCKOUT_RESET_MS = 24 * 60 * 60 * 1000;
+
+const generateOtp = () => crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+
+const hashOtp = (code, salt) =>
+  crypto.createHash('sha256').update(`${salt}:${code}`).digest('hex');
+
+const matchesHash = (code, salt, expectedHash) => {
+  const actual = Buffer.from(hashOtp(String(code), salt), 'hex');
+  const expected = Buffer.from(expectedHash || '', 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+// Emails are compared case-insensitively, phone numbers without spacing
+const normalizeRecipient = (recipient) => {
+  const value = String(recipient || '').trim();
+  return value.includes('@') ? value.toLowerCase() : normalizePhone(value);
+};
+
+const otpRef = (recipient, purpose) => doc(db, 'otps', `${purpose}_${normalizeRecipient(recipient)}`);
+
+const lockoutRef = (scope, value) => doc(db, 'otpLockouts', `${scope}_${encodeURIComponent(value)}`);
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+// Returns the active lockout ({ lockedUntil }) for a recipient or IP, or null
+async function getLockout(scope, value) {
+  if (!value) return null;
+  const snap = await getDoc(lockoutRef(scope, value));
+  if (!snap.exists()) return null;
+  const lockedUntil = snap.data().lockedUntil?.toDate?.();
+  return lockedUntil && lockedUntil > new Date() ? { lockedUntil } : null;
+}
+
+// Reads a recipient's or IP's lockout record inside a transaction; `ref` is null when there is no value to track
+async function readLockout(tx, scope, value) {
+  if (!value) return { ref: null, data: {} };
+  const ref = lockoutRef(scope, value);
+  const snap = await tx.get(ref);
+  return { ref, data: snap.exists() ? snap.data() : {} };
+}
+
+const activeLockout = ({ data }) => {
+  const lockedUntil = data.lockedUntil?.toDate?.();
+  return lockedUntil && lockedUntil > new Date() ? lockedUntil : null;
+};
+
+// Counts one more failed guess on a lockout record read in the same transaction; returns the new lockedUntil or null
+function writeFailure(tx, scope, { ref, data }) {
+  if (!ref) return null;
+  const lastFailureAt = data.lastFailureAt?.toDate?.();
+  const stale = !lastFailureAt || Date.now() - lastFailureAt.getTime() > LOCKOUT_RESET_MS;
+  let failures = (stale ? 0 : data.failures || 0) + 1;
+  let lockoutCount = stale ? 0 : data.lockoutCount || 0;
+  let lockedUntil = null;
+
+  if (failures >= FAILURES_BEFORE_LOCKOUT) {
+    const duration = Math.min(BASE_LOCKOUT_MS * 2 ** lockoutCount, MAX_LOCKOUT_MS);
+    lockedUntil = new Date(Date.now() + duration);
+    lockoutCount += 1;
+    failures = 0;
+    console.warn(`OTP lockout applied to ${scope} for ${Math.round(duration / 1000)}s`);
+  }
+
+  tx.set(ref, {
+    scope,
+    failures,
+    lockoutCount,
+    lockedUntil: lockedUntil ? Timestamp.fromDate(lockedUntil) : null,
+    lastFailureAt: serverTimestamp(),
+  });
+  return lockedUntil;
+}
+
+// Counts a failed guess against a recipient or IP and locks it once the threshold is reached.
+// The read and the increment share a transaction so parallel failures are all counted.
+async function recordFailure(scope, value) {
+  if (!value) return null;
+  return runTransaction(db, async (tx) => writeFailure(tx, scope, await readLockout(tx, scope, value)));
+}
+
+const clearLockout = (scope, value) =>
+  deleteDoc(lockoutRef(scope, value)).catch(err => console.error('Failed to clear OTP lockout:', err.message));
+
+const lockedResult = (lockedUntil) => ({
+  ok: false,
+  status: 429,
+  error: 'Too many incorrect attempts. Please try again later.',
+  retryAfter: secondsUntil(lockedUntil),
+});
+
+/**
+ * Issues a new `purpose` code for a recipient, stores only its salted hash in `otps/{purpose}_{recipient}`
+ * and delivers it over `channel` (email, sms or whatsapp).
+ * `uid` binds the code to a signed-in user (required for AUTHENTICATED_PURPOSES).
+ * Honours the resend cooldown: returns { ok: false, status: 429, retryAfter } when called too soon.
+ * On success returns { ok: true, channel, provider }.
+ */
+async function issueOtp(recipient, purpose, { uid = null, channel = 'email' } = {}) {
+  if (!OTP_CHANNELS.includes(channel)) {
+    return { ok: false, status: 400, error: `Invalid channel. Use one of: ${OTP_CHANNELS.join(', ')}` };
+  }
+  const ref = otpRef(recipient, purpose);
+  const existing = await getDoc(ref);
+  if (existing.exists()) {
+    const lastSentAt = existing.data().lastSentAt?.toDate?.();
+    if (lastSentAt && Date.now() - lastSentAt.getTime() < RESEND_COOLDOWN_MS) {
+      return {
+        ok: false,
+        status: 429,
+        error: 'Please wait before requesting another code.',
+        retryAfter: secondsUntil(new Date(lastSentAt.getTime() + RESEND_COOLDOWN_MS)),
+      };
+    }
+  }
+
+  const code = generateOtp();
+  const salt = crypto.randomBytes(16).toString('hex');
+  await setDoc(ref, {
+    recipient: normalizeRecipient(recipient),
+    channel,
+    purpose,
+    uid,
+    codeHash: hashOtp(code, salt),
+    salt,
+    attempts: 0,
+    maxAttempts: MAX_ATTEMPTS_PER_CODE,
+    expires: Timestamp.fromDate(new Date(Date.now() + OTP_TTL_MS)),
+    verifiedAt: null,
+    lastSentAt: Timestamp.now(),
+    createdAt: serverTimestamp(),
+  });
+
+  let delivery;
+  try {
+    delivery = await deliverOtp({ channel, destination: recipient, code });
+  } catch (error) {
+    // Undelivered codes must not hold the resend cooldown
+    await deleteDoc(ref).catch(err => console.error('Failed to remove undelivered OTP:', err.message));
+    throw error;
+  }
+  await setDoc(ref, { provider: delivery.provider, providerMessageId: delivery.providerMessageId }, { merge: true });
+  return { ok: true, channel, provider: delivery.provider };
+}
+
+/**
+ * Checks a `purpose` code for a recipient. Wrong guesses count against the code, the recipient and the IP.
+ * A correct guess consumes the code and returns { ok: true, verificationToken, expiresIn }: a signed token
+ * bound to the purpose, recipient and uid, redeemable once via consumeVerification().
+ * Failures return { ok: false, status, error, retryAfter? }.
+ */
+async function verifyOtp(recipient, code, ip, { purpose, uid = null }) {
+  recipient = normalizeRecipient(recipient);
+  const ref = otpRef(recipient, purpose);
+  const verificationId = crypto.randomUUID();
+  const expiresAt = new Date(Date.now() + VERIFICATION_TOKEN_TTL_S * 1000);
+
+  // The lockout check, the attempt count and the lockout counters are read and written in one transaction,
+  // so parallel wrong guesses cannot all slip under the limits
+  const outcome = await runTransaction(db, async (tx) => {
+    const recipientLockout = await readLockout(tx, 'recipient', recipient);
+    const ipLockout = await readLockout(tx, 'ip', ip);
+    const otpDoc = await tx.get(ref);
+
+    const lockedUntil = activeLockout(recipientLockout) || activeLockout(ipLockout);
+    if (lockedUntil) return lockedResult(lockedUntil);
+
+    // A code issued to a signed-in user can only be verified by that user
+    if (!otpDoc.exists() || (otpDoc.data().uid && otpDoc.data().uid !== uid)) {
+      return { ok: false, status: 400, error: 'No verification code found. Please request a new one.' };
+    }
+
+    const otpData = otpDoc.data();
+    if (otpData.verifiedAt) {
+      return { ok: false, status: 400, error: 'This code has already been used. Please request a new one.' };
+    }
+    if (otpData.exhausted) {
+      return { ok: false, status: 400, error: 'Too many incorrect attempts. Please request a new code.' };
+    }
+    if (!otpData.codeHash || otpData.expires.toDate() < new Date()) {
+      return { ok: false, status: 400, error: 'Verification code has expired. Please request a new one.' };
+    }
+
+    if (!matchesHash(code, otpData.salt, otpData.codeHash)) {
+      const attempts = (otpData.attempts || 0) + 1;
+      const exhausted = attempts >= (otpData.maxAttempts || MAX_ATTEMPTS_PER_CODE);
+      const recipientLockedUntil = writeFailure(tx, 'recipient', recipientLockout);
+      const ipLockedUntil = writeFailure(tx, 'ip', ipLockout);
+      tx.set(ref, { attempts, exhausted }, { merge: true });
+
+      const nowLockedUntil = recipientLockedUntil || ipLockedUntil;
+      if (nowLockedUntil) return lockedResult(nowLockedUntil);
+      if (exhausted) {
+        return { ok: false, status: 400, error: 'Too many incorrect attempts. Please request a new code.' };
+      }
+      return { ok: false, status: 400, error: 'Incorrect verification code. Please try again.' };
+    }
+
+    tx.set(doc(db, 'otpVerifications', verificationId), {
+      recipient,
+      channel: otpData.channel || 'email',
+      uid: otpData.uid || null,
+      purpose,
+      used: false,
+      expiresAt: Timestamp.fromDate(expiresAt),
+      createdAt: serverTimestamp(),
+    });
+    tx.set(ref, {
+      codeHash: null,
+      salt: null,
+      verifiedAt: serverTimestamp(),
+      verificationId,
+      verificationExpires: Timestamp.fromDate(expiresAt),
+    }, { merge: true });
+    if (recipientLockout.ref) tx.delete(recipientLockout.ref);
+    return { ok: true, uid: otpData.uid || null };
+  });
+  if (!outcome.ok) return outcome;
+
+  const verificationToken = signToken(
+    { jti: verificationId, sub: outcome.uid, recipient, purpose },
+    { expiresInSeconds: VERIFICATION_TOKEN_TTL_S, secretEnv: TOKEN_SECRET_ENV }
+  );
+  return { ok: true, verificationToken, expiresIn: VERIFICATION_TOKEN_TTL_S };
+}
+
+/**
+ * Checks a verification token without redeeming it. Returns its claims or null.
+ */
+async function inspectVerification(token) {
+  const claims = verifyToken(token, { secretEnv: TOKEN_SECRET_ENV });
+  if (!claims?.jti) return null;
+  const verificationSnap = await getDoc(doc(db, 'otpVerifications', claims.jti));
+  if (!verificationSnap.exists() || verificationSnap.data().used) return null;
+  return claims;
+}
+
+/**
+ * Redeems a verification token for `purpose`. The token must be unexpired, unused, issued for this purpose
+ * and - when `uid` is given - issued to that user, otherwise to `recipient` (email or phone).
+ * Returns { ok: true, claims } or { ok: false, status, error }.
+ */
+async function consumeVerification(token, purpose, { uid = null, recipient = null } = {}) {
+  const claims = verifyToken(token, { secretEnv: TOKEN_SECRET_ENV });
+  if (!claims?.jti || claims.purpose !== purpose) {
+    return { ok: false, status: 403, error: 'A valid OTP verification is required for this action' };
+  }
+  const boundToCaller = uid ? claims.sub === uid : !!recipient && claims.recipient === normalizeRecipient(recipient);
+  if (!boundToCaller) {
+    return { ok: false, status: 403, error: 'OTP verification was issued to a different user' };
+  }
+
+  const verificationRef = doc(db, 'otpVerifications', claims.jti);
+  const redeemed = await runTransaction(db, async (transaction) => {
+    const verificationSnap = await transaction.get(verificationRef);
+    if (!verificationSnap.exists() || verificationSnap.data().used) return false;
+    transaction.update(verificationRef, { used: true, usedAt: serverTimestamp() });
+    return true;
+  });
+  if (!redeemed) {
+    return { ok: false, status: 403, error: 'OTP verification has already been used' };
+  }
+  return { ok: true, claims };
+}
+
+/**
+ * Whether the latest `purpose` code for a recipient was verified and its verification is still valid.
+ * A recipient that never requested a code is not verified.
+ */
+async function getVerificationStatus(recipient, purpose) {
+  const otpSnap = await getDoc(otpRef(recipient, purpose));
+  if (!otpSnap.exists()) return { verified: false, pending: false };
+  const otpData = otpSnap.data();
+  const verificationExpires = otpData.verificationExpires?.toDate?.();
+  if (otpData.verifiedAt && verificationExpires && verificationExpires > new Date()) {
+    return { verified: true, pending: false, expiresAt: verificationExpires.toISOString() };
+  }
+  return { verified: false, pending: !otpData.verifiedAt };
+}
+
+module.exports = {
+  OTP_PURPOSES,
+  AUTHENTICATED_PURPOSES,
+  OTP_TTL_MS,
+  MAX_ATTEMPTS_PER_CODE,
+  RESEND_COOLDOWN_MS,
+  VERIFICATION_TOKEN_TTL_S,
+  normalizeRecipient,
+  otpRef,
+  issueOtp,
+  verifyOtp,
+  inspectVerification,
+  consumeVerification,
+  getVerificationStatus,
+  getLockout,
+  recordFailure,
+  clearLockout,
+  lockedResult,
+};
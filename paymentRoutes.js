@@ -6,6 +6,17 @@ const crypto = require('crypto');
 const { doc, getDoc, updateDoc, collection, addDoc, serverTimestamp, query, where, getDocs } = require('firebase/firestore');
 const router = express.Router();
 const emailService = require('./emailService');
+const {
+  reserveStock, releaseReservation, commitReservation, sendLowStockAlerts, sendOversoldAlerts,
+} = require('./inventory');
+const { authenticateFirebaseToken } = require('./middleware');
+const { rateLimit } = require('./rateLimiter');
+
+// Every checkout holds stock for the reservation window, so starting one is limited per buyer and per IP
+const checkoutLimit = rateLimit('checkout', {
+  ip: { max: 30, windowMs: 60 * 60 * 1000 },
+  user: { max: 10, windowMs: 60 * 60 * 1000 },
+});
 
 const ADMIN_STRIPE_ACCOUNT_ID = process.env.ADMIN_STRIPE_ACCOUNT_ID;
 
@@ -94,7 +105,7 @@ router.post('/create-payment-intent', async (req, res) => {
  * /paystack-webhook:
  *   post:
  *     summary: Handle Paystack webhook events
- *     description: Processes Paystack webhook events for Nigeria payments
+ *     description: Processes Paystack webhook events for Nigeria payments. On charge.success the stock reserved for the payment is taken off the products and sellers are alerted about items running low.
  *     tags: [Payments]
  *     requestBody:
  *       required: true
@@ -170,6 +181,14 @@ router.post('/paystack-webhook', async (req, res) => {
         console.warn(`No Initiated transaction found for reference ${reference}`);
         return res.status(200).json({ status: 'success' });
       }
+      // Safe to repeat when Paystack redelivers the event: a reservation is only committed once
+      const stockResult = await commitReservation(reference);
+      if (stockResult.lowStock.length) {
+        sendLowStockAlerts(stockResult.lowStock);
+      }
+      if (stockResult.oversold.length) {
+        sendOversoldAlerts(reference, stockResult.oversold);
+      }
       const transactionDoc = doc(db, 'transactions', querySnapshot.docs[0].id);
       const netAmount = (amountInKobo - adminFees) / 100;
       const walletRef = doc(db, 'wallets', sellerId);
@@ -314,8 +333,10 @@ router.post('/verify-paystack-payment', async (req, res) => {
  * /initiate-paystack-payment:
  *   post:
  *     summary: Initiate a Paystack payment for Nigeria
- *     description: Creates a payment session for processing payments in Nigeria using Paystack
+ *     description: Creates a payment session for processing payments in Nigeria using Paystack. Requires a signed-in buyer and is rate limited, since each checkout reserves stock.
  *     tags: [Payments]
+ *     security:
+ *       - BearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -326,6 +347,7 @@ router.post('/verify-paystack-payment', async (req, res) => {
  *               - amount
  *               - email
  *               - metadata
+ *               - items
  *             properties:
  *               amount:
  *                 type: number
@@ -344,6 +366,25 @@ router.post('/verify-paystack-payment', async (req, res) => {
  *                 type: object
  *                 description: Payment metadata including seller ID
  *                 example: { sellerId: "seller123", handlingFee: 1000, buyerProtectionFee: 500, taxFee: 250 }
+ *               items:
+ *                 type: array
+ *                 description: Items being bought. Their stock is reserved until the payment succeeds or the reservation expires (STOCK_RESERVATION_TTL_MINUTES, default 30).
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - productId
+ *                     - quantity
+ *                   properties:
+ *                     productId:
+ *                       type: string
+ *                     variantId:
+ *                       type: string
+ *                       description: Required for products with variants
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *                       maximum: 20
+ *                 example: [{ productId: "prod123", variantId: "var_1a2b3c4d5e6f", quantity: 2 }]
  *     responses:
  *       200:
  *         description: Payment initiated successfully
@@ -364,6 +405,30 @@ router.post('/verify-paystack-payment', async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Missing or invalid Firebase ID token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: A product or variant in items does not exist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Not enough stock left for one or more items, or a product is not approved for sale
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many checkouts started; retry after the Retry-After delay
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -371,13 +436,15 @@ router.post('/verify-paystack-payment', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/initiate-paystack-payment', async (req, res) => {
+router.post('/initiate-paystack-payment', authenticateFirebaseToken, checkoutLimit, async (req, res) => {
+  let reference;
+  let reserved = false;
   try {
     if (!req.body) {
       return res.status(400).json({ error: 'Request body is missing' });
     }
-    const { amount, email, currency = 'NGN', metadata } = req.body;
-    console.log('Paystack Request Payload:', { amount, email, currency, metadata });
+    const { amount, email, currency = 'NGN', metadata, items } = req.body;
+    console.log('Paystack Request Payload:', { amount, email, currency, metadata, items });
     if (!amount || amount <= 0) {
       return res.status(400).json({ error: 'Invalid amount' });
     }
@@ -392,11 +459,17 @@ router.post('/initiate-paystack-payment', async (req, res) => {
     }
     const adminFees = (metadata?.handlingFee || 0) + (metadata?.buyerProtectionFee || 0) + (metadata?.taxFee || 0);
     const sellerId = metadata.sellerId;
-    const reference = `ref-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
+    reference = `ref-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
     const amountInKobo = Math.round(amount);
     if (isNaN(amountInKobo) || amountInKobo <= 0) {
       return res.status(400).json({ error: 'Invalid amount' });
     }
+    // Hold the stock before sending the buyer to Paystack; released if the payment is never completed
+    const reservation = await reserveStock(reference, items);
+    if (!reservation.ok) {
+      return res.status(reservation.status).json({ error: reservation.error, details: reservation.details });
+    }
+    reserved = true;
     const payload = {
       amount: amountInKobo,
       email,
@@ -439,6 +512,9 @@ router.post('/initiate-paystack-payment', async (req, res) => {
     }
   } catch (error) {
     console.error('Paystack payment error:', error.response?.data || error.message);
+    if (reserved) {
+      await releaseReservation(reference).catch(err => console.error(`Failed to release stock for ${reference}:`, err.message || err));
+    }
     res.status(error.response?.status || 500).json({
       error: 'Failed to initiate Paystack payment',
       details: error.response?.data?.message || error.message,
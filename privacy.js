@@ -0,0 +1,368 @@
+// Account data export and right-to-erasure.
+// collectUserData() gathers every document tied to a uid for the self-service export. Erasure is a reviewed
+// workflow: the user files a request in `erasureRequests`, an admin approves or rejects it, and approval runs
+// anonymizeUser(). Financial records (wallets, transactions) are kept for accounting with their personal fields
+// stripped; everything that only exists to serve the user (support requests, OTPs, sessions, ...) is deleted.
+const {
+  collection, doc, getDoc, getDocs, query, where, addDoc, updateDoc, writeBatch, runTransaction, deleteField,
+  serverTimestamp, Timestamp,
+} = require('firebase/firestore');
+const JSZip = require('jszip');
+const { db, adminAuth } = require('./firebaseConfig');
+const { OTP_PURPOSES, otpRef } = require('./otpService');
+const { getTwoFactorStatus } = require('./twoFactor');
+const { findDeletionBlockers, clearSuspensionCache } = require('./userManagement');
+const { sendErasureRequestEmail } = require('./emailService');
+const { indexProduct } = require('./productSearch');
+const { isOffSale } = require('./productLifecycle');
+
+const BATCH_LIMIT = 450;
+const ERASURE_STATUSES = ['pending', 'processing', 'completed', 'rejected'];
+
+// Fields that identify a person. They are removed from records that are kept after erasure.
+const PERSONAL_FIELDS = [
+  'email', 'name', 'displayName', 'firstName', 'lastName', 'username', 'photoURL', 'profileImage',
+  'phone', 'phoneNumber', 'address', 'street', 'city', 'state', 'zip', 'postalCode', 'dateOfBirth',
+  'businessName', 'storeName', 'regNumber', 'taxRef', 'bankDetails', 'bankName', 'bankCode', 'accountName',
+  'accountNumber', 'iban', 'sortCode', 'idNumber', 'idImage', 'ip', 'userAgent', 'device', 'sellerName',
+  'buyerName', 'buyerEmail', 'customerEmail', 'customerName', 'shippingAddress',
+];
+
+// Credentials and hashes are never part of an export, even the user's own
+const SECRET_FIELD_PATTERN = /hash|salt|secret|password|token/i;
+
+const toIso = (value) => value?.toDate?.().toISOString() || null;
+
+// Timestamps become ISO strings and secret-looking fields are dropped, at any depth
+function toExportValue(value) {
+  if (value === null || value === undefined) return value ?? null;
+  if (value instanceof Timestamp) return value.toDate().toISOString();
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(toExportValue);
+  if (typeof value === 'object') {
+    return Object.entries(value).reduce((acc, [key, inner]) => {
+      if (!SECRET_FIELD_PATTERN.test(key)) acc[key] = toExportValue(inner);
+      return acc;
+    }, {});
+  }
+  return value;
+}
+
+const exportDoc = (snap) => ({ id: snap.id, ...toExportValue(snap.data()) });
+
+async function getOwnDoc(collectionName, uid) {
+  const snap = await getDoc(doc(db, collectionName, uid));
+  return snap.exists() ? snap : null;
+}
+
+async function queryByOwner(collectionName, field, uid) {
+  const snap = await getDocs(query(collection(db, collectionName), where(field, '==', uid)));
+  return snap.docs;
+}
+
+// Seller transactions are keyed by sellerId, pro seller ones by userId
+async function findTransactions(uid) {
+  const byId = new Map();
+  for (const ownerField of ['sellerId', 'userId']) {
+    (await queryByOwner('transactions', ownerField, uid)).forEach(txDoc => byId.set(txDoc.id, txDoc));
+  }
+  return [...byId.values()];
+}
+
+async function findOtps(userData) {
+  const recipients = [userData?.email, userData?.phoneNumber || userData?.phone].filter(Boolean);
+  const snaps = await Promise.all(
+    recipients.flatMap(recipient => OTP_PURPOSES.map(purpose => getDoc(otpRef(recipient, purpose))))
+  );
+  return snaps.filter(snap => snap.exists());
+}
+
+/**
+ * Everything stored about a user, keyed by collection. Single-document collections hold an object (or null),
+ * the rest an array.
+ */
+async function collectUserData(uid) {
+  const userSnap = await getOwnDoc('users', uid);
+  const userData = userSnap?.data() || {};
+
+  const proSellerDocs = await queryByOwner('proSellers', 'userId', uid);
+  const approvalSnaps = await Promise.all(proSellerDocs.map(proSellerDoc => getDoc(doc(db, 'proSellerApprovals', proSellerDoc.id))));
+
+  const [sellerSnap, walletSnap, resetTokenSnap, transactionDocs, supportDocs, sessionDocs, productDocs, erasureDocs, otpSnaps] =
+    await Promise.all([
+      getOwnDoc('sellers', uid),
+      getOwnDoc('wallets', uid),
+      getOwnDoc('passwordResetTokens', uid),
+      findTransactions(uid),
+      queryByOwner('supportRequests', 'userId', uid),
+      queryByOwner('sessions', 'uid', uid),
+      queryByOwner('products', 'sellerId', uid),
+      queryByOwner('erasureRequests', 'uid', uid),
+      findOtps(userData),
+    ]);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    uid,
+    collections: {
+      users: userSnap ? exportDoc(userSnap) : null,
+      sellers: sellerSnap ? exportDoc(sellerSnap) : null,
+      wallets: walletSnap ? exportDoc(walletSnap) : null,
+      proSellers: proSellerDocs.map(exportDoc),
+      proSellerApprovals: approvalSnaps.filter(snap => snap.exists()).map(exportDoc),
+      transactions: transactionDocs.map(exportDoc),
+      products: productDocs.map(exportDoc),
+      supportRequests: supportDocs.map(exportDoc),
+      otps: otpSnaps.map(exportDoc),
+      passwordResetTokens: resetTokenSnap ? exportDoc(resetTokenSnap) : null,
+      sessions: sessionDocs.map(exportDoc),
+      twoFactor: await getTwoFactorStatus(uid),
+      erasureRequests: erasureDocs.map(exportDoc),
+    },
+  };
+}
+
+// ZIP with one JSON file per collection plus a manifest listing how many records each holds
+async function buildExportArchive(data) {
+  const zip = new JSZip();
+  const manifest = { uid: data.uid, exportedAt: data.exportedAt, files: {} };
+  Object.entries(data.collections).forEach(([name, records]) => {
+    const fileName = `${name}.json`;
+    zip.file(fileName, JSON.stringify(records, null, 2));
+    manifest.files[fileName] = Array.isArray(records) ? records.length : records ? 1 : 0;
+  });
+  zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+async function commitInBatches(operations) {
+  for (let i = 0; i < operations.length; i += BATCH_LIMIT) {
+    const batch = writeBatch(db);
+    operations.slice(i, i + BATCH_LIMIT).forEach(apply => apply(batch));
+    await batch.commit();
+  }
+}
+
+// Update that removes every personal field present on the document, or null when there is nothing to strip
+function stripPersonalFields(data, extra = {}) {
+  const present = PERSONAL_FIELDS.filter(field => data[field] !== undefined);
+  if (!present.length && !Object.keys(extra).length) return null;
+  return {
+    ...Object.fromEntries(present.map(field => [field, deleteField()])),
+    ...extra,
+    anonymizedAt: serverTimestamp(),
+  };
+}
+
+/**
+ * Erases a user's personal data. Wallets and transactions are kept with personal fields removed, the user
+ * record stays as an `erased` tombstone, listings are archived and the Firebase Auth account is deleted.
+ * Returns the number of documents touched per collection.
+ */
+async function anonymizeUser(uid) {
+  const userSnap = await getOwnDoc('users', uid);
+  const userData = userSnap?.data() || {};
+  const operations = [];
+  const counts = {};
+  const count = (name) => { counts[name] = (counts[name] || 0) + 1; };
+
+  const strip = (snap, name, extra) => {
+    const update = stripPersonalFields(snap.data(), extra);
+    if (!update) return;
+    operations.push(batch => batch.update(snap.ref, update));
+    count(name);
+  };
+  const remove = (ref, name) => {
+    operations.push(batch => batch.delete(ref));
+    count(name);
+  };
+
+  if (userSnap) strip(userSnap, 'users', { status: 'erased', statusChangedBy: 'erasure' });
+  const [sellerSnap, walletSnap] = await Promise.all([getOwnDoc('sellers', uid), getOwnDoc('wallets', uid)]);
+  if (sellerSnap) strip(sellerSnap, 'sellers');
+  if (walletSnap) strip(walletSnap, 'wallets');
+
+  for (const proSellerDoc of await queryByOwner('proSellers', 'userId', uid)) {
+    strip(proSellerDoc, 'proSellers');
+    const approvalSnap = await getDoc(doc(db, 'proSellerApprovals', proSellerDoc.id));
+    if (approvalSnap.exists()) strip(approvalSnap, 'proSellerApprovals');
+  }
+  (await findTransactions(uid)).forEach(txDoc => strip(txDoc, 'transactions'));
+  // Listings are archived like any other off-sale product; ones already archived or trashed are left as they are
+  const productDocs = (await queryByOwner('products', 'sellerId', uid)).filter(productDoc => !isOffSale(productDoc.data().status));
+  const archived = (productDoc) => ({ status: 'archived', archivedFrom: productDoc.data().status || 'pending' });
+  productDocs.forEach(productDoc => {
+    operations.push(batch => batch.update(productDoc.ref, {
+      ...archived(productDoc),
+      archivedAt: serverTimestamp(),
+      updatedAt: serverTimestamp(),
+    }));
+    count('products');
+  });
+
+  (await queryByOwner('supportRequests', 'userId', uid)).forEach(supportDoc => remove(supportDoc.ref, 'supportRequests'));
+  (await queryByOwner('sessions', 'uid', uid)).forEach(sessionDoc => remove(sessionDoc.ref, 'sessions'));
+  (await findOtps(userData)).forEach(otpSnap => remove(otpSnap.ref, 'otps'));
+  const resetTokenSnap = await getOwnDoc('passwordResetTokens', uid);
+  if (resetTokenSnap) remove(resetTokenSnap.ref, 'passwordResetTokens');
+  const twoFactorSnap = await getOwnDoc('twoFactor', uid);
+  if (twoFactorSnap) remove(twoFactorSnap.ref, 'twoFactor');
+
+  await commitInBatches(operations);
+  productDocs.forEach(productDoc => indexProduct(productDoc.id, { ...productDoc.data(), ...archived(productDoc) }));
+
+  if (adminAuth) {
+    try {
+      await adminAuth.deleteUser(uid);
+    } catch (err) {
+      if (err.code !== 'auth/user-not-found') throw err;
+    }
+  }
+  clearSuspensionCache(uid);
+
+  return counts;
+}
+
+const serializeErasureRequest = (id, request) => ({
+  id,
+  uid: request.uid,
+  email: request.email || null,
+  reason: request.reason || null,
+  status: request.status,
+  createdAt: toIso(request.createdAt),
+  reviewedBy: request.reviewedBy || null,
+  reviewedAt: toIso(request.reviewedAt),
+  rejectionReason: request.rejectionReason || null,
+  result: request.result || null,
+  lastError: request.lastError || null,
+});
+
+/**
+ * Files an erasure request for the signed-in user and emails a confirmation. Only one request can be open
+ * at a time. Returns { ok: true, request } or { ok: false, status, error }.
+ */
+async function createErasureRequest({ uid, email, reason }) {
+  const open = (await queryByOwner('erasureRequests', 'uid', uid))
+    .find(requestDoc => ['pending', 'processing'].includes(requestDoc.data().status));
+  if (open) {
+    return { ok: false, status: 409, error: 'You already have an erasure request under review', request: serializeErasureRequest(open.id, open.data()) };
+  }
+
+  const request = { uid, email: email || null, reason: reason || null, status: 'pending', createdAt: Timestamp.now() };
+  const ref = await addDoc(collection(db, 'erasureRequests'), request);
+
+  if (email) {
+    try {
+      await sendErasureRequestEmail({ email, status: 'received' });
+    } catch (err) {
+      console.error(`Erasure request ${ref.id}: confirmation email failed:`, err.message);
+    }
+  }
+  return { ok: true, request: serializeErasureRequest(ref.id, request) };
+}
+
+async function listErasureRequests({ uid, status } = {}) {
+  const constraints = [];
+  if (uid) constraints.push(where('uid', '==', uid));
+  if (status) constraints.push(where('status', '==', status));
+  const snap = await getDocs(query(collection(db, 'erasureRequests'), ...constraints));
+  return snap.docs
+    .map(requestDoc => serializeErasureRequest(requestDoc.id, requestDoc.data()))
+    .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+}
+
+// Moves a pending request to `processing` so two reviewers cannot act on it at once
+async function claimErasureRequest(requestId, actorUid) {
+  const ref = doc(db, 'erasureRequests', requestId);
+  return runTransaction(db, async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists()) {
+      return { ok: false, status: 404, error: 'Erasure request not found' };
+    }
+    const request = snap.data();
+    if (request.status !== 'pending') {
+      return { ok: false, status: 409, error: `Erasure request is already ${request.status}` };
+    }
+    tx.update(ref, { status: 'processing', reviewedBy: actorUid, reviewedAt: serverTimestamp() });
+    return { ok: true, ref, request };
+  });
+}
+
+/**
+ * Approves a pending request: refuses while money is still held for the user, otherwise anonymizes the account
+ * and emails the user at the address captured with the request. The email is then dropped from the request.
+ * Returns { ok: true, request, result } or { ok: false, status, error, blockers? }.
+ */
+async function approveErasureRequest(requestId, { actorUid }) {
+  const claim = await claimErasureRequest(requestId, actorUid);
+  if (!claim.ok) return claim;
+  const { ref, request } = claim;
+
+  const blockers = await findDeletionBlockers(request.uid);
+  if (blockers.length) {
+    await updateDoc(ref, { status: 'pending', reviewedBy: deleteField(), reviewedAt: deleteField() });
+    return { ok: false, status: 409, error: 'Account has funds or withdrawals in progress', blockers };
+  }
+
+  let result;
+  try {
+    result = await anonymizeUser(request.uid);
+  } catch (err) {
+    await updateDoc(ref, { status: 'pending', lastError: err.message });
+    throw err;
+  }
+
+  if (request.email) {
+    try {
+      await sendErasureRequestEmail({ email: request.email, status: 'completed' });
+    } catch (err) {
+      console.error(`Erasure request ${requestId}: completion email failed:`, err.message);
+    }
+  }
+  const update = { status: 'completed', result, email: deleteField(), lastError: deleteField(), completedAt: serverTimestamp() };
+  await updateDoc(ref, update);
+  return {
+    ok: true,
+    result,
+    request: serializeErasureRequest(requestId, { ...request, status: 'completed', result, email: null, reviewedBy: actorUid }),
+  };
+}
+
+// Rejects a pending request and tells the user why
+async function rejectErasureRequest(requestId, { actorUid, reason }) {
+  const ref = doc(db, 'erasureRequests', requestId);
+  const outcome = await runTransaction(db, async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists()) {
+      return { ok: false, status: 404, error: 'Erasure request not found' };
+    }
+    const request = snap.data();
+    if (request.status !== 'pending') {
+      return { ok: false, status: 409, error: `Erasure request is already ${request.status}` };
+    }
+    tx.update(ref, { status: 'rejected', rejectionReason: reason, reviewedBy: actorUid, reviewedAt: serverTimestamp() });
+    return { ok: true, request: { ...request, status: 'rejected', rejectionReason: reason, reviewedBy: actorUid } };
+  });
+  if (!outcome.ok) return outcome;
+
+  if (outcome.request.email) {
+    try {
+      await sendErasureRequestEmail({ email: outcome.request.email, status: 'rejected', reason });
+    } catch (err) {
+      console.error(`Erasure request ${requestId}: rejection email failed:`, err.message);
+    }
+  }
+  return { ok: true, request: serializeErasureRequest(requestId, outcome.request) };
+}
+
+module.exports = {
+  ERASURE_STATUSES,
+  PERSONAL_FIELDS,
+  collectUserData,
+  buildExportArchive,
+  anonymizeUser,
+  createErasureRequest,
+  listErasureRequests,
+  approveErasureRequest,
+  rejectErasureRequest,
+};
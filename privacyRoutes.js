@@ -0,0 +1,265 @@
+const express = require('express');
+const { authenticateFirebaseToken } = require('./middleware');
+const { verifyAndCheckAdmin } = require('./verifyAndCheckAdmin');
+const { authorize } = require('./rbac');
+const { recordAudit } = require('./auditLog');
+const { rateLimit } = require('./rateLimiter');
+const {
+  ERASURE_STATUSES, collectUserData, buildExportArchive, createErasureRequest, listErasureRequests,
+  approveErasureRequest, rejectErasureRequest,
+} = require('./privacy');
+const router = express.Router();
+
+const exportLimit = rateLimit('data-export', { user: { max: 5, windowMs: 60 * 60 * 1000 } });
+
+/**
+ * @swagger
+ * /api/privacy/export:
+ *   get:
+ *     summary: Download everything stored about your account
+ *     description: Returns the user's records from users, sellers, proSellers, wallets, transactions, products, supportRequests, otps, passwordResetTokens, sessions and erasureRequests. Hashes, secrets and tokens are left out.
+ *     tags: [Privacy]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, zip]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Export archive, sent as an attachment
+ *         content:
+ *           application/json: {}
+ *           application/zip: {}
+ *       400:
+ *         description: Unknown format
+ *       403:
+ *         description: Not available while impersonating
+ *       429:
+ *         description: Too many exports
+ */
+router.get('/api/privacy/export', authenticateFirebaseToken, exportLimit, async (req, res) => {
+  try {
+    if (req.impersonation) {
+      return res.status(403).json({ error: 'Data exports are not available while impersonating a user' });
+    }
+    const format = req.query.format || 'json';
+    if (!['json', 'zip'].includes(format)) {
+      return res.status(400).json({ error: 'format must be json or zip' });
+    }
+
+    const data = await collectUserData(req.user.uid);
+    const fileName = `foremade-data-${req.user.uid}-${data.exportedAt.slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    if (format === 'zip') {
+      res.type('application/zip').send(await buildExportArchive(data));
+    } else {
+      res.type('application/json').send(JSON.stringify(data, null, 2));
+    }
+    console.log(`Data export (${format}) generated for user ${req.user.uid}`);
+  } catch (error) {
+    console.error('Data export error:', error);
+    res.status(500).json({ error: 'Failed to export account data', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/privacy/erasure-requests:
+ *   post:
+ *     summary: Ask for your account and personal data to be erased
+ *     description: An admin reviews the request. Once approved, personal details are removed, financial records are kept without them for accounting, and the account is closed. Confirmation emails are sent when the request is received and when it is decided.
+ *     tags: [Privacy]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Request filed
+ *       409:
+ *         description: A request is already under review
+ */
+router.post('/api/privacy/erasure-requests', authenticateFirebaseToken, async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    const result = await createErasureRequest({
+      uid: req.user.uid,
+      email: req.user.email,
+      reason: typeof reason === 'string' ? reason.trim().slice(0, 1000) : null,
+    });
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error, request: result.request });
+    }
+    res.status(201).json({ message: 'Erasure request received', request: result.request });
+  } catch (error) {
+    console.error('Create erasure request error:', error);
+    res.status(500).json({ error: 'Failed to submit erasure request', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/privacy/erasure-requests:
+ *   get:
+ *     summary: List your erasure requests
+ *     tags: [Privacy]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Requests, newest first
+ */
+router.get('/api/privacy/erasure-requests', authenticateFirebaseToken, async (req, res) => {
+  try {
+    res.json({ requests: await listErasureRequests({ uid: req.user.uid }) });
+  } catch (error) {
+    console.error('List erasure requests error:', error);
+    res.status(500).json({ error: 'Failed to fetch erasure requests', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/erasure-requests:
+ *   get:
+ *     summary: List erasure requests for review
+ *     tags: [Privacy]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, processing, completed, rejected]
+ *     responses:
+ *       200:
+ *         description: Requests, newest first
+ *       400:
+ *         description: Unknown status
+ */
+router.get('/api/admin/erasure-requests', verifyAndCheckAdmin, authorize('users:erase'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !ERASURE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${ERASURE_STATUSES.join(', ')}` });
+    }
+    res.json({ requests: await listErasureRequests({ status }) });
+  } catch (error) {
+    console.error('Admin list erasure requests error:', error);
+    res.status(500).json({ error: 'Failed to fetch erasure requests', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/erasure-requests/{requestId}/approve:
+ *   post:
+ *     summary: Approve an erasure request and anonymize the account
+ *     description: Refused while the user's wallet holds funds or a withdrawal is in progress. Deletes the Firebase Auth account.
+ *     tags: [Privacy]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Account anonymized; returns the number of documents touched per collection
+ *       404:
+ *         description: Request not found
+ *       409:
+ *         description: Request is not pending, or the account still has funds or withdrawals in progress
+ */
+router.post('/api/admin/erasure-requests/:requestId/approve', verifyAndCheckAdmin, authorize('users:erase'), async (req, res) => {
+  try {
+    const result = await approveErasureRequest(req.params.requestId, { actorUid: req.user.uid });
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error, blockers: result.blockers });
+    }
+    await recordAudit(req, {
+      action: 'user.erase',
+      targetType: 'user',
+      targetId: result.request.uid,
+      metadata: { requestId: result.request.id, result: result.result },
+    });
+    res.json({ message: 'Account data erased', request: result.request, result: result.result });
+  } catch (error) {
+    console.error('Approve erasure request error:', error);
+    res.status(500).json({ error: 'Failed to erase account data', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/erasure-requests/{requestId}/reject:
+ *   post:
+ *     summary: Reject an erasure request
+ *     tags: [Privacy]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Sent to the user
+ *     responses:
+ *       200:
+ *         description: Request rejected
+ *       400:
+ *         description: Missing reason
+ *       404:
+ *         description: Request not found
+ *       409:
+ *         description: Request is not pending
+ */
+router.post('/api/admin/erasure-requests/:requestId/reject', verifyAndCheckAdmin, authorize('users:erase'), async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({ error: 'A reason is required to reject an erasure request' });
+    }
+    const result = await rejectErasureRequest(req.params.requestId, { actorUid: req.user.uid, reason: reason.trim() });
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    await recordAudit(req, {
+      action: 'user.erasure.reject',
+      targetType: 'user',
+      targetId: result.request.uid,
+      metadata: { requestId: result.request.id, reason: result.request.rejectionReason },
+    });
+    res.json({ message: 'Erasure request rejected', request: result.request });
+  } catch (error) {
+    console.error('Reject erasure request error:', error);
+    res.status(500).json({ error: 'Failed to reject erasure request', details: error.message });
+  }
+});
+
+module.exports = router;
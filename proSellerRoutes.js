@@ -4,7 +4,15 @@ const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const axios = require('axios');
 const { 
   doc, getDoc, setDoc, updateDoc, collection, query, where, getDocs, orderBy, limit, serverTimestamp, addDoc } = require('firebase/firestore');
-const { authenticateFirebaseToken } = require('./middleware');
+const { authenticateFirebaseToken, checkTotpStepUp } = require('./middleware');
+const { requireRecaptcha } = require('./recaptcha');
+const { verifyAndCheckAdmin } = require('./verifyAndCheckAdmin');
+const { authorize } = require('./rbac');
+const { recordAudit } = require('./auditLog');
+const { sendWithdrawalOtp, holdWithdrawal } = require('./withdrawalService');
+const { validateSpecifications } = require('./productAttributes');
+const { normalizeVariants } = require('./productVariants');
+const { isOffSale } = require('./productLifecycle');
 const soap = require('soap');
 const router = express.Router();
 const { sendSupportRequestEmail, sendProSellerApprovedEmail, sendProSellerRejectedEmail } = require('./emailService');
@@ -360,7 +368,7 @@ router.post('/api/pro-seller/verify-business', async (req, res) => {
  * /api/pro-seller/onboard:
  *   post:
  *     summary: Onboard pro seller for payments
- *     description: Set up pro seller account for receiving payments via Stripe (UK) or Paystack (Nigeria)
+ *     description: Set up pro seller account for receiving payments via Stripe (UK) or Paystack (Nigeria). Changing payout details that are already set up requires a two-factor step-up token in the x-step-up-token header (see /api/2fa/verify).
  *     tags: [Pro-Seller]
  *     security:
  *       - BearerAuth: []
@@ -423,6 +431,12 @@ router.post('/api/pro-seller/verify-business', async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Two-factor verification required to change existing payout details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -448,6 +462,15 @@ router.post('/api/pro-seller/onboard', authenticateFirebaseToken, async (req, re
       return res.status(400).json({ error: 'User is not registered as a pro seller' });
     }
 
+    // Replacing existing payout details needs a recent two-factor check; first-time onboarding does not
+    const existing = proSellerSnap.docs[0].data();
+    if (existing.paystackRecipientCode || existing.stripeAccountId) {
+      const stepUpFailure = await checkTotpStepUp(req);
+      if (stepUpFailure) {
+        return res.status(stepUpFailure.status).json({ error: stepUpFailure.error, details: stepUpFailure.details });
+      }
+    }
+
     if (country === 'Nigeria') {
       if (!bankCode || !accountNumber) {
         return res.status(400).json({ error: 'Missing bankCode or accountNumber for Nigeria' });
@@ -632,7 +655,10 @@ router.get('/api/pro-seller/wallet', authenticateFirebaseToken, async (req, res)
  * /api/pro-seller/initiate-payout:
  *   post:
  *     summary: Initiate pro seller payout
- *     description: Initiate a payout request for the authenticated pro seller
+ *     description: |
+ *       Initiate a payout request for the authenticated pro seller. The amount is held and the request waits in
+ *       `pending_otp` until confirmed with the emailed code via POST /confirm-seller-payout; unconfirmed requests
+ *       expire after 10 minutes and the amount returns to the available balance.
  *     tags: [Pro-Seller]
  *     security:
  *       - BearerAuth: []
@@ -687,9 +713,12 @@ router.get('/api/pro-seller/wallet', authenticateFirebaseToken, async (req, res)
  *                   type: string
  *                   description: Transaction ID
  *                   example: "transaction123"
+ *                 transactionStatus:
+ *                   type: string
+ *                   example: "pending_otp"
  *                 message:
  *                   type: string
- *                   example: "Withdrawal request submitted, awaiting admin approval"
+ *                   example: "Withdrawal request created. Enter the code sent to seller@example.com to confirm it."
  *       400:
  *         description: Invalid request or insufficient balance
  *         content:
@@ -738,32 +767,36 @@ router.post('/api/pro-seller/initiate-payout', authenticateFirebaseToken, async
       return res.status(400).json({ error: 'Insufficient available balance' });
     }
 
-    await updateDoc(walletRef, {
-      availableBalance: wallet.availableBalance - amount,
-      pendingBalance: (wallet.pendingBalance || 0) + amount,
-      updatedAt: serverTimestamp(),
-    });
+    // Email the confirmation code first so a resend cooldown does not leave funds on hold
+    const otpResult = await sendWithdrawalOtp({ uid, email: req.user.email });
+    if (!otpResult.ok) {
+      if (otpResult.retryAfter) res.set('Retry-After', String(otpResult.retryAfter));
+      return res.status(otpResult.status).json({ error: otpResult.error, retryAfter: otpResult.retryAfter });
+    }
 
-    const transactionDoc = await addDoc(collection(db, 'transactions'), {
-      userId: uid,
-      type: 'Withdrawal',
-      description: `Pro seller withdrawal request for transaction ${transactionReference} - Awaiting Admin Approval`,
-      amount,
-      date: new Date().toISOString().split('T')[0],
-      status: 'Pending',
-      createdAt: serverTimestamp(),
-      reference: transactionReference,
-      bankCode: country === 'Nigeria' ? bankCode : undefined,
-      accountNumber: country === 'Nigeria' ? accountNumber : undefined,
-      country,
-      email,
-      isProSeller: true
+    const hold = await holdWithdrawal(uid, amount, {
+      holdField: 'pendingBalance',
+      transaction: {
+        userId: uid,
+        description: `Pro seller withdrawal request for transaction ${transactionReference} - Awaiting OTP Confirmation`,
+        date: new Date().toISOString().split('T')[0],
+        reference: transactionReference,
+        bankCode: country === 'Nigeria' ? bankCode : undefined,
+        accountNumber: country === 'Nigeria' ? accountNumber : undefined,
+        country,
+        email,
+        isProSeller: true
+      },
     });
+    if (!hold.ok) {
+      return res.status(hold.status).json({ error: hold.error });
+    }
 
     res.json({
       status: 'success',
-      transactionId: transactionDoc.id,
-      message: 'Withdrawal request submitted, awaiting admin approval',
+      transactionId: hold.transactionId,
+      transactionStatus: 'pending_otp',
+      message: `Withdrawal request created. Enter the code sent to ${otpResult.email} to confirm it.`,
     });
   } catch (error) {
     console.error('Pro seller payout initiation error:', error);
@@ -807,7 +840,7 @@ router.post('/api/pro-seller/initiate-payout', authenticateFirebaseToken, async
  *         name: status
  *         schema:
  *           type: string
- *           enum: [Pending, Completed, Failed, Rejected]
+ *           enum: [pending_otp, Pending, Completed, Failed, Rejected, Expired]
  *         description: Filter by transaction status
  *         example: "Completed"
  *     responses:
@@ -1059,6 +1092,9 @@ router.post('/api/bump-product', authenticateFirebaseToken, async (req, res) =>
     if (productData.sellerId !== uid) {
       return res.status(403).json({ error: 'You can only bump your own products' });
     }
+    if (isOffSale(productData.status)) {
+      return res.status(409).json({ error: `Cannot bump a product that is ${productData.status}` });
+    }
 
     // Calculate bump expiry time
     const durationInHours = parseInt(bumpDuration.replace('h', '')); // 72 or 168
@@ -1366,7 +1402,20 @@ router.get('/api/pro-seller-analytics', authenticateFirebaseToken, async (req, r
  *                       description: Array of image URLs
  *                     specifications:
  *                       type: object
- *                       description: Product specifications
+ *                       description: Product specifications, validated against the category's attribute schema
+ *                     stock:
+ *                       type: integer
+ *                       description: Units in stock for a product without variants
+ *                     options:
+ *                       type: array
+ *                       description: Option axes, as in POST /api/products
+ *                       items:
+ *                         type: object
+ *                     variants:
+ *                       type: array
+ *                       description: Variants with options, sku, price, stock and imageUrls, as in POST /api/products
+ *                       items:
+ *                         type: object
  *                 description: Array of products to upload
  *     responses:
  *       200:
@@ -1418,8 +1467,9 @@ router.post('/api/bulk-upload-products', authenticateFirebaseToken, async (req,
       return res.status(400).json({ error: 'Maximum 100 products allowed per bulk upload' });
     }
 
-    // Validate each product
-    for (const product of products) {
+    // Validate each product; specifications and variants are stored the way POST /api/products stores them
+    const normalizedProducts = [];
+    for (const [index, product] of products.entries()) {
       if (!product.name || !product.description || !product.price || !product.category || !product.imageUrls) {
         return res.status(400).json({
           error: 'Each product must have: name, description, price, category, imageUrls'
@@ -1431,6 +1481,15 @@ router.post('/api/bulk-upload-products', authenticateFirebaseToken, async (req,
       if (!Array.isArray(product.imageUrls) || product.imageUrls.length === 0) {
         return res.status(400).json({ error: 'Each product must have at least one image URL' });
       }
+      const specCheck = await validateSpecifications(product.category, product.specifications || {});
+      if (!specCheck.ok) {
+        return res.status(400).json({ error: `Product ${index + 1}: invalid specifications`, details: specCheck.errors.join('; ') });
+      }
+      const variantCheck = normalizeVariants(product);
+      if (!variantCheck.ok) {
+        return res.status(400).json({ error: `Product ${index + 1}: invalid variants`, details: variantCheck.errors.join('; ') });
+      }
+      normalizedProducts.push({ ...product, specifications: specCheck.specifications, ...variantCheck.fields });
     }
 
     // Create bulk upload request
@@ -1440,7 +1499,7 @@ router.post('/api/bulk-upload-products', authenticateFirebaseToken, async (req,
     const bulkRequestData = {
       requestId,
       sellerId: uid,
-      products,
+      products: normalizedProducts,
       status: 'pending',
       totalProducts: products.length,
       createdAt: serverTimestamp(),
@@ -1522,9 +1581,11 @@ router.post('/api/bulk-upload-products', authenticateFirebaseToken, async (req,
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: reCAPTCHA verification failed (send a v3 token for action "support_request" in x-recaptcha-token)
  */
 
-router.post('/api/support-request', authenticateFirebaseToken, async (req, res) => {
+router.post('/api/support-request', authenticateFirebaseToken, requireRecaptcha({ action: 'support_request' }), async (req, res) => {
   try {
     const { uid } = req.user;
     const { subject, message } = req.body;
@@ -1595,7 +1656,7 @@ router.post('/api/support-request', authenticateFirebaseToken, async (req, res)
  *                     type: object
  */
 
-router.get('/api/admin/pro-seller-approvals', authenticateFirebaseToken, async (req, res) => {
+router.get('/api/admin/pro-seller-approvals', verifyAndCheckAdmin, authorize('proSellers:read'), async (req, res) => {
   try {
     const approvalsSnap = await getDocs(query(collection(db, 'proSellerApprovals'), where('status', '==', 'pending')));
     const approvals = approvalsSnap.docs.map(doc => doc.data());
@@ -1645,7 +1706,7 @@ router.get('/api/admin/pro-seller-approvals', authenticateFirebaseToken, async (
  *         description: Admin access required
  */
 
-router.post('/api/admin/approve-pro-seller', async (req, res) => { // Removed authenticateFirebaseToken
+router.post('/api/admin/approve-pro-seller', verifyAndCheckAdmin, authorize('proSellers:approve'), async (req, res) => {
   try {
     const { proSellerId, approve } = req.body;
 
@@ -1666,6 +1727,7 @@ router.post('/api/admin/approve-pro-seller', async (req, res) => { // Removed au
     if (approvalData.emailSent) {
       await updateDoc(approvalRef, {
         status: approve ? 'approved' : 'rejected',
+        reviewedBy: req.user.uid,
         updatedAt: serverTimestamp(),
       });
       const proSellerRef = doc(db, 'proSellers', proSellerId);
@@ -1673,6 +1735,7 @@ router.post('/api/admin/approve-pro-seller', async (req, res) => { // Removed au
       if (proSellerSnap.exists()) {
         await updateDoc(proSellerRef, {
           status: approve ? 'approved' : 'rejected',
+          reviewedBy: req.user.uid,
           updatedAt: serverTimestamp(),
         });
       }
@@ -1681,21 +1744,32 @@ router.post('/api/admin/approve-pro-seller', async (req, res) => { // Removed au
         await updateDoc(userRef, {
           isProSeller: true,
           role: 'proseller',
+          roleChangedBy: req.user.uid,
           updatedAt: serverTimestamp(),
         });
       } else {
         await updateDoc(userRef, {
           isProSeller: false,
           role: 'buyer',
+          roleChangedBy: req.user.uid,
           updatedAt: serverTimestamp(),
         });
       }
+      await recordAudit(req, {
+        action: approve ? 'proSeller.approve' : 'proSeller.reject',
+        targetType: 'proSeller',
+        targetId: proSellerId,
+        before: { status: approvalData.status },
+        after: { status: approve ? 'approved' : 'rejected' },
+        metadata: { userId: approvalData.userId },
+      });
       return res.json({ status: 'success', message: 'Email already sent previously. Status updated.' });
     }
 
     // Update approval status
     await updateDoc(approvalRef, {
       status: approve ? 'approved' : 'rejected',
+      reviewedBy: req.user.uid,
       updatedAt: serverTimestamp(),
       emailSent: true,
     });
@@ -1706,6 +1780,7 @@ router.post('/api/admin/approve-pro-seller', async (req, res) => { // Removed au
     if (proSellerSnap.exists()) {
       await updateDoc(proSellerRef, {
         status: approve ? 'approved' : 'rejected',
+        reviewedBy: req.user.uid,
         updatedAt: serverTimestamp(),
       });
     }
@@ -1724,6 +1799,7 @@ router.post('/api/admin/approve-pro-seller', async (req, res) => { // Removed au
       await updateDoc(userRef, {
         isProSeller: true,
         role: 'proseller',
+        roleChangedBy: req.user.uid,
         updatedAt: serverTimestamp(),
       });
       if (userEmail) {
@@ -1733,6 +1809,7 @@ router.post('/api/admin/approve-pro-seller', async (req, res) => { // Removed au
       await updateDoc(userRef, {
         isProSeller: false,
         role: 'buyer',
+        roleChangedBy: req.user.uid,
         updatedAt: serverTimestamp(),
       });
       if (userEmail) {
@@ -1740,6 +1817,14 @@ router.post('/api/admin/approve-pro-seller', async (req, res) => { // Removed au
       }
     }
 
+    await recordAudit(req, {
+      action: approve ? 'proSeller.approve' : 'proSeller.reject',
+      targetType: 'proSeller',
+      targetId: proSellerId,
+      before: { status: approvalData.status },
+      after: { status: approve ? 'approved' : 'rejected' },
+      metadata: { userId: approvalData.userId },
+    });
     res.json({ status: 'success', message: approve ? 'Pro seller approved' : 'Pro seller rejected' });
   } catch (error) {
     res.status(500).json({ error: 'Failed to process approval', details: error.message });
@@ -1950,7 +2035,7 @@ router.post('/api/verify-business-reg', async (req, res) => {
  *                     type: object
  */
 
-router.get('/api/admin/all-pro-sellers', (req, res, next) => next(), async (req, res) => { // No auth
+router.get('/api/admin/all-pro-sellers', verifyAndCheckAdmin, authorize('proSellers:read'), async (req, res) => {
   try {
     const proSellersSnap = await getDocs(collection(db, 'proSellers'));
     const proSellers = proSellersSnap.docs.map(doc => doc.data());
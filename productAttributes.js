@@ -0,0 +1,275 @@
+// Category attribute schemas: which `specifications` a product in a category may (or must) carry and what
+// values they take. Schemas live in Firestore (`categorySchemas/{category}`) so the catalogue team can change
+// them without a deploy; DEFAULT_ATTRIBUTE_SCHEMAS is used when a category has no document. Categories with no
+// schema at all keep free-form specifications. The same definitions drive attribute filters and facet counts
+// on GET /api/products.
+const { doc, getDoc } = require('firebase/firestore');
+const { db } = require('./firebaseConfig');
+
+const ATTRIBUTE_TYPES = ['string', 'number', 'boolean', 'enum'];
+const MAX_STRING_LENGTH = 200;
+const SCHEMA_CACHE_TTL_MS = 60 * 1000;
+
+const DEFAULT_ATTRIBUTE_SCHEMAS = {
+  Electronics: [
+    { key: 'brand', label: 'Brand', type: 'string', required: true },
+    { key: 'storage', label: 'Storage', type: 'enum', options: ['16GB', '32GB', '64GB', '128GB', '256GB', '512GB', '1TB', '2TB'] },
+    { key: 'ram', label: 'RAM', type: 'enum', options: ['2GB', '4GB', '6GB', '8GB', '12GB', '16GB', '32GB'] },
+    { key: 'colour', label: 'Colour', type: 'string' },
+    { key: 'condition', label: 'Condition', type: 'enum', options: ['New', 'Used', 'Refurbished'] },
+  ],
+  Fashion: [
+    { key: 'size', label: 'Size', type: 'enum', options: ['XS', 'S', 'M', 'L', 'XL', 'XXL'], multiple: true },
+    { key: 'colour', label: 'Colour', type: 'string', multiple: true },
+    { key: 'gender', label: 'Gender', type: 'enum', options: ['Men', 'Women', 'Unisex', 'Kids'] },
+    { key: 'material', label: 'Material', type: 'string' },
+  ],
+  'Home & Garden': [
+    { key: 'material', label: 'Material', type: 'string' },
+    { key: 'colour', label: 'Colour', type: 'string' },
+    { key: 'room', label: 'Room', type: 'enum', options: ['Living Room', 'Bedroom', 'Kitchen', 'Bathroom', 'Garden', 'Office'] },
+  ],
+  'Books & Media': [
+    { key: 'author', label: 'Author', type: 'string' },
+    { key: 'format', label: 'Format', type: 'enum', options: ['Paperback', 'Hardcover', 'eBook', 'Audiobook', 'CD', 'DVD', 'Vinyl'] },
+    { key: 'language', label: 'Language', type: 'string' },
+  ],
+};
+
+// category -> { attributes, expiresAt }
+const schemaCache = new Map();
+
+const clearSchemaCache = (category) => {
+  if (category) schemaCache.delete(category);
+  else schemaCache.clear();
+};
+
+/**
+ * Attribute definitions for a category, from `categorySchemas/{category}` or DEFAULT_ATTRIBUTE_SCHEMAS.
+ * Returns null when the category has no schema (its specifications are not validated).
+ */
+async function getAttributeSchema(category) {
+  if (!category) return null;
+  const cached = schemaCache.get(category);
+  if (cached && cached.expiresAt > Date.now()) return cached.attributes;
+
+  let attributes = DEFAULT_ATTRIBUTE_SCHEMAS[category] || null;
+  const schemaSnap = await getDoc(doc(db, 'categorySchemas', category));
+  if (schemaSnap.exists() && Array.isArray(schemaSnap.data().attributes)) {
+    attributes = schemaSnap.data().attributes;
+  }
+
+  schemaCache.set(category, { attributes, expiresAt: Date.now() + SCHEMA_CACHE_TTL_MS });
+  return attributes;
+}
+
+/**
+ * Checks attribute definitions submitted by an admin. Returns a list of problems (empty when valid).
+ */
+function validateSchemaDefinition(attributes) {
+  if (!Array.isArray(attributes)) return ['attributes must be an array'];
+  const errors = [];
+  const seen = new Set();
+  attributes.forEach((attribute, i) => {
+    const label = attribute?.key || `#${i + 1}`;
+    if (!attribute || typeof attribute !== 'object') {
+      errors.push(`Attribute ${label} must be an object`);
+      return;
+    }
+    if (typeof attribute.key !== 'string' || !/^[a-zA-Z][a-zA-Z0-9_]{0,39}$/.test(attribute.key)) {
+      errors.push(`Attribute ${label}: key must start with a letter and contain only letters, digits or underscores`);
+    } else if (seen.has(attribute.key)) {
+      errors.push(`Attribute ${label} is defined twice`);
+    }
+    seen.add(attribute.key);
+    if (!ATTRIBUTE_TYPES.includes(attribute.type)) {
+      errors.push(`Attribute ${label}: type must be one of ${ATTRIBUTE_TYPES.join(', ')}`);
+    }
+    if (attribute.type === 'enum' && (!Array.isArray(attribute.options) || !attribute.options.length
+      || attribute.options.some(option => typeof option !== 'string' || !option.trim()))) {
+      errors.push(`Attribute ${label}: enum attributes need a non-empty list of string options`);
+    }
+  });
+  return errors;
+}
+
+// Normalizes one value for an attribute, or returns undefined when it is not valid for it
+function coerceValue(attribute, value) {
+  switch (attribute.type) {
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() ? Number(value) : value;
+      return typeof number === 'number' && Number.isFinite(number) ? number : undefined;
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (value === 'true' || value === 'false') return value === 'true';
+      return undefined;
+    case 'enum':
+      // Matched case-insensitively and stored with the schema's spelling
+      return typeof value === 'string'
+        ? attribute.options.find(option => option.toLowerCase() === value.trim().toLowerCase())
+        : undefined;
+    default: {
+      if (typeof value !== 'string' && typeof value !== 'number') return undefined;
+      const text = String(value).trim();
+      return text && text.length <= MAX_STRING_LENGTH ? text : undefined;
+    }
+  }
+}
+
+const describeExpected = (attribute) =>
+  attribute.type === 'enum' ? `one of ${attribute.options.join(', ')}` : `a ${attribute.type}`;
+
+/**
+ * Validates a product's specifications against its category schema.
+ * Returns { ok: true, specifications } with values normalized (enum spelling, numbers, trimmed strings), or
+ * { ok: false, errors }. Categories without a schema accept any object unchanged.
+ */
+async function validateSpecifications(category, specifications = {}) {
+  if (specifications === null || typeof specifications !== 'object' || Array.isArray(specifications)) {
+    return { ok: false, errors: ['specifications must be an object'] };
+  }
+  const attributes = await getAttributeSchema(category);
+  if (!attributes) return { ok: true, specifications };
+
+  const errors = [];
+  const normalized = {};
+  const byKey = new Map(attributes.map(attribute => [attribute.key, attribute]));
+
+  Object.keys(specifications).filter(key => !byKey.has(key)).forEach(key => {
+    errors.push(`${key} is not an attribute of ${category} (allowed: ${attributes.map(attribute => attribute.key).join(', ')})`);
+  });
+
+  attributes.forEach(attribute => {
+    const raw = specifications[attribute.key];
+    if (raw === undefined || raw === null || raw === '' || (Array.isArray(raw) && !raw.length)) {
+      if (attribute.required) errors.push(`${attribute.key} is required for ${category}`);
+      return;
+    }
+    if (Array.isArray(raw) && !attribute.multiple) {
+      errors.push(`${attribute.key} takes a single value`);
+      return;
+    }
+
+    const values = (Array.isArray(raw) ? raw : [raw]).map(value => coerceValue(attribute, value));
+    if (values.some(value => value === undefined)) {
+      errors.push(`${attribute.key} must be ${describeExpected(attribute)}`);
+      return;
+    }
+    normalized[attribute.key] = attribute.multiple ? [...new Set(values)] : values[0];
+  });
+
+  return errors.length ? { ok: false, errors } : { ok: true, specifications: normalized };
+}
+
+/**
+ * Reads `attr.<key>` query parameters into attribute filters. Values are comma separated alternatives
+ * (`attr.brand=Samsung,Apple`); number attributes also take a range (`attr.screen=5..7`, either end optional).
+ * `attributes` (from the selected categories' schemas) restricts and types the keys; without it any key is
+ * treated as text. Returns { filters } or { error }.
+ */
+function parseAttributeFilters(reqQuery, attributes = null) {
+  const byKey = attributes ? new Map(attributes.map(attribute => [attribute.key, attribute])) : null;
+  const filters = {};
+  for (const [param, rawValue] of Object.entries(reqQuery)) {
+    if (!param.startsWith('attr.')) continue;
+    const key = param.slice('attr.'.length);
+    const attribute = byKey ? byKey.get(key) : { key, type: 'string' };
+    if (!attribute) {
+      return { error: `Unknown attribute filter: ${key}` };
+    }
+    const text = (Array.isArray(rawValue) ? rawValue : [rawValue]).join(',');
+
+    const range = attribute.type === 'number' && /^\s*(-?[\d.]*)\s*\.\.\s*(-?[\d.]*)\s*$/.exec(text);
+    if (range) {
+      const [min, max] = [range[1], range[2]].map(bound => (bound === '' ? null : Number(bound)));
+      if ([min, max].some(bound => bound !== null && !Number.isFinite(bound))) {
+        return { error: `attr.${key} must be a number range like 5..7` };
+      }
+      filters[key] = { type: 'range', min, max };
+      continue;
+    }
+
+    const values = text.split(',').map(value => value.trim()).filter(Boolean).map(value => coerceValue(attribute, value));
+    if (!values.length || values.some(value => value === undefined)) {
+      return { error: `attr.${key} must be ${describeExpected(attribute)}` };
+    }
+    filters[key] = { type: 'values', values };
+  }
+  return { filters };
+}
+
+// Compares as text case-insensitively, so filters written before a schema existed still match
+const sameValue = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+function matchesAttributeFilter(specifications, key, filter) {
+  const raw = specifications?.[key];
+  const values = Array.isArray(raw) ? raw : raw === undefined || raw === null ? [] : [raw];
+  if (filter.type === 'range') {
+    return values.some(value => typeof value === 'number'
+      && (filter.min === null || value >= filter.min) && (filter.max === null || value <= filter.max));
+  }
+  return values.some(value => filter.values.some(wanted => sameValue(value, wanted)));
+}
+
+// True when the specifications satisfy every filter (except `skipKey`, used for facet counts)
+const matchesAttributeFilters = (specifications, filters, skipKey = null) =>
+  Object.entries(filters).every(([key, filter]) => key === skipKey || matchesAttributeFilter(specifications, key, filter));
+
+/**
+ * Facet counts for `attributes` over `items` ([{ specifications }]). Each attribute is counted with every
+ * filter applied except its own, so the storefront can show the alternatives to what is already selected.
+ * Number attributes report their { min, max } instead of value counts.
+ */
+function computeFacets(items, attributes, filters = {}) {
+  return attributes.map(attribute => {
+    const matching = items.filter(item => matchesAttributeFilters(item.specifications, filters, attribute.key));
+    const facet = { key: attribute.key, label: attribute.label || attribute.key, type: attribute.type };
+
+    if (attribute.type === 'number') {
+      const numbers = matching.flatMap(item => [].concat(item.specifications?.[attribute.key] ?? []))
+        .filter(value => typeof value === 'number');
+      return { ...facet, min: numbers.length ? Math.min(...numbers) : null, max: numbers.length ? Math.max(...numbers) : null };
+    }
+
+    const counts = new Map();
+    matching.forEach(item => {
+      const raw = item.specifications?.[attribute.key];
+      const values = Array.isArray(raw) ? raw : raw === undefined || raw === null ? [] : [raw];
+      // A product listing the same value twice counts once; text values are grouped case-insensitively
+      new Map(values.map(value => [String(value).toLowerCase(), value])).forEach((value, groupKey) => {
+        const entry = counts.get(groupKey) || { value, count: 0 };
+        entry.count += 1;
+        counts.set(groupKey, entry);
+      });
+    });
+    const values = [...counts.values()].sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+    return { ...facet, values };
+  });
+}
+
+/**
+ * Union of the schemas of several categories, first definition of a key wins. Used for facets and filters
+ * when a listing spans more than one category.
+ */
+async function getAttributesForCategories(categories) {
+  const schemas = await Promise.all(categories.map(getAttributeSchema));
+  const byKey = new Map();
+  schemas.filter(Boolean).flat().forEach(attribute => {
+    if (!byKey.has(attribute.key)) byKey.set(attribute.key, attribute);
+  });
+  return [...byKey.values()];
+}
+
+module.exports = {
+  ATTRIBUTE_TYPES,
+  DEFAULT_ATTRIBUTE_SCHEMAS,
+  getAttributeSchema,
+  getAttributesForCategories,
+  clearSchemaCache,
+  validateSchemaDefinition,
+  validateSpecifications,
+  parseAttributeFilters,
+  matchesAttributeFilters,
+  computeFacets,
+};
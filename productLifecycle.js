@@ -0,0 +1,171 @@
+// Archiving and trash for products. Products are never deleted straight away because orders, bumps
+// (`productBumps`) and analytics keep pointing at them:
+// - `archived` takes a listing off sale; the seller can unarchive it back to the status it had.
+// - `deleted` moves it to the trash. A moderator can restore it until `purgeAt`, after which the purge
+//   sweep removes the document for good.
+// Both stay readable by id and are left out of listings, search and checkout.
+const {
+  collection, doc, getDocs, query, where, orderBy, runTransaction, deleteField, serverTimestamp, Timestamp,
+} = require('firebase/firestore');
+const { db } = require('./firebaseConfig');
+const { indexProduct, removeProductFromIndex } = require('./productSearch');
+
+const OFF_SALE_STATUSES = ['archived', 'deleted'];
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+const TRASH_PURGE_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+const isOffSale = (status) => OFF_SALE_STATUSES.includes(status);
+
+const toIso = (value) => value?.toDate?.().toISOString() || null;
+
+// Runs `change(product)` on a product in a transaction. `change` returns { error, status? } or { update }.
+async function transitionProduct(productId, change) {
+  const productRef = doc(db, 'products', productId);
+  const outcome = await runTransaction(db, async (tx) => {
+    const productSnap = await tx.get(productRef);
+    if (!productSnap.exists()) return { ok: false, status: 404, error: 'Product not found' };
+    const product = productSnap.data();
+    const { error, status = 409, update } = change(product);
+    if (error) return { ok: false, status, error };
+    const fields = { ...update, updatedAt: serverTimestamp() };
+    tx.update(productRef, fields);
+    return { ok: true, product: { ...product, ...fields } };
+  });
+  if (outcome.ok) indexProduct(productId, outcome.product);
+  return outcome;
+}
+
+const ownedBy = (product, sellerId) => (sellerId && product.sellerId !== sellerId ? 'You can only manage your own products' : null);
+
+/**
+ * Takes a product off sale. `sellerId` restricts the call to the product's owner.
+ * Returns { ok: true, product } or { ok: false, status, error }.
+ */
+async function archiveProduct(productId, { sellerId }) {
+  return transitionProduct(productId, (product) => {
+    const notOwner = ownedBy(product, sellerId);
+    if (notOwner) return { error: notOwner, status: 403 };
+    if (product.status === 'archived') return { error: 'Product is already archived' };
+    if (product.status === 'deleted') return { error: 'Product is in the trash' };
+    return { update: { status: 'archived', archivedFrom: product.status || 'pending', archivedAt: serverTimestamp() } };
+  });
+}
+
+// Puts an archived product back in the status it had before
+async function unarchiveProduct(productId, { sellerId }) {
+  return transitionProduct(productId, (product) => {
+    const notOwner = ownedBy(product, sellerId);
+    if (notOwner) return { error: notOwner, status: 403 };
+    if (product.status !== 'archived') return { error: 'Product is not archived' };
+    return {
+      update: { status: product.archivedFrom || 'pending', archivedFrom: deleteField(), archivedAt: deleteField() },
+    };
+  });
+}
+
+/**
+ * Moves a product to the trash, to be purged after TRASH_RETENTION_DAYS.
+ * Returns { ok: true, product } (with `purgeAt`) or { ok: false, status, error }.
+ */
+async function trashProduct(productId, { sellerId, actorUid }) {
+  const purgeAt = Timestamp.fromDate(new Date(Date.now() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000));
+  return transitionProduct(productId, (product) => {
+    const notOwner = ownedBy(product, sellerId);
+    if (notOwner) return { error: notOwner, status: 403 };
+    if (product.status === 'deleted') return { error: 'Product is already in the trash' };
+    return {
+      update: {
+        status: 'deleted',
+        deletedFrom: product.status || 'pending',
+        deletedBy: actorUid,
+        deletedAt: serverTimestamp(),
+        purgeAt,
+      },
+    };
+  });
+}
+
+// Takes a product out of the trash, back to the status it had (an archived product stays archived)
+async function restoreProduct(productId) {
+  return transitionProduct(productId, (product) => {
+    if (product.status !== 'deleted') return { error: 'Product is not in the trash' };
+    return {
+      update: {
+        status: product.deletedFrom || 'pending',
+        deletedFrom: deleteField(),
+        deletedBy: deleteField(),
+        deletedAt: deleteField(),
+        purgeAt: deleteField(),
+      },
+    };
+  });
+}
+
+const serializeOffSaleProduct = (productDoc) => {
+  const data = productDoc.data();
+  return {
+    id: productDoc.id,
+    ...data,
+    createdAt: toIso(data.createdAt),
+    updatedAt: toIso(data.updatedAt),
+    archivedAt: toIso(data.archivedAt),
+    deletedAt: toIso(data.deletedAt),
+    purgeAt: toIso(data.purgeAt),
+  };
+};
+
+// Archived or trashed products, optionally of one seller; trash is ordered by purge date, archive newest first
+async function listOffSaleProducts(status, { sellerId } = {}) {
+  const constraints = [where('status', '==', status)];
+  if (sellerId) constraints.push(where('sellerId', '==', sellerId));
+  constraints.push(status === 'deleted' ? orderBy('purgeAt', 'asc') : orderBy('archivedAt', 'desc'));
+  const productsSnap = await getDocs(query(collection(db, 'products'), ...constraints));
+  return productsSnap.docs.map(serializeOffSaleProduct);
+}
+
+// Deletes every trashed product whose retention period has passed
+async function purgeExpiredProducts() {
+  const expiredQuery = query(
+    collection(db, 'products'),
+    where('status', '==', 'deleted'),
+    where('purgeAt', '<=', Timestamp.now())
+  );
+  const expiredSnap = await getDocs(expiredQuery);
+  let purged = 0;
+  for (const productDoc of expiredSnap.docs) {
+    // Re-checked in a transaction so a product restored since the query is kept
+    const deleted = await runTransaction(db, async (tx) => {
+      const productSnap = await tx.get(productDoc.ref);
+      if (!productSnap.exists() || productSnap.data().status !== 'deleted') return false;
+      if (productSnap.data().purgeAt?.toMillis() > Date.now()) return false;
+      tx.delete(productDoc.ref);
+      return true;
+    });
+    if (!deleted) continue;
+    removeProductFromIndex(productDoc.id);
+    purged += 1;
+    console.log(`Product ${productDoc.id} purged from the trash`);
+  }
+  return purged;
+}
+
+function startTrashPurgeScheduler(intervalMs = TRASH_PURGE_SWEEP_INTERVAL_MS) {
+  const timer = setInterval(() => {
+    purgeExpiredProducts().catch(err => console.error('Trash purge sweep error:', err.message || err));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  OFF_SALE_STATUSES,
+  TRASH_RETENTION_DAYS,
+  isOffSale,
+  archiveProduct,
+  unarchiveProduct,
+  trashProduct,
+  restoreProduct,
+  listOffSaleProducts,
+  purgeExpiredProducts,
+  startTrashPurgeScheduler,
+};
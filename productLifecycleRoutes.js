@@ -0,0 +1,218 @@
+const express = require('express');
+const { authenticateFirebaseToken } = require('./middleware');
+const { verifyAndCheckAdmin } = require('./verifyAndCheckAdmin');
+const { authorize } = require('./rbac');
+const { recordAudit } = require('./auditLog');
+const {
+  TRASH_RETENTION_DAYS, archiveProduct, unarchiveProduct, restoreProduct, listOffSaleProducts,
+} = require('./productLifecycle');
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/products/archived:
+ *   get:
+ *     summary: List your archived products
+ *     description: Products you took off sale, newest first. Unarchive one to list it again.
+ *     tags: [Products]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Archived products retrieved successfully
+ */
+router.get('/api/products/archived', authenticateFirebaseToken, async (req, res) => {
+  try {
+    res.json({ status: 'success', products: await listOffSaleProducts('archived', { sellerId: req.user.uid }) });
+  } catch (error) {
+    console.error('List archived products error:', error);
+    res.status(500).json({ error: 'Failed to fetch archived products', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/products/trash:
+ *   get:
+ *     summary: List your deleted products
+ *     description: Products in the trash, soonest purge first. Each is permanently deleted at its purgeAt; until then support can restore it.
+ *     tags: [Products]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Trashed products retrieved successfully
+ */
+router.get('/api/products/trash', authenticateFirebaseToken, async (req, res) => {
+  try {
+    res.json({
+      status: 'success',
+      retentionDays: TRASH_RETENTION_DAYS,
+      products: await listOffSaleProducts('deleted', { sellerId: req.user.uid }),
+    });
+  } catch (error) {
+    console.error('List trashed products error:', error);
+    res.status(500).json({ error: 'Failed to fetch deleted products', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/products/{productId}/archive:
+ *   post:
+ *     summary: Archive a product
+ *     description: Takes the product off sale. It disappears from listings, search and checkout but stays readable by id for past orders.
+ *     tags: [Products]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Product archived
+ *       403:
+ *         description: Not the product owner
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: Product is already archived or in the trash
+ */
+router.post('/api/products/:productId/archive', authenticateFirebaseToken, async (req, res) => {
+  try {
+    const result = await archiveProduct(req.params.productId, { sellerId: req.user.uid });
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ status: 'success', message: 'Product archived', productId: req.params.productId });
+  } catch (error) {
+    console.error('Archive product error:', error);
+    res.status(500).json({ error: 'Failed to archive product', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/products/{productId}/unarchive:
+ *   post:
+ *     summary: Unarchive a product
+ *     description: Puts the product back in the status it had when it was archived (an approved product is listed again straight away).
+ *     tags: [Products]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Product unarchived
+ *       403:
+ *         description: Not the product owner
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: Product is not archived
+ */
+router.post('/api/products/:productId/unarchive', authenticateFirebaseToken, async (req, res) => {
+  try {
+    const result = await unarchiveProduct(req.params.productId, { sellerId: req.user.uid });
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({
+      status: 'success',
+      message: 'Product unarchived',
+      productId: req.params.productId,
+      productStatus: result.product.status,
+    });
+  } catch (error) {
+    console.error('Unarchive product error:', error);
+    res.status(500).json({ error: 'Failed to unarchive product', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/products/trash:
+ *   get:
+ *     summary: List trashed products
+ *     description: Every product in the trash, soonest purge first.
+ *     tags: [Products]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: sellerId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Trashed products retrieved successfully
+ *       403:
+ *         description: Missing catalog:manage permission
+ */
+router.get('/api/admin/products/trash', verifyAndCheckAdmin, authorize('catalog:manage'), async (req, res) => {
+  try {
+    const { sellerId } = req.query;
+    res.json({
+      status: 'success',
+      retentionDays: TRASH_RETENTION_DAYS,
+      products: await listOffSaleProducts('deleted', { sellerId: sellerId || undefined }),
+    });
+  } catch (error) {
+    console.error('Admin list trashed products error:', error);
+    res.status(500).json({ error: 'Failed to fetch deleted products', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/products/{productId}/restore:
+ *   post:
+ *     summary: Restore a product from the trash
+ *     description: Puts the product back in the status it had when it was deleted and cancels its purge.
+ *     tags: [Products]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Product restored
+ *       404:
+ *         description: Product not found (or already purged)
+ *       409:
+ *         description: Product is not in the trash
+ */
+router.post('/api/admin/products/:productId/restore', verifyAndCheckAdmin, authorize('catalog:manage'), async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const result = await restoreProduct(productId);
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    await recordAudit(req, {
+      action: 'product.restore',
+      targetType: 'product',
+      targetId: productId,
+      before: { status: 'deleted' },
+      after: { status: result.product.status },
+    });
+    res.json({ status: 'success', message: 'Product restored', productId, productStatus: result.product.status });
+  } catch (error) {
+    console.error('Restore product error:', error);
+    res.status(500).json({ error: 'Failed to restore product', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,214 @@
+// Product moderation. New listings wait in `pending` until a moderator approves or rejects them.
+// A decision records who made it (`moderation` on the product) and emails the seller; the email flags
+// (`approvalEmailSent` / `rejectionEmailSent`) make repeated calls safe: the same decision is not
+// applied or emailed twice, while a changed decision resets them so the seller hears about it.
+const { doc, getDoc, updateDoc, runTransaction, serverTimestamp } = require('firebase/firestore');
+const { db } = require('./firebaseConfig');
+const { indexProduct } = require('./productSearch');
+const { approvedPriceFields } = require('./productRevisions');
+const { isOffSale } = require('./productLifecycle');
+const { recordAudit } = require('./auditLog');
+const emailService = require('./emailService');
+
+const MODERATION_STATUSES = ['pending', 'approved', 'rejected'];
+const MAX_BULK_PRODUCTS = 50;
+const MAX_NOTE_LENGTH = 1000;
+
+// Reason codes a rejection can cite; the labels are what the seller sees
+const REJECTION_REASONS = {
+  prohibited_item: 'The item is not allowed on FOREMADE',
+  counterfeit: 'The item appears to be counterfeit or infringes a trademark',
+  poor_images: 'The images are missing, unclear or do not show the item',
+  inaccurate_description: 'The title or description does not match the item',
+  wrong_category: 'The item is listed in the wrong category',
+  pricing_issue: 'The price is missing, misleading or unrealistic',
+  duplicate_listing: 'The item is already listed',
+  other: 'Other',
+};
+
+/**
+ * Checks a rejection's reason codes and note. `other` needs a note explaining it.
+ * Returns { reasons, note } or { error }.
+ */
+function normalizeRejection({ reasons, note }) {
+  if (!Array.isArray(reasons) || !reasons.length) {
+    return { error: `reasons must be a non-empty array of: ${Object.keys(REJECTION_REASONS).join(', ')}` };
+  }
+  const unknown = reasons.filter(reason => !REJECTION_REASONS[reason]);
+  if (unknown.length) return { error: `Unknown rejection reasons: ${unknown.join(', ')}` };
+  const noteError = checkNote(note);
+  if (noteError) return { error: noteError };
+  const trimmedNote = typeof note === 'string' ? note.trim() : '';
+  if (reasons.includes('other') && !trimmedNote) return { error: 'A note is required when the reason is other' };
+  return { reasons: [...new Set(reasons)], note: trimmedNote || null };
+}
+
+function checkNote(note) {
+  if (note === undefined || note === null) return null;
+  if (typeof note !== 'string') return 'note must be a string';
+  if (note.trim().length > MAX_NOTE_LENGTH) return `note must be at most ${MAX_NOTE_LENGTH} characters`;
+  return null;
+}
+
+// Human-readable rejection text, also kept in the legacy `rejectionReason` field
+const describeRejection = (reasons, note) =>
+  [...reasons.filter(reason => reason !== 'other').map(reason => REJECTION_REASONS[reason]), note].filter(Boolean).join('. ');
+
+// Applies a decision unless the product already has it; returns the product as it is after the call.
+// `fields` is an object or a function of the current product.
+async function applyDecision(productId, status, fields) {
+  const productRef = doc(db, 'products', productId);
+  return runTransaction(db, async (tx) => {
+    const productSnap = await tx.get(productRef);
+    if (!productSnap.exists()) {
+      return { ok: false, status: 404, error: 'Product not found' };
+    }
+    const product = productSnap.data();
+    if (product.status === status) {
+      return { ok: true, changed: false, product };
+    }
+    // Archived and trashed products keep `archivedFrom` / `deletedFrom` / `purgeAt`; only the lifecycle
+    // endpoints may bring them back
+    if (isOffSale(product.status)) {
+      return { ok: false, status: 409, error: `Product is ${product.status}; restore it before moderating` };
+    }
+    if (!MODERATION_STATUSES.includes(product.status)) {
+      return { ok: false, status: 409, error: `Product is ${product.status} and cannot be moderated` };
+    }
+
+    const update = {
+      status,
+      ...(typeof fields === 'function' ? fields(product) : fields),
+      approvalEmailSent: false,
+      rejectionEmailSent: false,
+      updatedAt: serverTimestamp(),
+    };
+    tx.update(productRef, update);
+    return { ok: true, changed: true, previousStatus: product.status, product: { ...product, ...update } };
+  });
+}
+
+// Emails the seller about the decision unless that email already went out. The flag is claimed in a
+// transaction before sending, so concurrent calls for the same decision email once; a failed send releases it
+// for the next call to retry.
+async function notifySeller(productId, product, decision) {
+  const flag = decision === 'approved' ? 'approvalEmailSent' : 'rejectionEmailSent';
+  if (product[flag]) return false;
+  const productRef = doc(db, 'products', productId);
+  const release = () => updateDoc(productRef, { [flag]: false }).catch(err =>
+    console.error(`Could not release moderation email flag on product ${productId}:`, err.message || err));
+
+  let current;
+  try {
+    current = await runTransaction(db, async (tx) => {
+      const productSnap = await tx.get(productRef);
+      if (!productSnap.exists()) return null;
+      const latest = productSnap.data();
+      if (latest[flag] || latest.status !== decision) return null;
+      tx.update(productRef, { [flag]: true });
+      return latest;
+    });
+  } catch (err) {
+    console.error(`Moderation email for product ${productId} failed:`, err.message || err);
+    return false;
+  }
+  if (!current) return false;
+
+  try {
+    const sellerSnap = current.sellerId ? await getDoc(doc(db, 'users', current.sellerId)) : null;
+    const seller = sellerSnap?.exists() ? sellerSnap.data() : null;
+    if (!seller?.email) {
+      console.warn(`No email on file for seller of product ${productId}; moderation email skipped`);
+      await release();
+      return false;
+    }
+    const name = seller.name || seller.displayName || undefined;
+    if (decision === 'approved') {
+      await emailService.sendProductApprovedEmail({ email: seller.email, name });
+    } else {
+      await emailService.sendProductRejectedEmail({ email: seller.email, name, reason: current.rejectionReason });
+    }
+    return true;
+  } catch (err) {
+    console.error(`Moderation email for product ${productId} failed:`, err.message || err);
+    await release();
+    return false;
+  }
+}
+
+const moderationRecord = (decision, moderator, extra = {}) => ({
+  decision,
+  moderatorUid: moderator.uid,
+  moderatorEmail: moderator.email || null,
+  ...extra,
+  decidedAt: serverTimestamp(),
+});
+
+/**
+ * Approves a product. `moderator` is { uid, email }.
+ * Returns { ok: true, changed, previousStatus, emailed } or { ok: false, status, error }.
+ */
+async function approveProduct(productId, { moderator, note }) {
+  const noteError = checkNote(note);
+  if (noteError) return { ok: false, status: 400, error: noteError };
+
+  const outcome = await applyDecision(productId, 'approved', (product) => ({
+    moderation: moderationRecord('approved', moderator, { note: note?.trim() || null }),
+    approvedAt: serverTimestamp(),
+    // Baseline for auto-approving later price edits
+    ...approvedPriceFields(product),
+  }));
+  if (!outcome.ok) return outcome;
+  if (outcome.changed) indexProduct(productId, outcome.product);
+  const emailed = await notifySeller(productId, outcome.product, 'approved');
+  return { ok: true, changed: outcome.changed, previousStatus: outcome.previousStatus || 'approved', emailed };
+}
+
+/**
+ * Rejects a product with reason codes from REJECTION_REASONS and an optional note for the seller.
+ * Returns { ok: true, changed, previousStatus, emailed, reasons, note } or { ok: false, status, error }.
+ */
+async function rejectProduct(productId, { moderator, reasons, note }) {
+  const rejection = normalizeRejection({ reasons, note });
+  if (rejection.error) return { ok: false, status: 400, error: 'Invalid rejection', details: rejection.error };
+
+  const outcome = await applyDecision(productId, 'rejected', {
+    moderation: moderationRecord('rejected', moderator, { reasons: rejection.reasons, note: rejection.note }),
+    rejectionReasons: rejection.reasons,
+    rejectionReason: describeRejection(rejection.reasons, rejection.note),
+  });
+  if (!outcome.ok) return outcome;
+  if (outcome.changed) indexProduct(productId, outcome.product);
+  const emailed = await notifySeller(productId, outcome.product, 'rejected');
+  return {
+    ok: true,
+    changed: outcome.changed,
+    previousStatus: outcome.previousStatus || 'rejected',
+    emailed,
+    reasons: outcome.product.rejectionReasons || rejection.reasons,
+    note: outcome.product.moderation?.note ?? rejection.note,
+  };
+}
+
+// Audits one decision (`approve` or `reject`); repeated calls that changed nothing are not recorded
+async function auditDecision(req, productId, result, decision, metadata = {}) {
+  if (!result.changed) return;
+  await recordAudit(req, {
+    action: `product.${decision}`,
+    targetType: 'product',
+    targetId: productId,
+    before: { status: result.previousStatus },
+    after: { status: decision === 'approve' ? 'approved' : 'rejected' },
+    metadata,
+  });
+}
+
+module.exports = {
+  MODERATION_STATUSES,
+  MAX_BULK_PRODUCTS,
+  REJECTION_REASONS,
+  normalizeRejection,
+  approveProduct,
+  rejectProduct,
+  auditDecision,
+};
@@ -0,0 +1,615 @@
+const express = require('express');
+const { db } = require('./firebaseConfig');
+const {
+  collection, doc, getDoc, getDocs, query, where, orderBy, limit, startAfter, getCountFromServer,
+} = require('firebase/firestore');
+const { verifyAndCheckAdmin } = require('./verifyAndCheckAdmin');
+const { authorize } = require('./rbac');
+const { recordAudit } = require('./auditLog');
+const {
+  MODERATION_STATUSES, MAX_BULK_PRODUCTS, REJECTION_REASONS, normalizeRejection, approveProduct, rejectProduct,
+  auditDecision,
+} = require('./productModeration');
+const {
+  REVISION_STATUSES, approveRevision, rejectRevision, revisionDiff, serializeRevision,
+} = require('./productRevisions');
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 100;
+
+const toIso = (value) => value?.toDate?.().toISOString() || null;
+
+const serializeProduct = (productDoc) => {
+  const data = productDoc.data();
+  return {
+    id: productDoc.id,
+    ...data,
+    createdAt: toIso(data.createdAt),
+    updatedAt: toIso(data.updatedAt),
+    ...(data.moderation && { moderation: { ...data.moderation, decidedAt: toIso(data.moderation.decidedAt) } }),
+  };
+};
+
+const moderatorOf = (req) => ({ uid: req.user.uid, email: req.user.email });
+
+/**
+ * @swagger
+ * /api/admin/moderation/products:
+ *   get:
+ *     summary: List the product moderation queue
+ *     description: Products in the given status, oldest first so the queue is worked in submission order.
+ *     tags: [Product Moderation]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *           default: pending
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sellerId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: pageToken
+ *         schema:
+ *           type: string
+ *         description: nextPageToken from the previous response
+ *     responses:
+ *       200:
+ *         description: Products awaiting review, with the total in the queue
+ *       400:
+ *         description: Invalid status or pageToken
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing products:moderate permission
+ */
+router.get('/api/admin/moderation/products', verifyAndCheckAdmin, authorize('products:moderate'), async (req, res) => {
+  try {
+    const { status = 'pending', category, sellerId, pageToken } = req.query;
+    if (!MODERATION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${MODERATION_STATUSES.join(', ')}` });
+    }
+    const limitNum = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+
+    const filters = [where('status', '==', status)];
+    if (category) filters.push(where('category', '==', category));
+    if (sellerId) filters.push(where('sellerId', '==', sellerId));
+    const productsRef = collection(db, 'products');
+
+    const pageConstraints = [...filters, orderBy('createdAt', 'asc')];
+    if (pageToken) {
+      const cursorSnap = await getDoc(doc(db, 'products', Buffer.from(pageToken, 'base64url').toString()));
+      if (!cursorSnap.exists()) {
+        return res.status(400).json({ error: 'Invalid pageToken' });
+      }
+      pageConstraints.push(startAfter(cursorSnap));
+    }
+    pageConstraints.push(limit(limitNum + 1));
+
+    const [productsSnap, countSnap] = await Promise.all([
+      getDocs(query(productsRef, ...pageConstraints)),
+      getCountFromServer(query(productsRef, ...filters)),
+    ]);
+    const docs = productsSnap.docs.slice(0, limitNum);
+    const hasNextPage = productsSnap.docs.length > limitNum;
+
+    res.json({
+      status: 'success',
+      products: docs.map(serializeProduct),
+      pagination: {
+        limit: limitNum,
+        total: countSnap.data().count,
+        hasNextPage,
+        nextPageToken: hasNextPage ? Buffer.from(docs[docs.length - 1].id).toString('base64url') : null,
+      },
+    });
+  } catch (error) {
+    console.error('Moderation queue error:', error);
+    res.status(500).json({ error: 'Failed to fetch moderation queue', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/moderation/rejection-reasons:
+ *   get:
+ *     summary: List the reason codes a rejection can cite
+ *     tags: [Product Moderation]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Reason codes with the text shown to sellers
+ */
+router.get('/api/admin/moderation/rejection-reasons', verifyAndCheckAdmin, authorize('products:moderate'), (req, res) => {
+  res.json({
+    status: 'success',
+    reasons: Object.entries(REJECTION_REASONS).map(([code, label]) => ({ code, label })),
+  });
+});
+
+/**
+ * @swagger
+ * /api/admin/moderation/products/{productId}/approve:
+ *   post:
+ *     summary: Approve a product
+ *     description: Publishes the product and emails the seller. Approving an already approved product changes nothing and only sends the approval email if it has not gone out yet.
+ *     tags: [Product Moderation]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 description: Internal note kept with the decision
+ *     responses:
+ *       200:
+ *         description: Product approved
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: Product is not in a moderation status
+ */
+router.post('/api/admin/moderation/products/:productId/approve', verifyAndCheckAdmin, authorize('products:moderate'), async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const result = await approveProduct(productId, { moderator: moderatorOf(req), note: req.body?.note });
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error, details: result.details });
+    }
+    await auditDecision(req, productId, result, 'approve');
+    res.json({
+      status: 'success',
+      message: result.changed ? 'Product approved' : 'Product was already approved',
+      productId,
+      changed: result.changed,
+      emailSent: result.emailed,
+    });
+  } catch (error) {
+    console.error('Approve product error:', error);
+    res.status(500).json({ error: 'Failed to approve product', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/moderation/products/{productId}/reject:
+ *   post:
+ *     summary: Reject a product
+ *     description: Records the reason codes and note, and emails them to the seller. Rejecting an already rejected product changes nothing.
+ *     tags: [Product Moderation]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reasons
+ *             properties:
+ *               reasons:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [prohibited_item, counterfeit, poor_images, inaccurate_description, wrong_category, pricing_issue, duplicate_listing, other]
+ *                 example: ["poor_images"]
+ *               note:
+ *                 type: string
+ *                 description: Sent to the seller; required with `other`
+ *                 example: "Please add a photo of the item itself rather than the box."
+ *     responses:
+ *       200:
+ *         description: Product rejected
+ *       400:
+ *         description: Missing or unknown reasons
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: Product is not in a moderation status
+ */
+router.post('/api/admin/moderation/products/:productId/reject', verifyAndCheckAdmin, authorize('products:moderate'), async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { reasons, note } = req.body || {};
+    const result = await rejectProduct(productId, { moderator: moderatorOf(req), reasons, note });
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error, details: result.details });
+    }
+    await auditDecision(req, productId, result, 'reject', { reasons: result.reasons, note: result.note });
+    res.json({
+      status: 'success',
+      message: result.changed ? 'Product rejected' : 'Product was already rejected',
+      productId,
+      changed: result.changed,
+      reasons: result.reasons,
+      emailSent: result.emailed,
+    });
+  } catch (error) {
+    console.error('Reject product error:', error);
+    res.status(500).json({ error: 'Failed to reject product', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/moderation/products/bulk:
+ *   post:
+ *     summary: Approve or reject several products at once
+ *     description: Each product is handled as by the single-product endpoints; one failing does not stop the others. A rejection applies the same reasons and note to every product.
+ *     tags: [Product Moderation]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *               - productIds
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [approve, reject]
+ *               productIds:
+ *                 type: array
+ *                 maxItems: 50
+ *                 items:
+ *                   type: string
+ *               reasons:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Required for reject
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Per-product results
+ *       400:
+ *         description: Invalid action, product list or reasons
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/api/admin/moderation/products/bulk', verifyAndCheckAdmin, authorize('products:moderate'), async (req, res) => {
+  try {
+    const { action, productIds, reasons, note } = req.body || {};
+    if (!['approve', 'reject'].includes(action)) {
+      return res.status(400).json({ error: 'action must be approve or reject' });
+    }
+    if (!Array.isArray(productIds) || !productIds.length || productIds.some(id => typeof id !== 'string' || !id || id.includes('/'))) {
+      return res.status(400).json({ error: 'productIds must be a non-empty array of product IDs' });
+    }
+    if (productIds.length > MAX_BULK_PRODUCTS) {
+      return res.status(400).json({ error: `At most ${MAX_BULK_PRODUCTS} products can be moderated at once` });
+    }
+    if (action === 'reject') {
+      const rejection = normalizeRejection({ reasons, note });
+      if (rejection.error) {
+        return res.status(400).json({ error: 'Invalid rejection', details: rejection.error });
+      }
+    }
+
+    const moderator = moderatorOf(req);
+    const results = [];
+    for (const productId of [...new Set(productIds)]) {
+      try {
+        const result = action === 'approve'
+          ? await approveProduct(productId, { moderator, note })
+          : await rejectProduct(productId, { moderator, reasons, note });
+        if (!result.ok) {
+          results.push({ productId, ok: false, error: result.error });
+          continue;
+        }
+        await auditDecision(req, productId, result, action, {
+          bulk: true,
+          ...(action === 'reject' && { reasons: result.reasons, note: result.note }),
+        });
+        results.push({ productId, ok: true, changed: result.changed, emailSent: result.emailed });
+      } catch (err) {
+        console.error(`Bulk ${action} of product ${productId} failed:`, err.message || err);
+        results.push({ productId, ok: false, error: err.message });
+      }
+    }
+
+    const succeeded = results.filter(result => result.ok).length;
+    res.json({
+      status: 'success',
+      message: `${succeeded} of ${results.length} products ${action === 'approve' ? 'approved' : 'rejected'}`,
+      results,
+    });
+  } catch (error) {
+    console.error('Bulk moderation error:', error);
+    res.status(500).json({ error: 'Failed to moderate products', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/moderation/revisions:
+ *   get:
+ *     summary: List revisions of approved products
+ *     description: Edits sellers made to live listings, oldest first. Pending ones wait for review.
+ *     tags: [Product Moderation]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, superseded, auto_approved]
+ *           default: pending
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: pageToken
+ *         schema:
+ *           type: string
+ *         description: nextPageToken from the previous response
+ *     responses:
+ *       200:
+ *         description: Revisions retrieved successfully
+ *       400:
+ *         description: Invalid status or pageToken
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/api/admin/moderation/revisions', verifyAndCheckAdmin, authorize('products:moderate'), async (req, res) => {
+  try {
+    const { status = 'pending', pageToken } = req.query;
+    if (!REVISION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${REVISION_STATUSES.join(', ')}` });
+    }
+    const limitNum = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+
+    const constraints = [where('status', '==', status), orderBy('createdAt', 'asc')];
+    if (pageToken) {
+      const cursorSnap = await getDoc(doc(db, 'productRevisions', Buffer.from(pageToken, 'base64url').toString()));
+      if (!cursorSnap.exists()) {
+        return res.status(400).json({ error: 'Invalid pageToken' });
+      }
+      constraints.push(startAfter(cursorSnap));
+    }
+    constraints.push(limit(limitNum + 1));
+
+    const revisionsSnap = await getDocs(query(collection(db, 'productRevisions'), ...constraints));
+    const docs = revisionsSnap.docs.slice(0, limitNum);
+    const hasNextPage = revisionsSnap.docs.length > limitNum;
+
+    res.json({
+      status: 'success',
+      revisions: docs.map(revisionDoc => serializeRevision(revisionDoc.id, revisionDoc.data())),
+      pagination: {
+        limit: limitNum,
+        hasNextPage,
+        nextPageToken: hasNextPage ? Buffer.from(docs[docs.length - 1].id).toString('base64url') : null,
+      },
+    });
+  } catch (error) {
+    console.error('List revisions error:', error);
+    res.status(500).json({ error: 'Failed to fetch revisions', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/moderation/revisions/{revisionId}:
+ *   get:
+ *     summary: Compare a revision with the live product
+ *     description: One entry per changed field with the live and proposed values, and whether the live value moved after the seller submitted. Variant changes are also listed per variant (added, removed, changed).
+ *     tags: [Product Moderation]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: revisionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Revision with its diff
+ *       404:
+ *         description: Revision or product not found
+ */
+router.get('/api/admin/moderation/revisions/:revisionId', verifyAndCheckAdmin, authorize('products:moderate'), async (req, res) => {
+  try {
+    const revisionSnap = await getDoc(doc(db, 'productRevisions', req.params.revisionId));
+    if (!revisionSnap.exists()) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    const revision = revisionSnap.data();
+    const productSnap = await getDoc(doc(db, 'products', revision.productId));
+    if (!productSnap.exists()) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    const live = productSnap.data();
+
+    res.json({
+      status: 'success',
+      revision: serializeRevision(revisionSnap.id, revision),
+      product: { id: productSnap.id, name: live.name, status: live.status, sellerId: live.sellerId },
+      diff: revisionDiff(live, revision),
+    });
+  } catch (error) {
+    console.error('Get revision error:', error);
+    res.status(500).json({ error: 'Failed to fetch revision', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/moderation/revisions/{revisionId}/approve:
+ *   post:
+ *     summary: Publish a pending revision
+ *     description: Applies the changes to the live product in one transaction. Stock the seller did not change keeps its live value.
+ *     tags: [Product Moderation]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: revisionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Revision published
+ *       404:
+ *         description: Revision or product not found
+ *       409:
+ *         description: Revision is not pending, or the product is no longer approved
+ */
+router.post('/api/admin/moderation/revisions/:revisionId/approve', verifyAndCheckAdmin, authorize('products:moderate'), async (req, res) => {
+  try {
+    const { note } = req.body || {};
+    if (note !== undefined && typeof note !== 'string') {
+      return res.status(400).json({ error: 'note must be a string' });
+    }
+    const result = await approveRevision(req.params.revisionId, { moderatorUid: req.user.uid, note: note?.trim() });
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    const { revision } = result;
+    await recordAudit(req, {
+      action: 'product.revision.approve',
+      targetType: 'product',
+      targetId: revision.productId,
+      before: revision.before,
+      after: revision.changes,
+      metadata: { revisionId: revision.id },
+    });
+    res.json({ status: 'success', message: 'Revision published', revisionId: revision.id, productId: revision.productId });
+  } catch (error) {
+    console.error('Approve revision error:', error);
+    res.status(500).json({ error: 'Failed to publish revision', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/moderation/revisions/{revisionId}/reject:
+ *   post:
+ *     summary: Reject a pending revision
+ *     description: The live product stays as it is. Uses the same reason codes as product rejections.
+ *     tags: [Product Moderation]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: revisionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reasons
+ *             properties:
+ *               reasons:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Revision rejected
+ *       400:
+ *         description: Missing or unknown reasons
+ *       404:
+ *         description: Revision or product not found
+ *       409:
+ *         description: Revision is not pending
+ */
+router.post('/api/admin/moderation/revisions/:revisionId/reject', verifyAndCheckAdmin, authorize('products:moderate'), async (req, res) => {
+  try {
+    const rejection = normalizeRejection(req.body || {});
+    if (rejection.error) {
+      return res.status(400).json({ error: 'Invalid rejection', details: rejection.error });
+    }
+    const result = await rejectRevision(req.params.revisionId, {
+      moderatorUid: req.user.uid,
+      reasons: rejection.reasons,
+      note: rejection.note,
+    });
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    const { revision } = result;
+    await recordAudit(req, {
+      action: 'product.revision.reject',
+      targetType: 'product',
+      targetId: revision.productId,
+      metadata: { revisionId: revision.id, reasons: rejection.reasons, note: rejection.note },
+    });
+    res.json({ status: 'success', message: 'Revision rejected', revisionId: revision.id, productId: revision.productId });
+  } catch (error) {
+    console.error('Reject revision error:', error);
+    res.status(500).json({ error: 'Failed to reject revision', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,316 @@
+// Edits to approved products. The live listing keeps selling while a seller's changes wait in
+// `productRevisions` for a moderator; approving a revision publishes it in one transaction. Low-risk edits
+// (stock, and prices moving by no more than REVISION_PRICE_TOLERANCE_PERCENT) are published straight away and
+// recorded as `auto_approved` revisions. A product has at most one pending revision: a new edit supersedes it.
+// The tolerance is measured from the last price a moderator approved (`approvedPrice`, on the product and on
+// each variant) rather than the live price, so a chain of small auto-approved edits cannot move a price any
+// further than one could.
+const {
+  collection, doc, getDocs, query, where, orderBy, runTransaction, deleteField, serverTimestamp,
+} = require('firebase/firestore');
+const { db } = require('./firebaseConfig');
+const { findVariant } = require('./productVariants');
+const { indexProduct } = require('./productSearch');
+
+const REVISION_STATUSES = ['pending', 'approved', 'rejected', 'superseded', 'auto_approved'];
+const PRICE_TOLERANCE = (parseFloat(process.env.REVISION_PRICE_TOLERANCE_PERCENT) || 10) / 100;
+
+// Fields a revision may change without review (priceRange follows from the prices)
+const LOW_RISK_FIELDS = new Set(['price', 'stock', 'priceRange', 'variants']);
+
+// Deep equality for Firestore values; object key order is not significant
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  if (Array.isArray(a)) return a.length === b.length && a.every((value, i) => isEqual(value, b[i]));
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => isEqual(a[key], b[key]));
+}
+
+const withinTolerance = (before, after) =>
+  typeof before === 'number' && typeof after === 'number' && before > 0 && Math.abs(after - before) / before <= PRICE_TOLERANCE;
+
+// Baseline for the price tolerance; products approved before `approvedPrice` was recorded use their live price
+const reviewedPrice = (holder) => (holder.approvedPrice !== undefined ? holder.approvedPrice : holder.price);
+
+// Products listed before variants existed have no `options`/`variants`/`hasVariants`; empty values match them
+const isEmptyValue = (value) => value === null || value === undefined || value === false || (Array.isArray(value) && !value.length);
+
+/**
+ * Splits a product update into the fields that actually change.
+ * Returns { changes, before } where `before` holds the live values of those fields (null when unset).
+ */
+function diffUpdate(product, updateData) {
+  const changes = {};
+  const before = {};
+  Object.entries(updateData).forEach(([field, value]) => {
+    if (field === 'updatedAt' || isEqual(product[field] ?? null, value ?? null)) return;
+    if (product[field] === undefined && isEmptyValue(value)) return;
+    changes[field] = value;
+    before[field] = product[field] ?? null;
+  });
+  return { changes, before };
+}
+
+// Variants whose id, SKU, options and images are unchanged and whose price stays within tolerance
+function variantsAreLowRisk(beforeVariants, afterVariants) {
+  if (!Array.isArray(beforeVariants) || beforeVariants.length !== afterVariants.length) return false;
+  return afterVariants.every(variant => {
+    const previous = beforeVariants.find(candidate => candidate.id === variant.id);
+    if (!previous) return false;
+    if (previous.sku !== variant.sku || !isEqual(previous.options, variant.options)) return false;
+    if (!isEqual(previous.imageUrls || [], variant.imageUrls || [])) return false;
+    return previous.price === variant.price || withinTolerance(reviewedPrice(previous), variant.price);
+  });
+}
+
+// Whether an edit to the live product can be published without review
+function isLowRisk(live, changes) {
+  const fields = Object.keys(changes);
+  if (!fields.every(field => LOW_RISK_FIELDS.has(field))) return false;
+  if ('price' in changes && !withinTolerance(reviewedPrice(live), changes.price)) return false;
+  if ('variants' in changes && !variantsAreLowRisk(live.variants, changes.variants)) return false;
+  return true;
+}
+
+/**
+ * Adds `approvedPrice` to the fields being published. A moderator's approval (`reviewed`) makes the
+ * published prices the new baseline; an auto-approved edit keeps the old one, pinning the live price on
+ * products that have none yet.
+ */
+function withApprovedPrices(fields, live, reviewed) {
+  const result = { ...fields };
+  if (reviewed) result.approvedPrice = ('price' in fields ? fields.price : live.price) ?? null;
+  else if (live.approvedPrice === undefined) result.approvedPrice = live.price ?? null;
+  if (Array.isArray(result.variants)) {
+    result.variants = result.variants.map(variant => {
+      const liveVariant = findVariant(live, variant.id);
+      const approvedPrice = reviewed || !liveVariant ? variant.price : reviewedPrice(liveVariant);
+      return { ...variant, approvedPrice: approvedPrice ?? null };
+    });
+  }
+  return result;
+}
+
+// `approvedPrice` fields for a product a moderator has just approved
+const approvedPriceFields = (product) =>
+  withApprovedPrices(Array.isArray(product.variants) && product.variants.length ? { variants: product.variants } : {}, product, true);
+
+/**
+ * The fields to write when publishing a revision. Stock keeps moving while a revision waits (sales,
+ * reservations), so a variant's `reserved` count always comes from the live product, and so does its
+ * `stock` unless the seller changed it in this revision.
+ */
+function publishedFields(live, revision, reviewed) {
+  const fields = { ...revision.changes };
+  if (Array.isArray(fields.variants) && fields.variants.length) {
+    fields.variants = fields.variants.map(variant => {
+      const liveVariant = findVariant(live, variant.id);
+      const submittedVariant = (revision.before.variants || []).find(candidate => candidate.id === variant.id);
+      const stockUnchanged = liveVariant && submittedVariant && submittedVariant.stock === variant.stock;
+      return {
+        ...variant,
+        stock: stockUnchanged ? liveVariant.stock : variant.stock,
+        reserved: liveVariant?.reserved || 0,
+      };
+    });
+    fields.stock = fields.variants.reduce((total, variant) => total + variant.stock, 0);
+  }
+  return withApprovedPrices(fields, live, reviewed);
+}
+
+// Applies a revision to the product inside a transaction and returns the product as published.
+// `review` is the moderator's approval (absent for auto-approved edits). `clearPending` drops the product's
+// pointer to its pending revision (when that is the one being published).
+function publish(tx, { productRef, live, revisionRef, revision, review, clearPending }) {
+  const fields = publishedFields(live, revision, Boolean(review));
+  tx.update(productRef, {
+    ...fields,
+    ...(clearPending && { pendingRevisionId: deleteField() }),
+    updatedAt: serverTimestamp(),
+  });
+  tx.update(revisionRef, { ...(review || {}), publishedAt: serverTimestamp() });
+  const published = { ...live, ...fields };
+  if (clearPending) delete published.pendingRevisionId;
+  return published;
+}
+
+/**
+ * Records a seller's edit to an approved product. `updateData` is the validated product update.
+ * Low-risk edits are published at once; others wait for review and supersede any pending revision.
+ * Returns { ok: true, revisionId, status, changedFields } (status `auto_approved` or `pending`, or `unchanged`
+ * when the edit changes nothing) or { ok: false, status, error }.
+ */
+async function submitRevision(productId, { sellerId, updateData }) {
+  const productRef = doc(db, 'products', productId);
+  const revisionRef = doc(collection(db, 'productRevisions'));
+
+  const outcome = await runTransaction(db, async (tx) => {
+    const productSnap = await tx.get(productRef);
+    if (!productSnap.exists()) return { ok: false, status: 404, error: 'Product not found' };
+    const live = productSnap.data();
+    if (live.status !== 'approved') return { ok: false, status: 409, error: 'Only approved products take revisions' };
+
+    const { changes, before } = diffUpdate(live, updateData);
+    const changedFields = Object.keys(changes);
+    if (!changedFields.length) return { ok: true, status: 'unchanged', revisionId: null, changedFields };
+
+    const previousRevisionRef = live.pendingRevisionId ? doc(db, 'productRevisions', live.pendingRevisionId) : null;
+    const previousSnap = previousRevisionRef ? await tx.get(previousRevisionRef) : null;
+
+    const autoApproved = isLowRisk(live, changes);
+    const revision = {
+      productId,
+      sellerId,
+      status: autoApproved ? 'auto_approved' : 'pending',
+      changes,
+      before,
+      createdAt: serverTimestamp(),
+    };
+    tx.set(revisionRef, revision);
+
+    let published = null;
+    if (autoApproved) {
+      // A revision already waiting for review stays pending; its diff shows what moved since it was submitted
+      published = publish(tx, { productRef, live, revisionRef, revision, clearPending: false });
+    } else {
+      if (previousSnap?.exists() && previousSnap.data().status === 'pending') {
+        tx.update(previousRevisionRef, { status: 'superseded', supersededBy: revisionRef.id, updatedAt: serverTimestamp() });
+      }
+      tx.update(productRef, { pendingRevisionId: revisionRef.id });
+    }
+    return { ok: true, status: revision.status, revisionId: revisionRef.id, changedFields, published };
+  });
+
+  if (outcome.published) indexProduct(productId, outcome.published);
+  const { published, ...result } = outcome;
+  return result;
+}
+
+// Loads a pending revision and its product for review; returns { error } when it cannot be reviewed
+async function readPendingRevision(tx, revisionId) {
+  const revisionRef = doc(db, 'productRevisions', revisionId);
+  const revisionSnap = await tx.get(revisionRef);
+  if (!revisionSnap.exists()) return { error: { ok: false, status: 404, error: 'Revision not found' } };
+  const revision = revisionSnap.data();
+  if (revision.status !== 'pending') {
+    return { error: { ok: false, status: 409, error: `Revision is already ${revision.status}` } };
+  }
+  const productRef = doc(db, 'products', revision.productId);
+  const productSnap = await tx.get(productRef);
+  if (!productSnap.exists()) return { error: { ok: false, status: 404, error: 'Product not found' } };
+  return { revisionRef, revision, productRef, live: productSnap.data() };
+}
+
+/**
+ * Publishes a pending revision to the live product in one transaction.
+ * Returns { ok: true, revision } or { ok: false, status, error }.
+ */
+async function approveRevision(revisionId, { moderatorUid, note }) {
+  const outcome = await runTransaction(db, async (tx) => {
+    const loaded = await readPendingRevision(tx, revisionId);
+    if (loaded.error) return loaded.error;
+    const { revisionRef, revision, productRef, live } = loaded;
+    if (live.status !== 'approved') {
+      return { ok: false, status: 409, error: `Product is ${live.status}; revisions can only be published to approved products` };
+    }
+
+    const review = { status: 'approved', reviewedBy: moderatorUid, reviewNote: note || null, reviewedAt: serverTimestamp() };
+    const published = publish(tx, { productRef, live, revisionRef, revision, review, clearPending: true });
+    return { ok: true, revision: { id: revisionId, ...revision, ...review }, published };
+  });
+  if (!outcome.ok) return outcome;
+  indexProduct(outcome.revision.productId, outcome.published);
+  return { ok: true, revision: outcome.revision };
+}
+
+/**
+ * Rejects a pending revision; the live product is left as it is. `reasons` are REJECTION_REASONS codes
+ * (already validated by the caller).
+ */
+async function rejectRevision(revisionId, { moderatorUid, reasons, note }) {
+  return runTransaction(db, async (tx) => {
+    const loaded = await readPendingRevision(tx, revisionId);
+    if (loaded.error) return loaded.error;
+    const { revisionRef, revision, productRef, live } = loaded;
+
+    const review = {
+      status: 'rejected',
+      reviewedBy: moderatorUid,
+      rejectionReasons: reasons,
+      reviewNote: note || null,
+      reviewedAt: serverTimestamp(),
+    };
+    tx.update(revisionRef, review);
+    if (live.pendingRevisionId === revisionId) tx.update(productRef, { pendingRevisionId: deleteField() });
+    return { ok: true, revision: { id: revisionId, ...revision, ...review } };
+  });
+}
+
+/**
+ * Field-by-field comparison of a revision with the live product, for review. Each entry has the live
+ * value, the proposed one and whether the live value moved since the seller submitted. Variant changes
+ * are also broken down per variant.
+ */
+function revisionDiff(live, revision) {
+  return Object.entries(revision.changes).map(([field, proposed]) => {
+    const entry = {
+      field,
+      live: live[field] ?? null,
+      proposed,
+      changedSinceSubmission: !isEqual(live[field] ?? null, revision.before[field] ?? null),
+    };
+    if (field === 'variants') {
+      const liveVariants = live.variants || [];
+      entry.variantChanges = {
+        added: proposed.filter(variant => !liveVariants.some(candidate => candidate.id === variant.id)),
+        removed: liveVariants.filter(variant => !proposed.some(candidate => candidate.id === variant.id)),
+        changed: proposed.flatMap(variant => {
+          const current = liveVariants.find(candidate => candidate.id === variant.id);
+          if (!current) return [];
+          const fields = ['sku', 'price', 'stock', 'imageUrls'].filter(key => !isEqual(current[key] ?? null, variant[key] ?? null));
+          return fields.length
+            ? [{ id: variant.id, sku: variant.sku, fields: Object.fromEntries(fields.map(key => [key, { live: current[key] ?? null, proposed: variant[key] ?? null }])) }]
+            : [];
+        }),
+      };
+    }
+    return entry;
+  });
+}
+
+const toIso = (value) => value?.toDate?.().toISOString() || null;
+
+const serializeRevision = (id, revision) => ({
+  id,
+  ...revision,
+  createdAt: toIso(revision.createdAt),
+  reviewedAt: toIso(revision.reviewedAt),
+  publishedAt: toIso(revision.publishedAt),
+  updatedAt: toIso(revision.updatedAt),
+});
+
+// Revisions of one product, newest first
+async function listProductRevisions(productId) {
+  const revisionsSnap = await getDocs(query(
+    collection(db, 'productRevisions'),
+    where('productId', '==', productId),
+    orderBy('createdAt', 'desc')
+  ));
+  return revisionsSnap.docs.map(revisionDoc => serializeRevision(revisionDoc.id, revisionDoc.data()));
+}
+
+module.exports = {
+  REVISION_STATUSES,
+  PRICE_TOLERANCE,
+  diffUpdate,
+  isLowRisk,
+  approvedPriceFields,
+  submitRevision,
+  approveRevision,
+  rejectRevision,
+  revisionDiff,
+  serializeRevision,
+  listProductRevisions,
+};
@@ -1,24 +1,286 @@
 const express = require('express');
 const { db } = require('./firebaseConfig');
-const { doc, getDoc, setDoc, updateDoc, deleteDoc, collection, query, where, getDocs, orderBy, limit, startAfter, serverTimestamp } = require('firebase/firestore');
+const {
+  doc, getDoc, setDoc, updateDoc, collection, query, where, getDocs, orderBy, limit, startAfter,
+  getCountFromServer, serverTimestamp,
+} = require('firebase/firestore');
 const { authenticateFirebaseToken, optionalAuth } = require('./middleware');
+const { searchProducts, indexProduct } = require('./productSearch');
+const {
+  getAttributesForCategories, validateSpecifications, parseAttributeFilters, matchesAttributeFilters, computeFacets,
+} = require('./productAttributes');
+const { normalizeVariants, variantPrice } = require('./productVariants');
+const { submitRevision, listProductRevisions } = require('./productRevisions');
+const { isOffSale, trashProduct, TRASH_RETENTION_DAYS } = require('./productLifecycle');
 const router = express.Router();
 
+const MAX_PAGE_SIZE = 100;
+// Firestore allows at most 30 values in an `in` filter
+const MAX_CATEGORIES = 30;
+// Statuses listed when no status is asked for; archived and trashed products are left out
+const LISTED_STATUSES = ['pending', 'approved', 'rejected'];
+// A query with two `in` filters may have at most 30 value combinations, so fewer categories go with them
+const MAX_CATEGORIES_WITHOUT_STATUS = Math.floor(MAX_CATEGORIES / LISTED_STATUSES.length);
+
+// Converts an NGN amount to the user's currency (from x-user-country)
+function localPrice(req, amount) {
+  if (req.userCurrency && req.userCurrency.code !== 'NGN') {
+    const { convertCurrency, formatCurrency } = require('./middleware');
+    const convertedPrice = convertCurrency(amount, 'NGN', req.userCurrency.code);
+    return { convertedPrice, currency: req.userCurrency.code, formattedPrice: formatCurrency(convertedPrice, req.userCurrency.code) };
+  }
+  return { convertedPrice: amount, currency: 'NGN', formattedPrice: `₦${amount.toLocaleString()}` };
+}
+
+// Adds prices in the user's currency to a product for the response, including each variant's effective price
+function withLocalPrice(req, id, productData) {
+  const product = {
+    id,
+    ...productData,
+    ...localPrice(req, productData.price),
+    createdAt: productData.createdAt?.toDate?.() || new Date()
+  };
+
+  if (Array.isArray(productData.variants) && productData.variants.length) {
+    product.variants = productData.variants.map(variant => ({
+      ...variant,
+      effectivePrice: variantPrice(productData, variant),
+      ...localPrice(req, variantPrice(productData, variant)),
+    }));
+  }
+  if (productData.priceRange) {
+    product.convertedPriceRange = {
+      min: localPrice(req, productData.priceRange.min).convertedPrice,
+      max: localPrice(req, productData.priceRange.max).convertedPrice,
+    };
+  }
+  return product;
+}
+
+// Allowed sortBy values, as the Firestore orderings they stand for. `order` is sortOrder where it applies.
+const PRODUCT_SORTS = {
+  newest: () => [['createdAt', 'desc']],
+  createdAt: (order) => [['createdAt', order]],
+  price: (order) => [['price', order]],
+  views: () => [['views', 'desc']],
+  bumped: () => [['isBumped', 'desc'], ['createdAt', 'desc']],
+  name: (order) => [['name', order]],
+};
+
+// Same orderings for results served from the search index, which are sorted in memory
+const SEARCH_SORTS = {
+  newest: () => (a, b) => b.meta.createdAt - a.meta.createdAt,
+  createdAt: (direction) => (a, b) => direction * (a.meta.createdAt - b.meta.createdAt),
+  price: (direction) => (a, b) => direction * ((a.meta.price ?? 0) - (b.meta.price ?? 0)),
+  views: () => (a, b) => b.meta.views - a.meta.views,
+  bumped: () => (a, b) => Number(b.meta.isBumped) - Number(a.meta.isBumped) || b.meta.createdAt - a.meta.createdAt,
+  name: (direction) => (a, b) => direction * a.meta.name.localeCompare(b.meta.name),
+};
+
+// `category` may be repeated (?category=A&category=B) or comma separated (?category=A,B)
+function parseCategories(category) {
+  const values = (Array.isArray(category) ? category : [category])
+    .filter(value => typeof value === 'string')
+    .flatMap(value => value.split(','))
+    .map(value => value.trim())
+    .filter(Boolean);
+  return [...new Set(values)];
+}
+
+// Undefined/empty means no bound; anything else must be a non-negative number
+function parsePrice(value) {
+  if (value === undefined || value === '') return null;
+  const price = Number(value);
+  return Number.isFinite(price) && price >= 0 ? price : NaN;
+}
+
+/**
+ * Reads and validates the listing query string. Returns { params } or { error } for a 400.
+ */
+function parseListingParams(reqQuery) {
+  const { limit: limitParam = 20, q, category, status, sellerId, sortOrder = 'desc', pageToken } = reqQuery;
+  const search = typeof q === 'string' && q.trim() ? q.trim() : null;
+  const sortBy = reqQuery.sortBy || (search ? 'relevance' : 'newest');
+
+  const limitNum = parseInt(limitParam, 10);
+  if (!Number.isInteger(limitNum) || limitNum < 1) {
+    return { error: 'limit must be a positive integer' };
+  }
+  if (!['asc', 'desc'].includes(sortOrder)) {
+    return { error: 'sortOrder must be asc or desc' };
+  }
+  if (sortBy === 'relevance' && !search) {
+    return { error: 'sortBy=relevance requires a search query (q)' };
+  }
+  if (sortBy !== 'relevance' && !PRODUCT_SORTS[sortBy]) {
+    return { error: `sortBy must be one of: ${[...(search ? ['relevance'] : []), ...Object.keys(PRODUCT_SORTS)].join(', ')}` };
+  }
+
+  if (status && isOffSale(status)) {
+    return { error: `${status} products are not listed; see /api/products/archived and /api/products/trash` };
+  }
+  const categories = parseCategories(category);
+  const maxCategories = status ? MAX_CATEGORIES : MAX_CATEGORIES_WITHOUT_STATUS;
+  if (categories.length > maxCategories) {
+    return { error: `At most ${maxCategories} categories can be combined${status ? '' : ' without a status filter'}` };
+  }
+  const minPrice = parsePrice(reqQuery.minPrice);
+  const maxPrice = parsePrice(reqQuery.maxPrice);
+  if (Number.isNaN(minPrice) || Number.isNaN(maxPrice)) {
+    return { error: 'minPrice and maxPrice must be non-negative numbers' };
+  }
+  if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+    return { error: 'minPrice cannot be greater than maxPrice' };
+  }
+
+  return {
+    params: {
+      q: search,
+      status: status || null,
+      statuses: status ? [status] : LISTED_STATUSES,
+      sellerId: sellerId || null,
+      categories,
+      minPrice,
+      maxPrice,
+      sortBy,
+      sortOrder,
+      limit: Math.min(limitNum, MAX_PAGE_SIZE),
+      pageToken: pageToken || null,
+      facets: reqQuery.facets === 'true',
+    },
+  };
+}
+
+const paginationBody = ({ limit: pageSize, totalProducts, nextPageToken }) => ({
+  limit: pageSize,
+  totalProducts,
+  totalPages: Math.ceil(totalProducts / pageSize),
+  hasNextPage: Boolean(nextPageToken),
+  nextPageToken,
+});
+
+/**
+ * Search index branch of GET /api/products, used for keyword searches and attribute filters: matches are
+ * found and ordered in the index, then only the requested page is read from Firestore. Page tokens hold an
+ * offset into the ordered results.
+ */
+async function indexedProductsPage(req, res, params, { attributes, attributeFilters }) {
+  let offset = 0;
+  if (params.pageToken) {
+    offset = Number(Buffer.from(String(params.pageToken), 'base64url').toString());
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({ error: 'Invalid pageToken' });
+    }
+  }
+
+  const candidates = await searchProducts(params.q, params);
+  const results = candidates.filter(result => matchesAttributeFilters(result.meta.specifications, attributeFilters));
+  if (params.sortBy !== 'relevance') {
+    const compare = SEARCH_SORTS[params.sortBy](params.sortOrder === 'asc' ? 1 : -1);
+    results.sort((a, b) => compare(a, b) || b.score - a.score);
+  }
+
+  const pageResults = results.slice(offset, offset + params.limit);
+  const snaps = await Promise.all(pageResults.map(result => getDoc(doc(db, 'products', result.id))));
+
+  const products = [];
+  snaps.forEach((productSnap, i) => {
+    // The index can lag behind deletes and status changes made on other instances; the live document decides,
+    // and a stale entry is refreshed so the next search gets it right
+    if (!productSnap.exists()) return;
+    const { status } = productSnap.data();
+    if (!params.statuses.includes(status) || isOffSale(status)) {
+      indexProduct(productSnap.id, productSnap.data());
+      return;
+    }
+    const product = withLocalPrice(req, productSnap.id, productSnap.data());
+    products.push(params.q ? { ...product, relevance: pageResults[i].score } : product);
+  });
+
+  const nextOffset = offset + params.limit;
+  res.status(200).json({
+    status: 'success',
+    ...(params.q && { query: params.q }),
+    products,
+    pagination: paginationBody({
+      limit: params.limit,
+      totalProducts: results.length,
+      nextPageToken: nextOffset < results.length ? Buffer.from(String(nextOffset)).toString('base64url') : null,
+    }),
+    ...(params.facets && { facets: computeFacets(candidates.map(result => result.meta), attributes, attributeFilters) }),
+  });
+}
+
+/**
+ * Firestore branch of GET /api/products. Like the audit log, the page token is the last product id of the
+ * previous page and the next page starts after that document.
+ */
+async function listProductsPage(req, res, params, { attributes }) {
+  const filters = [];
+  filters.push(params.statuses.length === 1 ? where('status', '==', params.statuses[0]) : where('status', 'in', params.statuses));
+  if (params.sellerId) filters.push(where('sellerId', '==', params.sellerId));
+  if (params.categories.length === 1) filters.push(where('category', '==', params.categories[0]));
+  if (params.categories.length > 1) filters.push(where('category', 'in', params.categories));
+  if (params.minPrice !== null) filters.push(where('price', '>=', params.minPrice));
+  if (params.maxPrice !== null) filters.push(where('price', '<=', params.maxPrice));
+  const filteredQuery = query(collection(db, 'products'), ...filters);
+
+  const pageConstraints = PRODUCT_SORTS[params.sortBy](params.sortOrder).map(([field, direction]) => orderBy(field, direction));
+  if (params.pageToken) {
+    const cursorSnap = await getDoc(doc(db, 'products', Buffer.from(String(params.pageToken), 'base64url').toString()));
+    if (!cursorSnap.exists()) {
+      return res.status(400).json({ error: 'Invalid pageToken' });
+    }
+    pageConstraints.push(startAfter(cursorSnap));
+  }
+  // One extra document tells whether there is a next page
+  pageConstraints.push(limit(params.limit + 1));
+
+  const [productsSnap, countSnap] = await Promise.all([
+    getDocs(query(filteredQuery, ...pageConstraints)),
+    getCountFromServer(filteredQuery),
+  ]);
+
+  const pageDocs = productsSnap.docs.slice(0, params.limit);
+  const products = pageDocs.map(productDoc => withLocalPrice(req, productDoc.id, productDoc.data()));
+
+  const nextPageToken = productsSnap.docs.length > params.limit
+    ? Buffer.from(pageDocs[pageDocs.length - 1].id).toString('base64url')
+    : null;
+
+  // Facet counts always come from the search index, which holds every product's specifications
+  let facets;
+  if (params.facets) {
+    facets = computeFacets((await searchProducts(null, params)).map(result => result.meta), attributes);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    products,
+    pagination: paginationBody({ limit: params.limit, totalProducts: countSnap.data().count, nextPageToken }),
+    ...(facets && { facets }),
+  });
+}
+
 /**
  * @swagger
  * /api/products:
  *   get:
  *     summary: Get all products
- *     description: Retrieve all products with pagination, filtering, and sorting options
+ *     description: Retrieve products with cursor pagination, filtering, and sorting options. With `q`, products are searched by keyword in their name, description and specifications and ranked by relevance. Pass `pagination.nextPageToken` from one response as `pageToken` to get the next page, keeping every other parameter the same.
  *     tags: [Products]
  *     parameters:
  *       - in: query
- *         name: page
+ *         name: q
  *         schema:
- *           type: integer
- *           default: 1
- *         description: Page number for pagination
- *         example: 1
+ *           type: string
+ *         description: Search keywords. Matches word prefixes and tolerates small typos; every keyword must match.
+ *         example: "samsung phon"
+ *       - in: query
+ *         name: pageToken
+ *         schema:
+ *           type: string
+ *         description: Opaque token from the previous page's `pagination.nextPageToken`
  *       - in: query
  *         name: limit
  *         schema:
@@ -30,15 +292,46 @@ const router = express.Router();
  *       - in: query
  *         name: category
  *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *           maxItems: 30
+ *         style: form
+ *         explode: true
+ *         description: Filter by one or more categories (repeat the parameter or separate with commas)
+ *         example: ["Electronics", "Fashion"]
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *         description: Lowest price (NGN), inclusive
+ *         example: 5000
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *         description: Highest price (NGN), inclusive
+ *         example: 50000
+ *       - in: query
+ *         name: attr.{key}
+ *         schema:
  *           type: string
- *         description: Filter by product category
- *         example: "Electronics"
+ *         description: Filter on a specification attribute from the category schema, e.g. `attr.brand=Samsung,Apple` (any of the values) or `attr.screen=5..7` for number attributes. Filters on different attributes must all match.
+ *         example: "Samsung,Apple"
+ *       - in: query
+ *         name: facets
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include facet counts for the attributes of the selected categories
  *       - in: query
  *         name: status
  *         schema:
  *           type: string
  *           enum: [pending, approved, rejected]
- *         description: Filter by product status
+ *         description: Filter by product status. Without it, pending, approved and rejected products are listed (archived and trashed ones never are) and at most 10 categories can be combined.
  *         example: "approved"
  *       - in: query
  *         name: sellerId
@@ -50,9 +343,9 @@ const router = express.Router();
  *         name: sortBy
  *         schema:
  *           type: string
- *           enum: [price, createdAt, name]
- *           default: createdAt
- *         description: Sort field
+ *           enum: [relevance, newest, price, views, bumped, createdAt, name]
+ *           default: newest
+ *         description: Sort key. `bumped` puts bumped products first, newest first within each group. `relevance` (the default when `q` is set) is only available with `q`. `sortOrder` applies to price, createdAt and name.
  *         example: "price"
  *       - in: query
  *         name: sortOrder
@@ -61,7 +354,7 @@ const router = express.Router();
  *           enum: [asc, desc]
  *           default: desc
  *         description: Sort order
- *         example: "desc"
+ *         example: "asc"
  *       - in: header
  *         name: x-user-country
  *         schema:
@@ -110,23 +403,71 @@ const router = express.Router();
  *                         type: string
  *                       isBumped:
  *                         type: boolean
+ *                       stock:
+ *                         type: integer
+ *                         nullable: true
+ *                         description: Units in stock (the sum over variants when the product has them)
+ *                       hasVariants:
+ *                         type: boolean
+ *                       priceRange:
+ *                         type: object
+ *                         description: Lowest and highest variant price in NGN
+ *                       convertedPriceRange:
+ *                         type: object
+ *                         description: priceRange in the user's currency
+ *                       variants:
+ *                         type: array
+ *                         description: Each variant with its effectivePrice (NGN) and convertedPrice/formattedPrice in the user's currency
+ *                         items:
+ *                           type: object
  *                       createdAt:
  *                         type: string
+ *                       relevance:
+ *                         type: number
+ *                         description: Search score, only present with `q`
  *                 pagination:
  *                   type: object
  *                   properties:
- *                     currentPage:
- *                       type: integer
- *                     totalPages:
+ *                     limit:
  *                       type: integer
  *                     totalProducts:
  *                       type: integer
+ *                       description: Products matching the filters, across all pages
+ *                     totalPages:
+ *                       type: integer
  *                     hasNextPage:
  *                       type: boolean
- *                     hasPrevPage:
- *                       type: boolean
+ *                     nextPageToken:
+ *                       type: string
+ *                       nullable: true
+ *                 facets:
+ *                   type: array
+ *                   description: Only with `facets=true`. Each attribute is counted with every other filter applied.
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       key:
+ *                         type: string
+ *                       label:
+ *                         type: string
+ *                       type:
+ *                         type: string
+ *                       values:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             value: {}
+ *                             count:
+ *                               type: integer
+ *                       min:
+ *                         type: number
+ *                         description: Number attributes only
+ *                       max:
+ *                         type: number
+ *                         description: Number attributes only
  *       400:
- *         description: Invalid request parameters
+ *         description: Invalid request parameters or page token
  *         content:
  *           application/json:
  *             schema:
@@ -140,83 +481,22 @@ const router = express.Router();
  */
 router.get('/api/products', optionalAuth, async (req, res) => {
   try {
-    const { 
-      page = 1, 
-      limit = 20, 
-      category, 
-      status, 
-      sellerId, 
-      sortBy = 'createdAt', 
-      sortOrder = 'desc' 
-    } = req.query;
-
-    const pageNum = parseInt(page);
-    const limitNum = Math.min(parseInt(limit), 100);
-    const offset = (pageNum - 1) * limitNum;
-
-    // Build query
-    let productsQuery = collection(db, 'products');
-
-    // Add filters
-    if (status) {
-      productsQuery = query(productsQuery, where('status', '==', status));
-    }
-    if (sellerId) {
-      productsQuery = query(productsQuery, where('sellerId', '==', sellerId));
+    const { params, error } = parseListingParams(req.query);
+    if (error) {
+      return res.status(400).json({ error });
     }
-    if (category) {
-      productsQuery = query(productsQuery, where('category', '==', category));
-    }
-
-    // Add sorting
-    productsQuery = query(productsQuery, orderBy(sortBy, sortOrder), limit(limitNum));
 
-    const productsSnap = await getDocs(productsQuery);
-    
-    const products = [];
-    productsSnap.forEach(doc => {
-      const productData = doc.data();
-      
-      // Convert price to user's currency if available
-      let convertedPrice = productData.price;
-      let currency = 'NGN';
-      let formattedPrice = `₦${productData.price.toLocaleString()}`;
-      
-      if (req.userCurrency && req.userCurrency.code !== 'NGN') {
-        const { convertCurrency, formatCurrency } = require('./middleware');
-        convertedPrice = convertCurrency(productData.price, 'NGN', req.userCurrency.code);
-        currency = req.userCurrency.code;
-        formattedPrice = formatCurrency(convertedPrice, req.userCurrency.code);
-      }
-
-      products.push({
-        id: doc.id,
-        ...productData,
-        convertedPrice,
-        currency,
-        formattedPrice,
-        createdAt: productData.createdAt?.toDate?.() || new Date()
-      });
-    });
-
-    // Get total count for pagination
-    const totalQuery = collection(db, 'products');
-    const totalSnap = await getDocs(totalQuery);
-    const totalProducts = totalSnap.size;
-    const totalPages = Math.ceil(totalProducts / limitNum);
-
-    res.status(200).json({
-      status: 'success',
-      products,
-      pagination: {
-        currentPage: pageNum,
-        totalPages,
-        totalProducts,
-        hasNextPage: pageNum < totalPages,
-        hasPrevPage: pageNum > 1
-      }
-    });
+    // Attribute filters and facets use the schemas of the selected categories
+    const attributes = await getAttributesForCategories(params.categories);
+    const { filters: attributeFilters, error: attributeError } = parseAttributeFilters(req.query, attributes.length ? attributes : null);
+    if (attributeError) {
+      return res.status(400).json({ error: attributeError });
+    }
 
+    if (params.q || Object.keys(attributeFilters).length) {
+      return await indexedProductsPage(req, res, params, { attributes, attributeFilters });
+    }
+    await listProductsPage(req, res, params, { attributes });
   } catch (error) {
     console.error('Get products error:', error);
     res.status(500).json({ error: 'Failed to get products', details: error.message });
@@ -284,6 +564,23 @@ router.get('/api/products', optionalAuth, async (req, res) => {
  *                       type: string
  *                     isBumped:
  *                       type: boolean
+ *                     stock:
+ *                       type: integer
+ *                       nullable: true
+ *                       description: Units in stock (the sum over variants when the product has them)
+ *                     hasVariants:
+ *                       type: boolean
+ *                     priceRange:
+ *                       type: object
+ *                       description: Lowest and highest variant price in NGN
+ *                     convertedPriceRange:
+ *                       type: object
+ *                       description: priceRange in the user's currency
+ *                     variants:
+ *                       type: array
+ *                       description: Each variant with its effectivePrice (NGN) and convertedPrice/formattedPrice in the user's currency
+ *                       items:
+ *                         type: object
  *                     createdAt:
  *                       type: string
  *       404:
@@ -312,18 +609,6 @@ router.get('/api/products/:productId', optionalAuth, async (req, res) => {
 
     const productData = productSnap.data();
 
-    // Convert price to user's currency if available
-    let convertedPrice = productData.price;
-    let currency = 'NGN';
-    let formattedPrice = `₦${productData.price.toLocaleString()}`;
-    
-    if (req.userCurrency && req.userCurrency.code !== 'NGN') {
-      const { convertCurrency, formatCurrency } = require('./middleware');
-      convertedPrice = convertCurrency(productData.price, 'NGN', req.userCurrency.code);
-      currency = req.userCurrency.code;
-      formattedPrice = formatCurrency(convertedPrice, req.userCurrency.code);
-    }
-
     // Increment view count
     await updateDoc(productRef, {
       views: (productData.views || 0) + 1,
@@ -332,14 +617,8 @@ router.get('/api/products/:productId', optionalAuth, async (req, res) => {
 
     res.status(200).json({
       status: 'success',
-      product: {
-        id: productSnap.id,
-        ...productData,
-        convertedPrice,
-        currency,
-        formattedPrice,
-        createdAt: productData.createdAt?.toDate?.() || new Date()
-      }
+      // Prices, including every variant's, in the user's currency
+      product: withLocalPrice(req, productSnap.id, productData)
     });
 
   } catch (error) {
@@ -398,8 +677,51 @@ router.get('/api/products/:productId', optionalAuth, async (req, res) => {
  *                 example: "https://example.com/video.mp4"
  *               specifications:
  *                 type: object
- *                 description: Product specifications
- *                 example: { "color": "Blue", "storage": "256GB", "condition": "New" }
+ *                 description: Product specifications. Validated against the category's attribute schema (GET /api/products/categories/{category}/attributes) when it has one.
+ *                 example: { "brand": "Samsung", "storage": "256GB", "condition": "New" }
+ *               stock:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Units in stock for a product without variants (omit to leave stock untracked)
+ *               options:
+ *                 type: array
+ *                 description: Option axes the variants are built from (at most 3)
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     values:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                 example: [{ "name": "size", "values": ["S", "M", "L"] }, { "name": "colour", "values": ["Black", "White"] }]
+ *               variants:
+ *                 type: array
+ *                 description: One entry per option combination on sale (at most 100)
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - options
+ *                     - stock
+ *                   properties:
+ *                     options:
+ *                       type: object
+ *                       description: A value for every option axis
+ *                       example: { "size": "M", "colour": "Black" }
+ *                     sku:
+ *                       type: string
+ *                       description: Defaults to the option values, e.g. "M-BLACK"
+ *                     price:
+ *                       type: number
+ *                       description: Overrides the base price for this variant
+ *                     stock:
+ *                       type: integer
+ *                       minimum: 0
+ *                     imageUrls:
+ *                       type: array
+ *                       items:
+ *                         type: string
  *     responses:
  *       201:
  *         description: Product created successfully
@@ -439,7 +761,7 @@ router.get('/api/products/:productId', optionalAuth, async (req, res) => {
 router.post('/api/products', authenticateFirebaseToken, async (req, res) => {
   try {
     const { uid } = req.user; // Firebase user ID
-    const { name, description, price, category, imageUrls, videoUrl, specifications } = req.body;
+    const { name, description, price, category, imageUrls, videoUrl, specifications, options, variants, stock } = req.body;
 
     // Validate required fields
     if (!name || !description || !price || !category || !imageUrls) {
@@ -456,6 +778,18 @@ router.post('/api/products', authenticateFirebaseToken, async (req, res) => {
       return res.status(400).json({ error: 'At least one image URL is required' });
     }
 
+    // Validate specifications against the category's attribute schema
+    const specCheck = await validateSpecifications(category, specifications || {});
+    if (!specCheck.ok) {
+      return res.status(400).json({ error: 'Invalid specifications', details: specCheck.errors.join('; ') });
+    }
+
+    // Validate variants (or the stock of a product without variants)
+    const variantCheck = normalizeVariants({ options, variants, price, stock });
+    if (!variantCheck.ok) {
+      return res.status(400).json({ error: 'Invalid variants', details: variantCheck.errors.join('; ') });
+    }
+
     // Create product document
     const productId = `product_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
     const productRef = doc(db, 'products', productId);
@@ -468,7 +802,8 @@ router.post('/api/products', authenticateFirebaseToken, async (req, res) => {
       category,
       imageUrls,
       videoUrl: videoUrl || '',
-      specifications: specifications || {},
+      specifications: specCheck.specifications,
+      ...variantCheck.fields,
       sellerId: uid, // Use Firebase user ID
       status: 'pending',
       views: 0,
@@ -478,6 +813,7 @@ router.post('/api/products', authenticateFirebaseToken, async (req, res) => {
     };
 
     await setDoc(productRef, productData);
+    indexProduct(productId, productData);
 
     console.log(`Product created successfully: ${productId} by user ${uid}`);
     res.status(201).json({
@@ -492,12 +828,67 @@ router.post('/api/products', authenticateFirebaseToken, async (req, res) => {
   }
 });
 
+/**
+ * Validates a seller's product edit against the stored product. Returns { updateData } with the fields to
+ * write, or { error, details } for a 400.
+ */
+async function buildProductUpdate(productData, body) {
+  const { name, description, price, category, imageUrls, videoUrl, specifications, options, variants, stock } = body;
+  const updateData = {
+    updatedAt: serverTimestamp()
+  };
+
+  if (name) updateData.name = name;
+  if (description) updateData.description = description;
+  if (price) {
+    if (typeof price !== 'number' || price <= 0) {
+      return { error: 'Price must be a positive number' };
+    }
+    updateData.price = price;
+  }
+  if (category) updateData.category = category;
+  if (imageUrls) {
+    if (!Array.isArray(imageUrls) || imageUrls.length === 0) {
+      return { error: 'At least one image URL is required' };
+    }
+    updateData.imageUrls = imageUrls;
+  }
+  if (videoUrl !== undefined) updateData.videoUrl = videoUrl;
+
+  // A new category re-checks the existing specifications against its schema
+  if (specifications || category) {
+    const specCheck = await validateSpecifications(category || productData.category, specifications || productData.specifications || {});
+    if (!specCheck.ok) {
+      return { error: 'Invalid specifications', details: specCheck.errors.join('; ') };
+    }
+    updateData.specifications = specCheck.specifications;
+  }
+
+  // Variants are replaced as a whole; a new base price also moves the price range.
+  // Send `variants: []` to turn a product with variants back into a single-price one.
+  if (variants !== undefined || options !== undefined || stock !== undefined || updateData.price) {
+    const variantCheck = normalizeVariants({
+      options: options !== undefined ? options : productData.options,
+      variants: variants !== undefined ? variants : productData.variants,
+      price: updateData.price || productData.price,
+      stock: stock !== undefined ? stock : productData.stock,
+      existingVariants: productData.variants || [],
+    });
+    if (!variantCheck.ok) {
+      return { error: 'Invalid variants', details: variantCheck.errors.join('; ') };
+    }
+    Object.assign(updateData, variantCheck.fields);
+  }
+
+  return { updateData };
+}
+
 /**
  * @swagger
  * /api/products/{productId}:
  *   put:
  *     summary: Update product
- *     description: Update an existing product (requires Firebase authentication)
+ *     description: Update an existing product (requires Firebase authentication). Edits to an approved product are stored as a revision while the live listing keeps selling; stock changes and price changes within REVISION_PRICE_TOLERANCE_PERCENT (default 10%) are published at once, anything else waits for a moderator (202).
  *     tags: [Products]
  *     security:
  *       - BearerAuth: []
@@ -542,7 +933,50 @@ router.post('/api/products', authenticateFirebaseToken, async (req, res) => {
  *                 description: Product video URL
  *               specifications:
  *                 type: object
- *                 description: Product specifications
+ *                 description: Product specifications, validated against the category's attribute schema
+ *               stock:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Units in stock for a product without variants (omit to leave stock untracked)
+ *               options:
+ *                 type: array
+ *                 description: Option axes the variants are built from (at most 3)
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     values:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                 example: [{ "name": "size", "values": ["S", "M", "L"] }, { "name": "colour", "values": ["Black", "White"] }]
+ *               variants:
+ *                 type: array
+ *                 description: Replaces every variant; variants keeping an option combination keep their id. Send [] to remove variants.
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - options
+ *                     - stock
+ *                   properties:
+ *                     options:
+ *                       type: object
+ *                       description: A value for every option axis
+ *                       example: { "size": "M", "colour": "Black" }
+ *                     sku:
+ *                       type: string
+ *                       description: Defaults to the option values, e.g. "M-BLACK"
+ *                     price:
+ *                       type: number
+ *                       description: Overrides the base price for this variant
+ *                     stock:
+ *                       type: integer
+ *                       minimum: 0
+ *                     imageUrls:
+ *                       type: array
+ *                       items:
+ *                         type: string
  *     responses:
  *       200:
  *         description: Product updated successfully
@@ -557,6 +991,14 @@ router.post('/api/products', authenticateFirebaseToken, async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: "Product updated successfully"
+ *                 revisionId:
+ *                   type: string
+ *                   description: Set for approved products when the edit was recorded as a revision
+ *                 revisionStatus:
+ *                   type: string
+ *                   enum: [auto_approved, unchanged]
+ *       202:
+ *         description: Approved product; the changes wait for review as a pending revision
  *       400:
  *         description: Invalid request data
  *         content:
@@ -592,7 +1034,6 @@ router.put('/api/products/:productId', authenticateFirebaseToken, async (req, re
   try {
     const { uid } = req.user; // Firebase user ID
     const { productId } = req.params;
-    const { name, description, price, category, imageUrls, videoUrl, specifications } = req.body;
 
     const productRef = doc(db, 'products', productId);
     const productSnap = await getDoc(productRef);
@@ -608,34 +1049,41 @@ router.put('/api/products/:productId', authenticateFirebaseToken, async (req, re
       return res.status(403).json({ error: 'You can only update your own products' });
     }
 
-    // Only allow updates if product is pending or rejected
-    if (productData.status === 'approved') {
-      return res.status(400).json({ error: 'Cannot update approved products' });
+    if (isOffSale(productData.status)) {
+      return res.status(409).json({ error: `Product is ${productData.status}; restore it before editing` });
     }
 
-    const updateData = {
-      updatedAt: serverTimestamp()
-    };
+    const { updateData, error, details } = await buildProductUpdate(productData, req.body || {});
+    if (error) {
+      return res.status(400).json({ error, details });
+    }
 
-    if (name) updateData.name = name;
-    if (description) updateData.description = description;
-    if (price) {
-      if (typeof price !== 'number' || price <= 0) {
-        return res.status(400).json({ error: 'Price must be a positive number' });
+    // Approved products keep selling unchanged while the edit waits for review (see productRevisions.js)
+    if (productData.status === 'approved') {
+      const revision = await submitRevision(productId, { sellerId: uid, updateData });
+      if (!revision.ok) {
+        return res.status(revision.status).json({ error: revision.error });
       }
-      updateData.price = price;
-    }
-    if (category) updateData.category = category;
-    if (imageUrls) {
-      if (!Array.isArray(imageUrls) || imageUrls.length === 0) {
-        return res.status(400).json({ error: 'At least one image URL is required' });
+      if (revision.status === 'pending') {
+        return res.status(202).json({
+          status: 'success',
+          message: 'Changes submitted for review; the live listing is unchanged until they are approved',
+          revisionId: revision.revisionId,
+          revisionStatus: revision.status,
+          changedFields: revision.changedFields,
+        });
       }
-      updateData.imageUrls = imageUrls;
+      return res.status(200).json({
+        status: 'success',
+        message: revision.status === 'unchanged' ? 'No changes to apply' : 'Product updated successfully',
+        revisionId: revision.revisionId,
+        revisionStatus: revision.status,
+        changedFields: revision.changedFields,
+      });
     }
-    if (videoUrl !== undefined) updateData.videoUrl = videoUrl;
-    if (specifications) updateData.specifications = specifications;
 
     await updateDoc(productRef, updateData);
+    indexProduct(productId, { ...productData, ...updateData });
 
     res.status(200).json({
       status: 'success',
@@ -648,12 +1096,57 @@ router.put('/api/products/:productId', authenticateFirebaseToken, async (req, re
   }
 });
 
+/**
+ * @swagger
+ * /api/products/{productId}/revisions:
+ *   get:
+ *     summary: List a product's revisions
+ *     description: Edits made to the product since it was approved, newest first, with their review status (pending, approved, rejected, superseded, auto_approved). Only the seller can see them.
+ *     tags: [Products]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Revisions retrieved successfully
+ *       403:
+ *         description: Forbidden - not the product owner
+ *       404:
+ *         description: Product not found
+ */
+router.get('/api/products/:productId/revisions', authenticateFirebaseToken, async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const productSnap = await getDoc(doc(db, 'products', productId));
+    if (!productSnap.exists()) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    if (productSnap.data().sellerId !== req.user.uid) {
+      return res.status(403).json({ error: 'You can only view revisions of your own products' });
+    }
+
+    res.json({
+      status: 'success',
+      pendingRevisionId: productSnap.data().pendingRevisionId || null,
+      revisions: await listProductRevisions(productId),
+    });
+  } catch (error) {
+    console.error('List product revisions error:', error);
+    res.status(500).json({ error: 'Failed to fetch product revisions', details: error.message });
+  }
+});
+
 /**
  * @swagger
  * /api/products/{productId}:
  *   delete:
  *     summary: Delete product
- *     description: Delete a product (only if pending or rejected, requires Firebase authentication)
+ *     description: Moves a product to the trash (requires Firebase authentication). It stays readable by id for past orders, is left out of listings, and is permanently deleted after TRASH_RETENTION_DAYS (default 30) unless a moderator restores it.
  *     tags: [Products]
  *     security:
  *       - BearerAuth: []
@@ -678,7 +1171,10 @@ router.put('/api/products/:productId', authenticateFirebaseToken, async (req, re
  *                   example: "success"
  *                 message:
  *                   type: string
- *                   example: "Product deleted successfully"
+ *                   example: "Product moved to the trash; it will be permanently deleted after 30 days"
+ *                 purgeAt:
+ *                   type: string
+ *                   format: date-time
  *       401:
  *         description: Unauthorized - Firebase token required
  *         content:
@@ -686,7 +1182,7 @@ router.put('/api/products/:productId', authenticateFirebaseToken, async (req, re
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - not the product owner or product is approved
+ *         description: Forbidden - not the product owner
  *         content:
  *           application/json:
  *             schema:
@@ -697,6 +1193,12 @@ router.put('/api/products/:productId', authenticateFirebaseToken, async (req, re
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Product is already in the trash
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -709,30 +1211,16 @@ router.delete('/api/products/:productId', authenticateFirebaseToken, async (req,
     const { uid } = req.user; // Firebase user ID
     const { productId } = req.params;
 
-    const productRef = doc(db, 'products', productId);
-    const productSnap = await getDoc(productRef);
-
-    if (!productSnap.exists()) {
-      return res.status(404).json({ error: 'Product not found' });
-    }
-
-    const productData = productSnap.data();
-
-    // Check if user owns the product
-    if (productData.sellerId !== uid) {
-      return res.status(403).json({ error: 'You can only delete your own products' });
+    // Moved to the trash rather than deleted: orders and bumps keep resolving it until it is purged
+    const result = await trashProduct(productId, { sellerId: uid, actorUid: uid });
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
     }
 
-    // Only allow deletion if product is pending or rejected
-    if (productData.status === 'approved') {
-      return res.status(403).json({ error: 'Cannot delete approved products' });
-    }
-
-    await deleteDoc(productRef);
-
     res.status(200).json({
       status: 'success',
-      message: 'Product deleted successfully'
+      message: `Product moved to the trash; it will be permanently deleted after ${TRASH_RETENTION_DAYS} days`,
+      purgeAt: result.product.purgeAt.toDate().toISOString(),
     });
 
   } catch (error) {
@@ -0,0 +1,302 @@
+// Keyword search over products. Name, description and specifications are normalized (lowercased, accents
+// stripped, stop words dropped, plurals folded) into an inverted index that supports prefix matches, typo
+// tolerance and TF-IDF style ranking. The index implementation is chosen by SEARCH_INDEX; `local` (the only
+// one so far, and the default) keeps it in process memory: it is built from Firestore on first use, updated
+// by the product routes when a product changes and rebuilt periodically to pick up writes from elsewhere.
+const { collection, getDocs, FieldValue } = require('firebase/firestore');
+const { db } = require('./firebaseConfig');
+
+const INDEX_REFRESH_INTERVAL_MS = 10 * 60 * 1000;
+
+// Relative weight of a term depending on where it appears
+const FIELD_WEIGHTS = { name: 3, specifications: 1.5, description: 1 };
+
+// How much a query term counts when it only matches as a prefix or with typos
+const PREFIX_MATCH_WEIGHT = 0.7;
+const TYPO_MATCH_WEIGHTS = [1, 0.5, 0.3];
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it', 'of', 'on', 'or', 'the',
+  'this', 'to', 'with',
+]);
+
+// Folds common English plurals so "phones" and "phone" share a term
+function stem(term) {
+  if (term.length > 4 && term.endsWith('ies')) return `${term.slice(0, -3)}y`;
+  if (term.length > 4 && /(s|x|z|ch|sh)es$/.test(term)) return term.slice(0, -2);
+  if (term.length > 3 && term.endsWith('s') && !/(ss|us|is)$/.test(term)) return term.slice(0, -1);
+  return term;
+}
+
+/**
+ * Splits text into normalized search terms: lowercase, without accents or punctuation, stop words removed.
+ */
+function tokenize(text) {
+  if (text === null || text === undefined) return [];
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(term => term && !STOP_WORDS.has(term))
+    .map(stem);
+}
+
+// Specifications are free-form ({ color: "Red", sizes: ["S", "M"] }); keys and values are both searchable
+function flattenSpecifications(specifications) {
+  if (!specifications || typeof specifications !== 'object') return [];
+  return Object.entries(specifications).flatMap(([key, value]) => {
+    if (value && typeof value === 'object') return [key, ...flattenSpecifications(Array.isArray(value) ? { ...value } : value)];
+    return [key, value];
+  });
+}
+
+// term -> weighted frequency for one product
+function termWeights(product) {
+  const weights = new Map();
+  const add = (text, weight) => tokenize(text).forEach(term => weights.set(term, (weights.get(term) || 0) + weight));
+  add(product.name, FIELD_WEIGHTS.name);
+  add(product.description, FIELD_WEIGHTS.description);
+  flattenSpecifications(product.specifications).forEach(value => add(value, FIELD_WEIGHTS.specifications));
+  return weights;
+}
+
+// Damerau-Levenshtein (optimal string alignment) distance, giving up once it exceeds `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], prevPrev[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// Typos tolerated for a query term: none for short terms, one from 4 letters, two from 8
+const allowedTypos = (term) => (term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0);
+
+// Fields kept next to the postings so results can be filtered and sorted without reading Firestore
+function productMeta(product) {
+  return {
+    name: product.name || '',
+    price: typeof product.price === 'number' ? product.price : null,
+    category: product.category || null,
+    status: product.status || null,
+    sellerId: product.sellerId || null,
+    views: product.views || 0,
+    isBumped: product.isBumped === true,
+    specifications: product.specifications || {},
+    // A serverTimestamp() sentinel means the product was just written
+    createdAt: product.createdAt instanceof FieldValue ? Date.now() : product.createdAt?.toMillis?.() || 0,
+  };
+}
+
+function createLocalIndex() {
+  const postings = new Map(); // term -> Map(productId -> weight)
+  const documents = new Map(); // productId -> { terms, meta }
+
+  function remove(productId) {
+    const existing = documents.get(productId);
+    if (!existing) return;
+    existing.terms.forEach(term => {
+      const posting = postings.get(term);
+      posting.delete(productId);
+      if (!posting.size) postings.delete(term);
+    });
+    documents.delete(productId);
+  }
+
+  function upsert(productId, product) {
+    remove(productId);
+    const weights = termWeights(product);
+    weights.forEach((weight, term) => {
+      if (!postings.has(term)) postings.set(term, new Map());
+      postings.get(term).set(productId, weight);
+    });
+    documents.set(productId, { terms: [...weights.keys()], meta: productMeta(product) });
+  }
+
+  // Index terms a query term can stand for, with how strongly each counts
+  function expand(queryTerm) {
+    const maxTypos = allowedTypos(queryTerm);
+    const matches = [];
+    for (const term of postings.keys()) {
+      if (term === queryTerm) {
+        matches.push([term, 1]);
+      } else if (term.startsWith(queryTerm)) {
+        matches.push([term, PREFIX_MATCH_WEIGHT]);
+      } else if (maxTypos) {
+        const distance = editDistance(queryTerm, term, maxTypos);
+        if (distance <= maxTypos) matches.push([term, TYPO_MATCH_WEIGHTS[distance]]);
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * Products matching every term of `q`, best first. Each product's score sums, per query term, its best
+   * matching index term: field-weighted frequency x inverse document frequency x match quality.
+   */
+  function search(q, { filter } = {}) {
+    const queryTerms = [...new Set(tokenize(q))];
+    if (!queryTerms.length) return [];
+    const totalDocs = documents.size || 1;
+
+    let scores = null;
+    for (const queryTerm of queryTerms) {
+      const termScores = new Map();
+      for (const [term, matchWeight] of expand(queryTerm)) {
+        const posting = postings.get(term);
+        const idf = Math.log(1 + totalDocs / posting.size);
+        posting.forEach((weight, productId) => {
+          if (scores && !scores.has(productId)) return;
+          const score = matchWeight * idf * (1 + Math.log(weight));
+          if (score > (termScores.get(productId) || 0)) termScores.set(productId, score);
+        });
+      }
+      if (scores) termScores.forEach((score, productId) => termScores.set(productId, scores.get(productId) + score));
+      scores = termScores;
+      if (!scores.size) return [];
+    }
+
+    return [...scores]
+      .map(([id, score]) => ({ id, score: Math.round(score * 1000) / 1000, meta: documents.get(id).meta }))
+      .filter(result => !filter || filter(result.meta))
+      .sort((a, b) => b.score - a.score || b.meta.createdAt - a.meta.createdAt);
+  }
+
+  // Every indexed product, newest first (for filtered listings without keywords)
+  function all({ filter } = {}) {
+    return [...documents]
+      .map(([id, { meta }]) => ({ id, score: 0, meta }))
+      .filter(result => !filter || filter(result.meta))
+      .sort((a, b) => b.meta.createdAt - a.meta.createdAt);
+  }
+
+  return {
+    upsert,
+    remove,
+    search,
+    all,
+    async rebuild(products) {
+      postings.clear();
+      documents.clear();
+      products.forEach(({ id, data }) => upsert(id, data));
+    },
+    get size() {
+      return documents.size;
+    },
+  };
+}
+
+const INDEXES = { local: createLocalIndex };
+
+let searchIndex;
+let indexReady;
+// One log per rebuild in progress: productId -> product, or null when it was removed
+const pendingWrites = new Set();
+
+function createSearchIndex() {
+  const name = process.env.SEARCH_INDEX || 'local';
+  if (!INDEXES[name]) {
+    throw new Error(`Unknown SEARCH_INDEX: ${name}`);
+  }
+  return INDEXES[name]();
+}
+
+function getSearchIndex() {
+  if (!searchIndex) searchIndex = createSearchIndex();
+  return searchIndex;
+}
+
+/**
+ * Re-reads every product from Firestore into a new index and swaps it in. Products indexed or removed while
+ * the read was in flight are replayed on top of it, so a change made during a refresh is not lost.
+ */
+async function rebuildSearchIndex() {
+  const writes = new Map();
+  pendingWrites.add(writes);
+  try {
+    const productsSnap = await getDocs(collection(db, 'products'));
+    const rebuilt = createSearchIndex();
+    await rebuilt.rebuild(productsSnap.docs.map(productDoc => ({ id: productDoc.id, data: productDoc.data() })));
+    writes.forEach((product, productId) => (product ? rebuilt.upsert(productId, product) : rebuilt.remove(productId)));
+    searchIndex = rebuilt;
+    return rebuilt.size;
+  } finally {
+    pendingWrites.delete(writes);
+  }
+}
+
+// Builds the index on first use; a failed build is retried by the next search
+function ensureIndexReady() {
+  if (!indexReady) {
+    indexReady = rebuildSearchIndex().catch(err => {
+      indexReady = null;
+      throw err;
+    });
+  }
+  return indexReady;
+}
+
+// Called after a product is created or updated. Writes made before the first build are picked up by it.
+function indexProduct(productId, product) {
+  if (!indexReady) return;
+  pendingWrites.forEach(writes => writes.set(productId, product));
+  getSearchIndex().upsert(productId, product);
+}
+
+function removeProductFromIndex(productId) {
+  if (!indexReady) return;
+  pendingWrites.forEach(writes => writes.set(productId, null));
+  getSearchIndex().remove(productId);
+}
+
+/**
+ * Ranked search. `filters` are { status, statuses, sellerId, categories, minPrice, maxPrice }; unset ones are
+ * ignored. Without `q` every product passing the filters is returned, newest first. Returns [{ id, score, meta }].
+ */
+async function searchProducts(q, { status, statuses = [], sellerId, categories = [], minPrice = null, maxPrice = null } = {}) {
+  await ensureIndexReady();
+  const checks = [];
+  if (status) checks.push(meta => meta.status === status);
+  if (statuses.length) checks.push(meta => statuses.includes(meta.status));
+  if (sellerId) checks.push(meta => meta.sellerId === sellerId);
+  if (categories.length) checks.push(meta => categories.includes(meta.category));
+  if (minPrice !== null) checks.push(meta => meta.price !== null && meta.price >= minPrice);
+  if (maxPrice !== null) checks.push(meta => meta.price !== null && meta.price <= maxPrice);
+  const filter = checks.length ? (meta) => checks.every(check => check(meta)) : null;
+  return q ? getSearchIndex().search(q, { filter }) : getSearchIndex().all({ filter });
+}
+
+function startSearchIndexRefresh(intervalMs = INDEX_REFRESH_INTERVAL_MS) {
+  const timer = setInterval(() => {
+    if (!indexReady) return;
+    rebuildSearchIndex().catch(err => console.error('Search index refresh error:', err.message || err));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  tokenize,
+  editDistance,
+  createLocalIndex,
+  searchProducts,
+  indexProduct,
+  removeProductFromIndex,
+  rebuildSearchIndex,
+  startSearchIndexRefresh,
+};
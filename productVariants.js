@@ -0,0 +1,163 @@
+// Product variants. A product can declare option axes (`options`, e.g. size and colour) and one variant per
+// combination it sells, each with its own SKU, stock, optional price override and images. The product's `price`
+// stays the base price that variants without an override sell at; `priceRange` and the total `stock` are
+// derived from the variants so listings can show them without unpacking the array.
+const crypto = require('crypto');
+
+const MAX_OPTION_AXES = 3;
+const MAX_OPTION_VALUES = 50;
+const MAX_VARIANTS = 100;
+const MAX_NAME_LENGTH = 40;
+
+const newVariantId = () => `var_${crypto.randomBytes(6).toString('hex')}`;
+
+const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0;
+
+// Stable key for an option combination, independent of the order keys were sent in
+const combinationKey = (axes, optionValues) => axes.map(axis => `${axis.name}=${optionValues[axis.name]}`).join('|');
+
+// Default SKU from the option values, e.g. "M-RED"
+const defaultSku = (axes, optionValues) =>
+  axes.map(axis => String(optionValues[axis.name]).toUpperCase().replace(/[^A-Z0-9]+/g, '')).join('-');
+
+/**
+ * Checks option axes ([{ name, values }]). Returns { axes } with names and values trimmed, or { errors }.
+ */
+function normalizeOptions(options) {
+  if (!Array.isArray(options) || !options.length) return { errors: ['options must be a non-empty array when variants are given'] };
+  if (options.length > MAX_OPTION_AXES) return { errors: [`At most ${MAX_OPTION_AXES} option axes are allowed`] };
+
+  const errors = [];
+  const names = new Set();
+  const axes = options.map((option, i) => {
+    const name = typeof option?.name === 'string' ? option.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      errors.push(`Option ${i + 1} needs a name of at most ${MAX_NAME_LENGTH} characters`);
+    } else if (names.has(name.toLowerCase())) {
+      errors.push(`Option ${name} is defined twice`);
+    }
+    names.add(name.toLowerCase());
+
+    const values = Array.isArray(option?.values)
+      ? option.values.map(value => (typeof value === 'string' || typeof value === 'number' ? String(value).trim() : ''))
+      : [];
+    if (!values.length || values.some(value => !value)) {
+      errors.push(`Option ${name || i + 1} needs a non-empty list of values`);
+    } else if (values.length > MAX_OPTION_VALUES) {
+      errors.push(`Option ${name} can have at most ${MAX_OPTION_VALUES} values`);
+    } else if (new Set(values.map(value => value.toLowerCase())).size !== values.length) {
+      errors.push(`Option ${name} lists a value twice`);
+    }
+    return { name, values };
+  });
+  return errors.length ? { errors } : { axes };
+}
+
+/**
+ * Validates and normalizes a product's variants.
+ * Input: { options, variants, price (base), stock (simple products), existingVariants }.
+ * Variants matching an existing option combination keep its id so carts and stock records stay attached.
+ * Returns { ok: true, fields } where `fields` are the product fields to store (options, variants, hasVariants,
+ * stock, priceRange), or { ok: false, errors }.
+ */
+function normalizeVariants({ options, variants, price: basePrice, stock, existingVariants = [] }) {
+  if (variants === undefined || variants === null || (Array.isArray(variants) && !variants.length)) {
+    if (stock !== undefined && stock !== null && !isNonNegativeInteger(stock)) {
+      return { ok: false, errors: ['stock must be a non-negative integer'] };
+    }
+    return {
+      ok: true,
+      fields: {
+        options: [],
+        variants: [],
+        hasVariants: false,
+        stock: stock ?? null,
+        priceRange: { min: basePrice, max: basePrice },
+      },
+    };
+  }
+
+  if (!Array.isArray(variants)) return { ok: false, errors: ['variants must be an array'] };
+  if (variants.length > MAX_VARIANTS) return { ok: false, errors: [`At most ${MAX_VARIANTS} variants are allowed`] };
+
+  const { axes, errors: optionErrors } = normalizeOptions(options);
+  if (optionErrors) return { ok: false, errors: optionErrors };
+
+  const existingByCombination = new Map(
+    existingVariants.filter(variant => variant?.options).map(variant => [combinationKey(axes, variant.options), variant])
+  );
+  const errors = [];
+  const combinations = new Set();
+  const skus = new Set();
+
+  const normalized = variants.map((variant, i) => {
+    const label = `Variant ${i + 1}`;
+    const optionValues = {};
+    axes.forEach(axis => {
+      const raw = variant?.options?.[axis.name];
+      // Values are matched case-insensitively and stored with the option's spelling
+      const value = axis.values.find(allowed => raw !== undefined && allowed.toLowerCase() === String(raw).trim().toLowerCase());
+      if (!value) errors.push(`${label}: ${axis.name} must be one of ${axis.values.join(', ')}`);
+      optionValues[axis.name] = value;
+    });
+    const unknown = Object.keys(variant?.options || {}).filter(name => !axes.some(axis => axis.name === name));
+    if (unknown.length) errors.push(`${label}: unknown options ${unknown.join(', ')}`);
+
+    const key = combinationKey(axes, optionValues);
+    if (combinations.has(key)) errors.push(`${label} repeats the combination ${key}`);
+    combinations.add(key);
+
+    const sku = typeof variant?.sku === 'string' && variant.sku.trim() ? variant.sku.trim() : defaultSku(axes, optionValues);
+    if (skus.has(sku.toLowerCase())) errors.push(`${label}: SKU ${sku} is used twice`);
+    skus.add(sku.toLowerCase());
+
+    if (variant?.price !== undefined && variant.price !== null && (typeof variant.price !== 'number' || variant.price <= 0)) {
+      errors.push(`${label}: price must be a positive number`);
+    }
+    if (!isNonNegativeInteger(variant?.stock)) {
+      errors.push(`${label}: stock must be a non-negative integer`);
+    }
+    if (variant?.imageUrls !== undefined && (!Array.isArray(variant.imageUrls) || variant.imageUrls.some(url => typeof url !== 'string' || !url))) {
+      errors.push(`${label}: imageUrls must be an array of URLs`);
+    }
+
+    const existing = existingByCombination.get(key);
+    return {
+      id: existing?.id || newVariantId(),
+      sku,
+      options: optionValues,
+      price: typeof variant?.price === 'number' ? variant.price : null,
+      stock: variant?.stock,
+      // Held by unfinished checkouts (see inventory.js); not settable by the seller
+      reserved: existing?.reserved || 0,
+      // Last moderator-approved price (see productRevisions.js); not settable by the seller
+      ...(existing && existing.approvedPrice !== undefined && { approvedPrice: existing.approvedPrice }),
+      imageUrls: variant?.imageUrls || [],
+    };
+  });
+  if (errors.length) return { ok: false, errors };
+
+  const prices = normalized.map(variant => variant.price ?? basePrice);
+  return {
+    ok: true,
+    fields: {
+      options: axes,
+      variants: normalized,
+      hasVariants: true,
+      stock: normalized.reduce((total, variant) => total + variant.stock, 0),
+      priceRange: { min: Math.min(...prices), max: Math.max(...prices) },
+    },
+  };
+}
+
+// Price a variant sells at: its override, or the product's base price
+const variantPrice = (product, variant) => variant.price ?? product.price;
+
+const findVariant = (product, variantId) => (product.variants || []).find(variant => variant.id === variantId) || null;
+
+module.exports = {
+  MAX_VARIANTS,
+  normalizeVariants,
+  variantPrice,
+  findVariant,
+};
@@ -0,0 +1,166 @@
+// Sliding-window rate limits for public endpoints, keyed per IP, email, phone and/or signed-in user.
+// Each limit keeps a count for the current and previous fixed window and weights the previous one by how much
+// of it still overlaps the sliding window, so bursts at a window boundary are not let through twice.
+// The store is chosen by RATE_LIMIT_STORE: `memory` (single instance; default outside production) or
+// `firestore` (shared between instances via the `rateLimits` collection; default in production).
+const crypto = require('crypto');
+const { doc, runTransaction } = require('firebase/firestore');
+const { db } = require('./firebaseConfig');
+const { getClientIp } = require('./middleware');
+const { normalizePhone } = require('./otpChannels');
+
+const MEMORY_SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Values each limit dimension is keyed on; a dimension whose value is missing is not checked
+const DIMENSIONS = {
+  ip: (req) => getClientIp(req),
+  email: (req) => (typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : null),
+  phone: (req) => (req.body?.phone ? normalizePhone(req.body.phone) : null),
+  user: (req) => req.user?.uid || null,
+};
+
+/**
+ * Applies one hit to a window state ({ windowStart, current, previous }) without exceeding `max`.
+ * Returns { state, allowed, remaining, retryAfterMs }; `state` is unchanged when the hit is refused.
+ */
+function slide(state, { windowMs, max, now }) {
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+  let { current = 0, previous = 0 } = state || {};
+  if (!state || state.windowStart !== windowStart) {
+    previous = state && state.windowStart === windowStart - windowMs ? state.current : 0;
+    current = 0;
+  }
+
+  const elapsed = now - windowStart;
+  const weight = 1 - elapsed / windowMs;
+  const estimate = previous * weight + current;
+  if (estimate + 1 > max) {
+    // Time until the weighted count drops far enough for one more request
+    let retryAfterMs;
+    if (current + 1 > max) {
+      retryAfterMs = (windowMs - elapsed) + Math.max(0, windowMs * (1 - (max - 1) / Math.max(current, 1)));
+    } else {
+      retryAfterMs = Math.max(0, windowMs * (1 - (max - 1 - current) / previous) - elapsed);
+    }
+    return { state, allowed: false, remaining: 0, retryAfterMs: Math.max(1000, Math.ceil(retryAfterMs)) };
+  }
+
+  return {
+    state: { windowStart, current: current + 1, previous },
+    allowed: true,
+    remaining: Math.max(0, Math.floor(max - estimate - 1)),
+    retryAfterMs: 0,
+  };
+}
+
+function createMemoryStore() {
+  const entries = new Map();
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.windowStart + 2 * entry.windowMs <= now) entries.delete(key);
+    }
+  }, MEMORY_SWEEP_INTERVAL_MS);
+  sweep.unref();
+
+  return {
+    async hit(key, { windowMs, max }) {
+      const result = slide(entries.get(key), { windowMs, max, now: Date.now() });
+      if (result.allowed) entries.set(key, { ...result.state, windowMs });
+      return result;
+    },
+  };
+}
+
+function createFirestoreStore() {
+  return {
+    async hit(key, { windowMs, max }) {
+      // Keys contain emails and IPs; the document id only holds their hash
+      const ref = doc(db, 'rateLimits', crypto.createHash('sha256').update(key).digest('hex'));
+      return runTransaction(db, async (tx) => {
+        const snap = await tx.get(ref);
+        const result = slide(snap.exists() ? snap.data() : null, { windowMs, max, now: Date.now() });
+        if (result.allowed) {
+          tx.set(ref, { ...result.state, expiresAt: new Date(result.state.windowStart + 2 * windowMs) });
+        }
+        return result;
+      });
+    },
+  };
+}
+
+// RATE_LIMIT_<NAME>_<DIMENSION>=<max>/<windowSeconds> overrides a limit, e.g. RATE_LIMIT_SEND_OTP_EMAIL=3/900
+function limitFromEnv(name, dimension, fallback) {
+  const value = process.env[`RATE_LIMIT_${name}_${dimension}`.toUpperCase().replace(/[^A-Z0-9]/g, '_')];
+  const match = /^(\d+)\/(\d+)$/.exec(value || '');
+  return match ? { max: Number(match[1]), windowMs: Number(match[2]) * 1000 } : fallback;
+}
+
+const STORES = { memory: createMemoryStore, firestore: createFirestoreStore };
+
+let defaultStore;
+function getDefaultStore() {
+  if (!defaultStore) {
+    const name = process.env.RATE_LIMIT_STORE || (process.env.NODE_ENV === 'production' ? 'firestore' : 'memory');
+    if (!STORES[name]) {
+      throw new Error(`Unknown RATE_LIMIT_STORE: ${name}`);
+    }
+    defaultStore = STORES[name]();
+  }
+  return defaultStore;
+}
+
+/**
+ * Express middleware enforcing `limits` for the endpoint `name`, e.g.
+ *   rateLimit('send-otp', { ip: { max: 20, windowMs: 15 * 60 * 1000 }, email: { max: 5, windowMs: 15 * 60 * 1000 } })
+ * Dimensions are ip, email, phone and user (put it after optionalAuth/authenticateFirebaseToken for `user`).
+ * Each limit can be overridden without a deploy through RATE_LIMIT_<NAME>_<DIMENSION>.
+ * Refused requests get 429 with Retry-After. If the store is unreachable the request is let through.
+ */
+function rateLimit(name, limits, { store } = {}) {
+  const dimensions = Object.keys(limits);
+  const resolved = {};
+  for (const dimension of dimensions) {
+    if (!DIMENSIONS[dimension]) {
+      throw new Error(`Unknown rate limit dimension: ${dimension}`);
+    }
+    resolved[dimension] = limitFromEnv(name, dimension, limits[dimension]);
+  }
+
+  return async (req, res, next) => {
+    try {
+      const activeStore = store || getDefaultStore();
+      let retryAfterMs = 0;
+      for (const dimension of dimensions) {
+        const value = DIMENSIONS[dimension](req);
+        if (!value) continue;
+        const result = await activeStore.hit(`${name}:${dimension}:${value}`, resolved[dimension]);
+        if (!result.allowed) {
+          retryAfterMs = result.retryAfterMs;
+          break;
+        }
+      }
+
+      if (retryAfterMs > 0) {
+        const retryAfter = Math.ceil(retryAfterMs / 1000);
+        console.log(`Rate limit hit on ${name} from ${getClientIp(req)}; retry after ${retryAfter}s`);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          error: 'Too many requests',
+          details: `Please try again in ${retryAfter} seconds`,
+          retryAfter,
+        });
+      }
+      next();
+    } catch (error) {
+      console.error(`Rate limiter error on ${name}:`, error.message || error);
+      next();
+    }
+  };
+}
+
+module.exports = {
+  rateLimit,
+  createMemoryStore,
+  createFirestoreStore,
+};
@@ -0,0 +1,186 @@
+// Role-based access control for admin staff.
+// Roles and their permissions live in Firestore (`roles/{roleId}`) so new staff can be
+// granted access without a code change. DEFAULT_ROLES is used when a role document is missing.
+const { collection, query, where, getDocs, doc, getDoc } = require('firebase/firestore');
+const { db } = require('./firebaseConfig');
+
+const PERMISSIONS = [
+  'dashboard:view',
+  'payouts:approve',
+  'payouts:reject',
+  'transactions:delete',
+  'wallets:credit',
+  'bank:manage',
+  'proSellers:read',
+  'proSellers:approve',
+  'users:read',
+  'users:suspend',
+  'users:delete',
+  'users:impersonate',
+  'users:erase',
+  'sessions:revoke',
+  'catalog:manage',
+  'products:moderate',
+  'roles:manage',
+  'admins:invite',
+  'audit:read',
+];
+
+const DEFAULT_ROLES = {
+  super_admin: ['*'],
+  finance: ['dashboard:view', 'payouts:approve', 'payouts:reject', 'transactions:delete', 'wallets:credit', 'bank:manage', 'audit:read'],
+  moderator: ['dashboard:view', 'proSellers:read', 'proSellers:approve', 'users:read', 'users:suspend', 'sessions:revoke', 'catalog:manage', 'products:moderate'],
+  support: ['dashboard:view', 'proSellers:read', 'users:read', 'users:impersonate', 'sessions:revoke'],
+  logistics: ['dashboard:view'],
+};
+
+const ROLE_CACHE_TTL_MS = 60 * 1000;
+const roleCache = new Map();
+
+const normalizeEmail = (email) => (email || '').trim().toLowerCase();
+
+// Emails allowed to act as super_admin before any `admins` record exists (comma separated).
+// Only meant for bootstrapping the first admin; everyone else is managed in Firestore.
+const bootstrapSuperAdmins = () =>
+  (process.env.SUPER_ADMIN_EMAILS || '')
+    .split(',')
+    .map(normalizeEmail)
+    .filter(Boolean);
+
+/**
+ * Returns the permission list for a role, reading `roles/{roleId}` and falling back to DEFAULT_ROLES.
+ * Results are cached briefly so every admin request does not hit Firestore.
+ */
+async function getRolePermissions(roleId) {
+  if (!roleId) return [];
+  const cached = roleCache.get(roleId);
+  if (cached && cached.expiresAt > Date.now()) return cached.permissions;
+
+  let permissions = DEFAULT_ROLES[roleId] || [];
+  const roleSnap = await getDoc(doc(db, 'roles', roleId));
+  if (roleSnap.exists() && Array.isArray(roleSnap.data().permissions)) {
+    permissions = roleSnap.data().permissions;
+  }
+
+  roleCache.set(roleId, { permissions, expiresAt: Date.now() + ROLE_CACHE_TTL_MS });
+  return permissions;
+}
+
+const clearRoleCache = (roleId) => {
+  if (roleId) roleCache.delete(roleId);
+  else roleCache.clear();
+};
+
+const isKnownRole = async (roleId) => {
+  if (DEFAULT_ROLES[roleId]) return true;
+  const roleSnap = await getDoc(doc(db, 'roles', roleId));
+  return roleSnap.exists();
+};
+
+/**
+ * Looks up the `admins` record for a user, by uid first and then by email. Matching by email (including
+ * SUPER_ADMIN_EMAILS) only happens when `emailVerified` is set, since anyone can sign up with an unverified
+ * address. Returns { id, role, ...data } or null when the user is not an admin.
+ */
+async function findAdminRecord({ uid, email, emailVerified = false }) {
+  if (uid) {
+    const adminSnap = await getDoc(doc(db, 'admins', uid));
+    if (adminSnap.exists()) return { id: adminSnap.id, ...adminSnap.data() };
+  }
+
+  const normalized = emailVerified ? normalizeEmail(email) : '';
+  if (normalized) {
+    // Older records were saved with the email as typed, so match both spellings
+    const candidates = [...new Set([email, normalized])];
+    const adminQ = query(collection(db, 'admins'), where('email', 'in', candidates));
+    const adminSnapshot = await getDocs(adminQ);
+    if (!adminSnapshot.empty) {
+      const adminDoc = adminSnapshot.docs[0];
+      return { id: adminDoc.id, ...adminDoc.data() };
+    }
+
+    if (bootstrapSuperAdmins().includes(normalized)) {
+      return { id: uid || normalized, email: normalized, role: 'super_admin', bootstrap: true };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Resolves the admin context for a user: { role, permissions, record } or null. Pass `emailVerified` from the
+ * Firebase user so an email match counts (see findAdminRecord).
+ * A record without a `role` grants nothing until one is assigned, except for SUPER_ADMIN_EMAILS (verified email
+ * only) so the bootstrap admin can still get in to assign roles.
+ */
+async function resolveAdmin({ uid, email, emailVerified = false }) {
+  const record = await findAdminRecord({ uid, email, emailVerified });
+  if (!record || record.active === false) return null;
+
+  let { role } = record;
+  if (!role) {
+    if (!emailVerified || !bootstrapSuperAdmins().includes(normalizeEmail(record.email || email))) {
+      console.warn(`Admin ${record.email || record.id} has no role assigned; access denied.`);
+      return null;
+    }
+    role = 'super_admin';
+  }
+  const permissions = await getRolePermissions(role);
+  return { role, permissions, record };
+}
+
+const hasPermission = (permissions, permission) =>
+  Array.isArray(permissions) && (permissions.includes('*') || permissions.includes(permission));
+
+const isFullAccess = (permissions) => Array.isArray(permissions) && permissions.includes('*');
+
+/**
+ * Whether `admin` (req.admin) may hand out `roleId`, by assigning or inviting. Roles carrying '*' can only
+ * be handed out by an admin who already has '*', so roles:manage or admins:invite cannot become full access.
+ */
+async function canGrantRole(admin, roleId) {
+  return isFullAccess(admin?.permissions) || !isFullAccess(await getRolePermissions(roleId));
+}
+
+/**
+ * Whether `admin` (req.admin) may act on another user's account (suspend, delete, sign out). Staff
+ * accounts can only be acted on by an admin with '*', so a moderator cannot lock out a super_admin.
+ */
+async function canActOnUser(admin, { uid, email }) {
+  if (isFullAccess(admin?.permissions)) return true;
+  // Any email match counts here: erring towards "staff" only makes the check stricter
+  return !(await resolveAdmin({ uid, email, emailVerified: true }));
+}
+
+/**
+ * Middleware factory: authorize('payouts:approve') lets the request through only when the
+ * admin resolved by verifyAndCheckAdmin holds every listed permission.
+ */
+function authorize(...required) {
+  return (req, res, next) => {
+    if (!req.admin) {
+      return res.status(401).json({ error: 'Unauthorized: Admin authentication required' });
+    }
+    const missing = required.filter((permission) => !hasPermission(req.admin.permissions, permission));
+    if (missing.length > 0) {
+      return res.status(403).json({ error: 'Forbidden: Missing permission', details: missing.join(', ') });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLES,
+  normalizeEmail,
+  getRolePermissions,
+  clearRoleCache,
+  isKnownRole,
+  findAdminRecord,
+  resolveAdmin,
+  hasPermission,
+  isFullAccess,
+  canGrantRole,
+  canActOnUser,
+  authorize,
+};
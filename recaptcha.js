@@ -0,0 +1,116 @@
+// Server-side reCAPTCHA v3 enforcement. The client runs grecaptcha.execute(siteKey, { action }) and sends the
+// token in the x-recaptcha-token header (or `recaptchaToken` in the body); requireRecaptcha() checks it with
+// Google's siteverify before the route runs, instead of trusting the client to act on the score.
+const axios = require('axios');
+const { getClientIp } = require('./middleware');
+
+const SITEVERIFY_URL = 'https://www.google.com/recaptcha/api/siteverify';
+const DEFAULT_MIN_SCORE = 0.5;
+
+// Google's published test secret: every token passes, with hostname testkey.google.com and no score or action.
+// Setting RECAPTCHA_SECRET_KEY to it lets the protected routes run locally; it is refused in production.
+const TEST_SECRET_KEY = '6LeIxAcTAAAAAGG-vFI1TnRWxMZNFuojJ4WifJWe';
+
+const isTestMode = () => process.env.RECAPTCHA_SECRET_KEY === TEST_SECRET_KEY;
+
+// RECAPTCHA_HOSTNAMES (comma separated) or, failing that, the host of DOMAIN
+function allowedHostnames() {
+  if (process.env.RECAPTCHA_HOSTNAMES) {
+    return process.env.RECAPTCHA_HOSTNAMES.split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+  }
+  try {
+    return process.env.DOMAIN ? [new URL(process.env.DOMAIN).hostname.toLowerCase()] : [];
+  } catch {
+    return [];
+  }
+}
+
+// RECAPTCHA_MIN_SCORE_<ACTION>, e.g. RECAPTCHA_MIN_SCORE_PASSWORD_RESET=0.7, overrides a route's threshold
+function minScoreFor(action, fallback) {
+  const value = Number(process.env[`RECAPTCHA_MIN_SCORE_${action.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+// Raw siteverify response: { success, score, action, hostname, challenge_ts, 'error-codes' }
+async function verifyRecaptchaToken(token, remoteip) {
+  const params = { secret: process.env.RECAPTCHA_SECRET_KEY, response: token };
+  if (remoteip) params.remoteip = remoteip;
+  const response = await axios.post(SITEVERIFY_URL, new URLSearchParams(params), {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    timeout: 10000,
+  });
+  return response.data;
+}
+
+/**
+ * Checks a siteverify response against the expected action, hostname and minimum score.
+ * Returns null when it passes, otherwise the reason it failed.
+ */
+function assessRecaptcha(result, { action, minScore = DEFAULT_MIN_SCORE }) {
+  if (!result.success) {
+    return `Token rejected (${(result['error-codes'] || []).join(', ') || 'unknown error'})`;
+  }
+  if (isTestMode()) return null;
+
+  if (action && result.action !== action) {
+    return `Unexpected action "${result.action}"`;
+  }
+  const hostnames = allowedHostnames();
+  if (hostnames.length && !hostnames.includes(String(result.hostname).toLowerCase())) {
+    return `Unexpected hostname "${result.hostname}"`;
+  }
+  if (typeof result.score === 'number' && result.score < minScore) {
+    return `Score ${result.score} is below ${minScore}`;
+  }
+  return null;
+}
+
+/**
+ * Middleware requiring a valid reCAPTCHA v3 token for `action` with at least `minScore`.
+ * `skip(req)` can exempt requests, e.g. ones that are already authenticated.
+ */
+function requireRecaptcha({ action, minScore = DEFAULT_MIN_SCORE, skip } = {}) {
+  if (!action) {
+    throw new Error('requireRecaptcha needs an action');
+  }
+  const threshold = minScoreFor(action, minScore);
+
+  return async (req, res, next) => {
+    if (skip && skip(req)) return next();
+
+    if (!process.env.RECAPTCHA_SECRET_KEY) {
+      console.error('RECAPTCHA_SECRET_KEY missing');
+      return res.status(503).json({ error: 'reCAPTCHA is not configured', details: 'Set RECAPTCHA_SECRET_KEY' });
+    }
+    if (isTestMode() && process.env.NODE_ENV === 'production') {
+      console.error('The reCAPTCHA test secret cannot be used in production');
+      return res.status(503).json({ error: 'reCAPTCHA is not configured', details: 'The test secret is not allowed in production' });
+    }
+
+    const token = req.headers['x-recaptcha-token'] || req.body?.recaptchaToken;
+    if (!token) {
+      return res.status(400).json({ error: 'reCAPTCHA token is required', details: 'Send it in the x-recaptcha-token header' });
+    }
+
+    try {
+      const result = await verifyRecaptchaToken(token, getClientIp(req));
+      const failure = assessRecaptcha(result, { action, minScore: threshold });
+      if (failure) {
+        console.log(`reCAPTCHA rejected for ${action} from ${getClientIp(req)}: ${failure}`);
+        return res.status(403).json({ error: 'reCAPTCHA verification failed', details: failure });
+      }
+      req.recaptcha = { action: result.action || action, score: result.score ?? null };
+      next();
+    } catch (error) {
+      console.error('reCAPTCHA error:', error.message, error.response?.data);
+      res.status(502).json({ error: 'Failed to verify reCAPTCHA', details: error.message });
+    }
+  };
+}
+
+module.exports = {
+  TEST_SECRET_KEY,
+  verifyRecaptchaToken,
+  assessRecaptcha,
+  requireRecaptcha,
+};
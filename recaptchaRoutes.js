@@ -1,5 +1,6 @@
 const express = require('express');
-const axios = require('axios');
+const { rateLimit } = require('./rateLimiter');
+const { verifyRecaptchaToken, assessRecaptcha } = require('./recaptcha');
 const router = express.Router();
 
 /**
@@ -22,6 +23,10 @@ const router = express.Router();
  *                 type: string
  *                 description: reCAPTCHA token from client-side
  *                 example: "03AFcWeA6r..."
+ *               action:
+ *                 type: string
+ *                 description: Optional expected action name; the token's action and hostname are then checked too
+ *                 example: "login"
  *     responses:
  *       200:
  *         description: reCAPTCHA verification successful
@@ -71,11 +76,13 @@ const router = express.Router();
  *                 details:
  *                   type: string
  *                   description: Error details
+ *       429:
+ *         description: Too many requests; retry after the number of seconds in the Retry-After header
  */
 // /verify-recaptcha endpoint
-router.post('/verify-recaptcha', async (req, res) => {
+router.post('/verify-recaptcha', rateLimit('verify-recaptcha', { ip: { max: 30, windowMs: 60 * 1000 } }), async (req, res) => {
   console.log('reCAPTCHA request:', req.body);
-  const { token } = req.body;
+  const { token, action } = req.body;
   if (!token) {
     console.error('No reCAPTCHA token provided');
     return res.status(400).json({ success: false, error: 'No reCAPTCHA token provided' });
@@ -85,19 +92,17 @@ router.post('/verify-recaptcha', async (req, res) => {
     return res.status(500).json({ success: false, error: 'Server configuration error' });
   }
   try {
-    const response = await axios.post(
-      'https://www.google.com/recaptcha/api/siteverify',
-      new URLSearchParams({
-        secret: process.env.RECAPTCHA_SECRET_KEY,
-        response: token,
-      }),
-      { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } }
-    );
-    console.log('Google response:', response.data);
-    if (response.data.success) {
-      return res.json({ success: true, score: response.data.score });
+    const result = await verifyRecaptchaToken(token);
+    console.log('Google response:', result);
+    if (!result.success) {
+      return res.status(400).json({ success: false, error: 'reCAPTCHA verification failed', details: result['error-codes'] || [] });
+    }
+    // With an action, also check the action name and hostname (the score is still only reported)
+    const failure = action ? assessRecaptcha(result, { action, minScore: 0 }) : null;
+    if (failure) {
+      return res.status(400).json({ success: false, error: 'reCAPTCHA verification failed', details: [failure] });
     }
-    return res.status(400).json({ success: false, error: 'reCAPTCHA verification failed', details: response.data['error-codes'] || [] });
+    return res.json({ success: true, score: result.score });
   } catch (error) {
     console.error('reCAPTCHA error:', error.message, error.response?.data);
     return res.status(500).json({ success: false, error: 'Server error', details: error.message });
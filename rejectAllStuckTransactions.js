@@ -1,5 +1,6 @@
 const { db } = require('./firebaseConfig');
-const { collection, query, where, getDocs, updateDoc, addDoc, serverTimestamp } = require('firebase/firestore');
+const { collection, query, where, getDocs, updateDoc, addDoc, doc, getDoc, serverTimestamp } = require('firebase/firestore');
+const { expireWithdrawal } = require('./withdrawalService');
 
 async function rejectAllStuckTransactions() {
   try {
@@ -24,6 +25,17 @@ async function rejectAllStuckTransactions() {
       const transactionData = docSnapshot.data();
       const { sellerId, amount } = transactionData;
 
+      // Withdrawals from the current OTP flow carry otpExpiresAt: leave live ones alone and
+      // expire stale ones so their held funds return to the available balance
+      if (transactionData.otpExpiresAt) {
+        if (transactionData.otpExpiresAt.toDate() > new Date()) {
+          console.log(`Skipping transaction ${transactionId}: still awaiting OTP confirmation`);
+        } else if (await expireWithdrawal(transactionId)) {
+          console.log(`Expired transaction ${transactionId} and released held funds`);
+        }
+        continue;
+      }
+
       // Reject the transaction
       const transactionRef = docSnapshot.ref;
       await updateDoc(transactionRef, {
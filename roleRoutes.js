@@ -0,0 +1,316 @@
+const express = require('express');
+const { db } = require('./firebaseConfig');
+const { collection, doc, getDoc, getDocs, setDoc, updateDoc, serverTimestamp } = require('firebase/firestore');
+const { verifyAndCheckAdmin } = require('./verifyAndCheckAdmin');
+const { recordAudit } = require('./auditLog');
+const {
+  authorize, PERMISSIONS, DEFAULT_ROLES, clearRoleCache, isKnownRole, normalizeEmail, getRolePermissions, isFullAccess,
+  canGrantRole,
+} = require('./rbac');
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/admin/roles:
+ *   get:
+ *     summary: List admin roles
+ *     description: Returns every role with its permissions (Firestore overrides merged over the built-in defaults)
+ *     tags: [Admin Access]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles retrieved successfully
+ *       403:
+ *         description: Missing roles:manage permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/api/admin/roles', verifyAndCheckAdmin, authorize('roles:manage'), async (req, res) => {
+  try {
+    const roles = Object.entries(DEFAULT_ROLES).reduce((acc, [roleId, permissions]) => {
+      acc[roleId] = { roleId, permissions, isDefault: true };
+      return acc;
+    }, {});
+
+    const rolesSnap = await getDocs(collection(db, 'roles'));
+    rolesSnap.forEach(roleDoc => {
+      roles[roleDoc.id] = { roleId: roleDoc.id, ...roleDoc.data(), isDefault: false };
+    });
+
+    res.json({ status: 'success', roles: Object.values(roles), permissions: PERMISSIONS });
+  } catch (error) {
+    console.error('List roles error:', error);
+    res.status(500).json({ error: 'Failed to list roles', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/roles/{roleId}:
+ *   put:
+ *     summary: Create or update a role
+ *     description: Stores the permission list for a role in Firestore. Use "*" to grant every permission (only admins who already have "*" can).
+ *     tags: [Admin Access]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "moderator"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - permissions
+ *             properties:
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["dashboard:view", "proSellers:approve"]
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Role saved
+ *       400:
+ *         description: Invalid permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Granting "*" or changing a role that has it needs full access
+ */
+router.put('/api/admin/roles/:roleId', verifyAndCheckAdmin, authorize('roles:manage'), async (req, res) => {
+  try {
+    const { roleId } = req.params;
+    const { permissions, description } = req.body;
+
+    if (!/^[a-z][a-z0-9_]{1,39}$/.test(roleId)) {
+      return res.status(400).json({ error: 'Role id must be lowercase letters, digits or underscores' });
+    }
+    if (roleId === 'super_admin') {
+      return res.status(400).json({ error: 'The super_admin role cannot be modified' });
+    }
+    if (!Array.isArray(permissions)) {
+      return res.status(400).json({ error: 'permissions must be an array' });
+    }
+    const unknown = permissions.filter(p => p !== '*' && !PERMISSIONS.includes(p));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: 'Unknown permissions', details: unknown.join(', ') });
+    }
+    // Only an admin with full access can create, change or remove full access
+    if (!isFullAccess(req.admin.permissions) && (isFullAccess(permissions) || isFullAccess(await getRolePermissions(roleId)))) {
+      return res.status(403).json({ error: 'Forbidden: Only a full-access admin can grant or change full access' });
+    }
+
+    const roleRef = doc(db, 'roles', roleId);
+    const roleSnap = await getDoc(roleRef);
+    const before = roleSnap.exists() ? roleSnap.data() : { permissions: DEFAULT_ROLES[roleId] || [] };
+
+    await setDoc(roleRef, {
+      permissions,
+      description: description || '',
+      updatedBy: req.user.uid,
+      updatedAt: serverTimestamp(),
+    }, { merge: true });
+    clearRoleCache(roleId);
+    await recordAudit(req, {
+      action: 'role.update',
+      targetType: 'role',
+      targetId: roleId,
+      before,
+      after: { ...before, permissions, description: description || '' },
+    });
+
+    res.json({ status: 'success', message: `Role ${roleId} saved`, roleId, permissions });
+  } catch (error) {
+    console.error('Save role error:', error);
+    res.status(500).json({ error: 'Failed to save role', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/admins:
+ *   get:
+ *     summary: List admin staff
+ *     tags: [Admin Access]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Admin records retrieved successfully
+ */
+router.get('/api/admin/admins', verifyAndCheckAdmin, authorize('roles:manage'), async (req, res) => {
+  try {
+    const adminsSnap = await getDocs(collection(db, 'admins'));
+    const admins = adminsSnap.docs.map(adminDoc => ({ uid: adminDoc.id, ...adminDoc.data() }));
+    res.json({ status: 'success', admins });
+  } catch (error) {
+    console.error('List admins error:', error);
+    res.status(500).json({ error: 'Failed to list admins', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/admins/{uid}:
+ *   put:
+ *     summary: Assign a role to a staff member
+ *     description: Creates or updates the `admins` record for a Firebase user
+ *     tags: [Admin Access]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uid
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 example: "finance"
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Admin saved
+ *       400:
+ *         description: Unknown role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Assigning a full-access role, or changing a full-access admin, needs full access
+ */
+router.put('/api/admin/admins/:uid', verifyAndCheckAdmin, authorize('roles:manage'), async (req, res) => {
+  try {
+    const { uid } = req.params;
+    const { role, email, active } = req.body;
+
+    if (!role || !(await isKnownRole(role))) {
+      return res.status(400).json({ error: 'A valid role is required' });
+    }
+    if (uid === req.user.uid && role !== req.admin.role) {
+      return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+    if (!(await canGrantRole(req.admin, role))) {
+      return res.status(403).json({ error: 'Forbidden: Only a full-access admin can assign this role' });
+    }
+
+    const adminRef = doc(db, 'admins', uid);
+    const adminSnap = await getDoc(adminRef);
+    if (!adminSnap.exists() && !email) {
+      return res.status(400).json({ error: 'Email is required when adding a new admin' });
+    }
+    if (adminSnap.exists() && !(await canGrantRole(req.admin, adminSnap.data().role))) {
+      return res.status(403).json({ error: 'Forbidden: Only a full-access admin can change a full-access admin' });
+    }
+
+    const data = {
+      role,
+      active: active !== false,
+      updatedBy: req.user.uid,
+      updatedAt: serverTimestamp(),
+    };
+    if (email) data.email = normalizeEmail(email);
+    if (!adminSnap.exists()) data.createdAt = serverTimestamp();
+
+    await setDoc(adminRef, data, { merge: true });
+    const before = adminSnap.exists() ? adminSnap.data() : null;
+    await recordAudit(req, {
+      action: 'admin.update',
+      targetType: 'admin',
+      targetId: uid,
+      before,
+      after: { ...(before || {}), ...data },
+    });
+    res.json({ status: 'success', message: `Admin ${uid} saved with role ${role}` });
+  } catch (error) {
+    console.error('Save admin error:', error);
+    res.status(500).json({ error: 'Failed to save admin', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/admins/{uid}:
+ *   delete:
+ *     summary: Revoke a staff member's admin access
+ *     description: Deactivates the `admins` record; the record is kept for history
+ *     tags: [Admin Access]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uid
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Admin access revoked
+ *       404:
+ *         description: Admin not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/api/admin/admins/:uid', verifyAndCheckAdmin, authorize('roles:manage'), async (req, res) => {
+  try {
+    const { uid } = req.params;
+    if (uid === req.user.uid) {
+      return res.status(400).json({ error: 'You cannot revoke your own admin access' });
+    }
+
+    const adminRef = doc(db, 'admins', uid);
+    const adminSnap = await getDoc(adminRef);
+    if (!adminSnap.exists()) {
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+
+    await updateDoc(adminRef, {
+      active: false,
+      updatedBy: req.user.uid,
+      updatedAt: serverTimestamp(),
+    });
+    await recordAudit(req, {
+      action: 'admin.revoke',
+      targetType: 'admin',
+      targetId: uid,
+      before: adminSnap.data(),
+      after: { ...adminSnap.data(), active: false },
+    });
+    res.json({ status: 'success', message: `Admin access revoked for ${uid}` });
+  } catch (error) {
+    console.error('Revoke admin error:', error);
+    res.status(500).json({ error: 'Failed to revoke admin', details: error.message });
+  }
+});
+
+module.exports = router;
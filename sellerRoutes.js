@@ -3,6 +3,11 @@ const { db } = require('./firebaseConfig');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const axios = require('axios');
 const { doc, getDoc, setDoc, serverTimestamp, updateDoc, addDoc, collection, increment, deleteDoc } = require('firebase/firestore');
+const { authenticateFirebaseToken, requireOtpVerification, requireTotpStepUp } = require('./middleware');
+const { verifyAndCheckAdmin } = require('./verifyAndCheckAdmin');
+const { authorize } = require('./rbac');
+const { recordAudit } = require('./auditLog');
+const { WITHDRAWAL_OTP_PURPOSE, sendWithdrawalOtp, holdWithdrawal, confirmWithdrawal } = require('./withdrawalService');
 const router = express.Router();
 
 router.post('/onboard-seller', async (req, res) => {
@@ -146,7 +151,7 @@ router.post('/onboard-seller', async (req, res) => {
   }
 });
 
-router.post('/complete-purchase', async (req, res) => {
+router.post('/complete-purchase', verifyAndCheckAdmin, authorize('wallets:credit'), async (req, res) => {
   try {
     const { sellerId, amount, productPrice } = req.body;
     if (!sellerId || !amount || !productPrice) {
@@ -168,8 +173,15 @@ router.post('/complete-purchase', async (req, res) => {
       amount: sellerEarnings,
       fees,
       status: 'Completed',
+      creditedBy: req.user.uid,
       createdAt: serverTimestamp(),
     });
+    await recordAudit(req, {
+      action: 'wallet.credit',
+      targetType: 'wallet',
+      targetId: sellerId,
+      metadata: { amount: sellerEarnings, fees },
+    });
 
     res.json({ status: 'success', message: 'Purchase completed, seller credited to available balance' });
   } catch (error) {
@@ -178,12 +190,15 @@ router.post('/complete-purchase', async (req, res) => {
   }
 });
 
-router.post('/initiate-seller-payout', async (req, res) => {
+router.post('/initiate-seller-payout', authenticateFirebaseToken, async (req, res) => {
   try {
     const { sellerId, amount, accountDetails } = req.body;
     if (!sellerId || !amount || amount <= 0) {
       return res.status(400).json({ error: 'Missing sellerId or invalid amount', details: { sellerId, amount } });
     }
+    if (sellerId !== req.user.uid) {
+      return res.status(403).json({ error: 'You can only request payouts from your own wallet' });
+    }
 
     const walletRef = doc(db, 'wallets', sellerId);
     const walletSnap = await getDoc(walletRef);
@@ -202,40 +217,38 @@ router.post('/initiate-seller-payout', async (req, res) => {
     }
     const seller = sellerSnap.data();
 
-    // NEW: Deduct from available, add to pendingWithdrawals on request
-    await updateDoc(walletRef, {
-      availableBalance: increment(-amount),
-      pendingWithdrawals: increment(amount),
-      updatedAt: serverTimestamp(),
-    });
+    // Email the confirmation code first so a resend cooldown does not leave funds on hold
+    const otpResult = await sendWithdrawalOtp({ uid: req.user.uid, email: req.user.email });
+    if (!otpResult.ok) {
+      if (otpResult.retryAfter) res.set('Retry-After', String(otpResult.retryAfter));
+      return res.status(otpResult.status).json({ error: otpResult.error, retryAfter: otpResult.retryAfter });
+    }
 
+    // Deduct from available and add to pendingWithdrawals; the balance is re-checked inside the hold
     const transactionReference = `TXN_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    const transactionDoc = await addDoc(collection(db, 'transactions'), {
-      sellerId,
-      type: 'Withdrawal',
-      description: `Withdrawal request for ${transactionReference} - Awaiting Admin Approval`,
-      amount,
-      date: new Date().toISOString().split('T')[0],
-      status: 'Pending',
-      createdAt: serverTimestamp(),
-      reference: transactionReference,
-      country: seller.country,
-      paystackRecipientCode: seller.paystackRecipientCode,
-      bankName: accountDetails?.bankName || seller.bankName || 'N/A',
-      accountNumber: accountDetails?.accountNumber || seller.accountNumber || 'N/A',
-    });
-
-    await addDoc(collection(db, 'notifications'), {
-      type: 'payout_request',
-      message: `New payout request of ₦${amount.toFixed(2)} from seller ${sellerId}`,
-      createdAt: new Date(),
-      details: { transactionId: transactionDoc.id, sellerId },
+    const hold = await holdWithdrawal(sellerId, amount, {
+      holdField: 'pendingWithdrawals',
+      transaction: {
+        sellerId,
+        description: `Withdrawal request for ${transactionReference} - Awaiting OTP Confirmation`,
+        date: new Date().toISOString().split('T')[0],
+        reference: transactionReference,
+        country: seller.country,
+        paystackRecipientCode: seller.paystackRecipientCode,
+        requestedBy: req.user.uid,
+        bankName: accountDetails?.bankName || seller.bankName || 'N/A',
+        accountNumber: accountDetails?.accountNumber || seller.accountNumber || 'N/A',
+      },
     });
+    if (!hold.ok) {
+      return res.status(hold.status).json({ error: hold.error, details: hold.details });
+    }
 
     res.json({
       status: 'success',
-      transactionId: transactionDoc.id,
-      message: 'Withdrawal request submitted, awaiting admin approval',
+      transactionId: hold.transactionId,
+      transactionStatus: 'pending_otp',
+      message: `Withdrawal request created. Enter the code sent to ${otpResult.email} to confirm it.`,
     });
   } catch (error) {
     console.error('Payout initiation error:', error.message, { sellerId: req.body.sellerId, amount: req.body.amount });
@@ -243,7 +256,75 @@ router.post('/initiate-seller-payout', async (req, res) => {
   }
 });
 
-router.post('/approve-payout', async (req, res) => {
+/**
+ * @swagger
+ * /confirm-seller-payout:
+ *   post:
+ *     summary: Confirm a withdrawal with an OTP
+ *     description: |
+ *       Moves a `pending_otp` withdrawal to `Pending` (awaiting admin approval). Verify the emailed code with
+ *       POST /verify-otp (purpose `payout_confirmation`) and send the returned token in the `x-otp-token` header.
+ *       Works for both seller and pro seller withdrawals.
+ *     tags: [Seller Management]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: x-otp-token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - transactionId
+ *             properties:
+ *               transactionId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Withdrawal confirmed and awaiting admin approval
+ *       400:
+ *         description: Withdrawal is not awaiting confirmation or its window has expired
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing or invalid OTP verification, or not your withdrawal
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/confirm-seller-payout', authenticateFirebaseToken, requireOtpVerification(WITHDRAWAL_OTP_PURPOSE), async (req, res) => {
+  try {
+    const { transactionId } = req.body;
+    if (!transactionId) {
+      return res.status(400).json({ error: 'Missing transactionId' });
+    }
+
+    const result = await confirmWithdrawal(transactionId, req.user.uid);
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error, details: result.details });
+    }
+
+    res.json({
+      status: 'success',
+      transactionId,
+      message: 'Withdrawal request confirmed, awaiting admin approval',
+    });
+  } catch (error) {
+    console.error('Payout confirmation error:', error.message, { transactionId: req.body.transactionId });
+    res.status(500).json({ error: 'Failed to confirm payout', details: error.message });
+  }
+});
+
+router.post('/approve-payout', verifyAndCheckAdmin, authorize('payouts:approve'), requireTotpStepUp(), async (req, res) => {
   try {
     console.log('=== Approve Payout Request ===', req.body);
     const { transactionId, sellerId, amount } = req.body;
@@ -352,8 +433,18 @@ router.post('/approve-payout', async (req, res) => {
         await updateDoc(transactionRef, {
           status: 'Approved',
           transferReference: response.data.data.reference,
+          approvedBy: req.user.uid,
+          approvedAt: serverTimestamp(),
           updatedAt: serverTimestamp(),
         });
+        await recordAudit(req, {
+          action: 'payout.approve',
+          targetType: 'transaction',
+          targetId: transactionId,
+          before: { status: transactionData.status },
+          after: { status: 'Approved', transferReference: response.data.data.reference },
+          metadata: { sellerId, amount, country },
+        });
         await addDoc(collection(db, 'notifications'), {
           type: 'payout_completed',
           message: `Payout of ₦${amount.toFixed(2)} for transaction ${transactionId} completed`,
@@ -391,8 +482,18 @@ router.post('/approve-payout', async (req, res) => {
       await updateDoc(transactionRef, {
         status: 'Approved',
         transferId: transfer.id,
+        approvedBy: req.user.uid,
+        approvedAt: serverTimestamp(),
         updatedAt: serverTimestamp(),
       });
+      await recordAudit(req, {
+        action: 'payout.approve',
+        targetType: 'transaction',
+        targetId: transactionId,
+        before: { status: transactionData.status },
+        after: { status: 'Approved', transferId: transfer.id },
+        metadata: { sellerId, amount, country },
+      });
       await addDoc(collection(db, 'notifications'), {
         type: 'payout_completed',
         message: `Payout of £${amount.toFixed(2)} for transaction ${transactionId} completed`,
@@ -413,7 +514,7 @@ router.post('/approve-payout', async (req, res) => {
   }
 });
 
-router.post('/reject-payout', async (req, res) => {
+router.post('/reject-payout', verifyAndCheckAdmin, authorize('payouts:reject'), async (req, res) => {
   try {
     const { transactionId, sellerId } = req.body;
     console.log('Reject payout request:', { transactionId, sellerId });
@@ -442,6 +543,8 @@ router.post('/reject-payout', async (req, res) => {
 
     await updateDoc(transactionRef, {
       status: 'Rejected',
+      rejectedBy: req.user.uid,
+      rejectedAt: serverTimestamp(),
       updatedAt: serverTimestamp(),
     });
     // NEW: Add back to availableBalance, deduct from pendingWithdrawals
@@ -450,6 +553,14 @@ router.post('/reject-payout', async (req, res) => {
       pendingWithdrawals: increment(-amount),
       updatedAt: serverTimestamp(),
     });
+    await recordAudit(req, {
+      action: 'payout.reject',
+      targetType: 'transaction',
+      targetId: transactionId,
+      before: { status: 'Pending' },
+      after: { status: 'Rejected' },
+      metadata: { sellerId, amount },
+    });
 
     const sellerRef = doc(db, 'sellers', sellerId);
     const sellerSnap = await getDoc(sellerRef);
@@ -554,7 +665,7 @@ router.post('/paystack-webhook', async (req, res) => {
   }
 });
 
-router.post('/delete-transaction', async (req, res) => {
+router.post('/delete-transaction', verifyAndCheckAdmin, authorize('transactions:delete'), async (req, res) => {
   try {
     const { transactionId } = req.body;
     console.log('Delete transaction request:', { transactionId });
@@ -565,13 +676,25 @@ router.post('/delete-transaction', async (req, res) => {
 
     const transactionRef = doc(db, 'transactions', transactionId);
     const transactionSnap = await getDoc(transactionRef);
-    console.log('Transaction exists:', transactionSnap.exists);
+    console.log('Transaction exists:', transactionSnap.exists());
 
-    if (!transactionSnap.exists) {
+    if (!transactionSnap.exists()) {
       return res.status(404).json({ error: 'Transaction not found', details: { transactionId } });
     }
 
+    // Keep a copy so the deletion and the admin who made it stay on record
+    await setDoc(doc(db, 'deletedTransactions', transactionId), {
+      ...transactionSnap.data(),
+      deletedBy: req.user.uid,
+      deletedAt: serverTimestamp(),
+    });
     await deleteDoc(transactionRef);
+    await recordAudit(req, {
+      action: 'transaction.delete',
+      targetType: 'transaction',
+      targetId: transactionId,
+      before: transactionSnap.data(),
+    });
     console.log('Transaction deleted:', transactionId);
     res.status(200).json({ message: 'Transaction deleted successfully' });
   } catch (error) {
@@ -3,6 +3,9 @@ const express = require('express');
 const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
 const { setupMiddleware } = require('./middleware');
+const categorySchemaRoutes = require('./categorySchemaRoutes');
+const productModerationRoutes = require('./productModerationRoutes');
+const productLifecycleRoutes = require('./productLifecycleRoutes');
 const productRoutes = require('./productRoutes');
 const paymentRoutes = require('./paymentRoutes');
 const sellerRoutes = require('./sellerRoutes');
@@ -12,8 +15,29 @@ const recaptchaRoutes = require('./recaptchaRoutes');
 const uploadRoutes = require('./uploadRoutes');
 const proSellerRoutes = require('./proSellerRoutes');
 const authRoutes = require('./authRoutes');
+const roleRoutes = require('./roleRoutes');
+const auditRoutes = require('./auditRoutes');
+const suspendRoutes = require('./suspendRoutes');
+const deleteRoutes = require('./deleteRoutes');
+const { startSuspensionScheduler } = require('./userManagement');
+const { startWithdrawalExpiryScheduler } = require('./withdrawalService');
+const { startSearchIndexRefresh } = require('./productSearch');
+const { startReservationExpiryScheduler } = require('./inventory');
+const { startTrashPurgeScheduler } = require('./productLifecycle');
 const otpRoutes = require('./otpRoutes');
+const twoFactorRoutes = require('./twoFactorRoutes');
+const sessionRoutes = require('./sessionRoutes');
+const adminInviteRoutes = require('./adminInviteRoutes');
+const impersonationRoutes = require('./impersonationRoutes');
+const privacyRoutes = require('./privacyRoutes');
 const chatSystem = require('./chatSystem');
+const { assertDevAuthAllowed, isDevAuthEnabled } = require('./devAuth');
+const { assertSigningSecrets } = require('./tokenSigner');
+
+// Refuses to start when development auth is switched on in production
+assertDevAuthAllowed();
+// ...or when a token signing secret is missing there
+assertSigningSecrets();
 
 const app = express();
 
@@ -86,13 +110,28 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs, {
 }));
 
 // Routes handlers
+if (isDevAuthEnabled()) {
+  app.use(require('./devAuthRoutes'));
+}
 app.use(authRoutes);
+app.use(roleRoutes);
+app.use(adminInviteRoutes);
+app.use(auditRoutes);
+app.use(suspendRoutes);
+app.use(deleteRoutes);
+app.use(impersonationRoutes);
+app.use(categorySchemaRoutes);
+app.use(productModerationRoutes);
+app.use(productLifecycleRoutes);
 app.use(productRoutes);
 app.use(paymentRoutes);
 app.use(sellerRoutes);
 app.use(emailRoutes);
 app.use(bankRoutes);
 app.use(otpRoutes);
+app.use(twoFactorRoutes);
+app.use(sessionRoutes);
+app.use(privacyRoutes);
 app.use(recaptchaRoutes);
 app.use(uploadRoutes);
 app.use(proSellerRoutes);
@@ -104,6 +143,17 @@ app.listen(PORT, '127.0.0.1', async () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`API Documentation available at: http://localhost:${PORT}/api-docs`);
 
+  // Lift timed suspensions once they expire
+  startSuspensionScheduler();
+  // Release funds held by withdrawals that were never confirmed with an OTP
+  startWithdrawalExpiryScheduler();
+  // Rebuild the in-process product search index so it picks up writes made by other instances
+  startSearchIndexRefresh();
+  // Return stock held by checkouts whose payment was never completed
+  startReservationExpiryScheduler();
+  // Permanently delete products that have been in the trash past their retention period
+  startTrashPurgeScheduler();
+
   // Send test emails on deploy if enabled
   if (process.env.SEND_TEST_EMAILS_ON_DEPLOY === 'true') {
     try {
@@ -0,0 +1,210 @@
+const express = require('express');
+const { doc, getDoc } = require('firebase/firestore');
+const { db, adminAuth } = require('./firebaseConfig');
+const { authenticateFirebaseToken } = require('./middleware');
+const { verifyAndCheckAdmin } = require('./verifyAndCheckAdmin');
+const { authorize, canActOnUser } = require('./rbac');
+const { recordAudit } = require('./auditLog');
+const { listSessions, revokeSession, revokeAllSessions } = require('./sessions');
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/sessions:
+ *   get:
+ *     summary: List the signed-in user's active sessions
+ *     description: One entry per sign-in, with device, IP and when it was last seen. The session making the request has `current` set.
+ *     tags: [Sessions]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently seen first
+ *       401:
+ *         description: Unauthorized - Firebase token required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/api/sessions', authenticateFirebaseToken, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.uid);
+    res.json({ sessions: sessions.map(session => ({ ...session, current: session.id === req.sessionId })) });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/sessions/{sessionId}:
+ *   delete:
+ *     summary: Sign out one session
+ *     tags: [Sessions]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/api/sessions/:sessionId', authenticateFirebaseToken, async (req, res) => {
+  try {
+    const result = await revokeSession(req.user.uid, req.params.sessionId);
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ message: 'Session signed out', sessionId: req.params.sessionId });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to sign out session', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/sessions:
+ *   delete:
+ *     summary: Sign out every session, including this one
+ *     description: Revokes the user's Firebase refresh tokens, so every device has to sign in again.
+ *     tags: [Sessions]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *       503:
+ *         description: Firebase Admin SDK not configured
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/api/sessions', authenticateFirebaseToken, async (req, res) => {
+  if (!adminAuth) {
+    return res.status(503).json({ error: 'Firebase Admin SDK not configured' });
+  }
+  try {
+    const revoked = await revokeAllSessions(req.user.uid);
+    res.json({ message: 'Signed out of all sessions', revoked });
+  } catch (error) {
+    console.error('Revoke all sessions error:', error);
+    res.status(500).json({ error: 'Failed to sign out sessions', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/sessions:
+ *   get:
+ *     summary: List a user's active sessions
+ *     tags: [Sessions]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently seen first
+ */
+router.get('/api/admin/users/:userId/sessions', verifyAndCheckAdmin, authorize('users:read'), async (req, res) => {
+  try {
+    res.json({ userId: req.params.userId, sessions: await listSessions(req.params.userId) });
+  } catch (error) {
+    console.error('Admin list sessions error:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/sessions:
+ *   delete:
+ *     summary: Force a user to sign out
+ *     description: Revokes one session when `sessionId` is given, otherwise every session (e.g. for a compromised account).
+ *     tags: [Sessions]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sessionId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ *       403:
+ *         description: Only full-access admins can sign out staff accounts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User or session not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/api/admin/users/:userId/sessions', verifyAndCheckAdmin, authorize('sessions:revoke'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { sessionId } = req.query;
+    const userSnap = await getDoc(doc(db, 'users', userId));
+    if (!userSnap.exists()) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (userId !== req.user.uid && !(await canActOnUser(req.admin, { uid: userId, email: userSnap.data().email }))) {
+      return res.status(403).json({ error: 'Forbidden: Only full-access admins can sign out staff accounts' });
+    }
+
+    let revoked;
+    if (sessionId) {
+      const result = await revokeSession(userId, sessionId, { actorUid: req.user.uid });
+      if (!result.ok) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      revoked = 1;
+    } else {
+      if (!adminAuth) {
+        return res.status(503).json({ error: 'Firebase Admin SDK not configured' });
+      }
+      revoked = await revokeAllSessions(userId, { actorUid: req.user.uid });
+    }
+
+    await recordAudit(req, {
+      action: sessionId ? 'user.session.revoke' : 'user.sessions.revoke_all',
+      targetType: 'user',
+      targetId: userId,
+      metadata: { sessionId: sessionId || null, revoked },
+    });
+    res.json({ message: sessionId ? 'Session signed out' : 'User signed out of all sessions', revoked });
+  } catch (error) {
+    console.error('Admin revoke sessions error:', error);
+    res.status(500).json({ error: 'Failed to sign out user', details: error.message });
+  }
+});
+
+module.exports = router;
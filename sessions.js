@@ -0,0 +1,168 @@
+// Signed-in sessions, recorded by authenticateFirebaseToken in `sessions/{sessionId}`.
+// A session is one Firebase sign-in: every ID token minted from the same refresh token carries the same
+// `auth_time`, so (uid, auth_time) identifies it across token refreshes. Firebase can only revoke all of a
+// user's refresh tokens at once, so revoking a single session marks it revoked here and the middleware
+// refuses its tokens; revoking every session also calls revokeRefreshTokens().
+const crypto = require('crypto');
+const {
+  collection, doc, getDoc, getDocs, setDoc, updateDoc, query, where, writeBatch, serverTimestamp,
+} = require('firebase/firestore');
+const { db, adminAuth } = require('./firebaseConfig');
+
+const LAST_SEEN_WRITE_INTERVAL_MS = 5 * 60 * 1000;
+const SESSION_CACHE_TTL_MS = 30 * 1000;
+const SESSION_CACHE_SWEEP_INTERVAL_MS = 60 * 1000;
+const MAX_CACHED_SESSIONS = 10000;
+
+// sessionId -> { revoked, lastSeenWrittenAt, expiresAt }. Entries outlive their TTL only as long as they still
+// throttle lastSeenAt writes; the sweep drops them after that, and the oldest go first past MAX_CACHED_SESSIONS.
+const sessionCache = new Map();
+const sessionCacheSweep = setInterval(() => {
+  const now = Date.now();
+  for (const [sessionId, entry] of sessionCache) {
+    if (entry.expiresAt <= now && now - entry.lastSeenWrittenAt >= LAST_SEEN_WRITE_INTERVAL_MS) {
+      sessionCache.delete(sessionId);
+    }
+  }
+}, SESSION_CACHE_SWEEP_INTERVAL_MS);
+sessionCacheSweep.unref();
+
+function cacheSession(sessionId, entry) {
+  // Re-inserting moves the entry to the end, so the Map stays ordered oldest first
+  sessionCache.delete(sessionId);
+  sessionCache.set(sessionId, entry);
+  if (sessionCache.size > MAX_CACHED_SESSIONS) sessionCache.delete(sessionCache.keys().next().value);
+}
+
+const sessionIdFor = (uid, authTime) =>
+  crypto.createHash('sha256').update(`${uid}:${authTime}`).digest('hex').slice(0, 32);
+
+// Short, readable device label from the User-Agent, e.g. "Chrome on Windows"
+function describeDevice(userAgent) {
+  if (!userAgent) return 'Unknown device';
+  const browser = [
+    [/Edg\//, 'Edge'], [/OPR\/|Opera/, 'Opera'], [/Chrome\//, 'Chrome'], [/Firefox\//, 'Firefox'],
+    [/Safari\//, 'Safari'], [/okhttp|Dalvik/i, 'Android app'], [/CFNetwork|Darwin/, 'iOS app'],
+  ].find(([pattern]) => pattern.test(userAgent));
+  const os = [
+    [/Windows/, 'Windows'], [/Android/, 'Android'], [/iPhone|iPad|iOS/, 'iOS'], [/Mac OS X|Macintosh/, 'macOS'],
+    [/Linux/, 'Linux'],
+  ].find(([pattern]) => pattern.test(userAgent));
+  if (!browser && !os) return 'Unknown device';
+  return [browser?.[1], os?.[1]].filter(Boolean).join(' on ');
+}
+
+const toIso = (value) => value?.toDate?.().toISOString() || null;
+
+/**
+ * Records (or refreshes) the session behind a verified ID token and reports whether it has been revoked.
+ * lastSeenAt is written at most every few minutes per session. Returns { sessionId, revoked }.
+ */
+async function touchSession(decodedToken, { ip, userAgent = '', deviceName } = {}) {
+  const { uid, auth_time: authTime } = decodedToken;
+  const sessionId = sessionIdFor(uid, authTime);
+  const now = Date.now();
+  const cached = sessionCache.get(sessionId);
+  if (cached && cached.expiresAt > now) {
+    return { sessionId, revoked: cached.revoked };
+  }
+
+  // Re-read at most every SESSION_CACHE_TTL_MS so revocations from other instances are picked up
+  const ref = doc(db, 'sessions', sessionId);
+  const snap = await getDoc(ref);
+  const revoked = snap.exists() && Boolean(snap.data().revokedAt);
+  let lastSeenWrittenAt = cached?.lastSeenWrittenAt || 0;
+  if (!revoked && (!snap.exists() || now - lastSeenWrittenAt >= LAST_SEEN_WRITE_INTERVAL_MS)) {
+    lastSeenWrittenAt = now;
+    const seen = {
+      device: deviceName || describeDevice(userAgent),
+      userAgent,
+      ip: ip || null,
+      lastSeenAt: serverTimestamp(),
+    };
+    if (snap.exists()) {
+      await updateDoc(ref, seen);
+    } else {
+      await setDoc(ref, {
+        uid,
+        authTime,
+        signInProvider: decodedToken.firebase?.sign_in_provider || null,
+        ...seen,
+        createdAt: serverTimestamp(),
+        revokedAt: null,
+      });
+    }
+  }
+  cacheSession(sessionId, { revoked, lastSeenWrittenAt, expiresAt: now + SESSION_CACHE_TTL_MS });
+  return { sessionId, revoked };
+}
+
+// Active (not revoked) sessions for a user, most recently seen first
+async function listSessions(uid) {
+  const snap = await getDocs(query(collection(db, 'sessions'), where('uid', '==', uid)));
+  return snap.docs
+    .filter(sessionDoc => !sessionDoc.data().revokedAt)
+    .map(sessionDoc => {
+      const data = sessionDoc.data();
+      return {
+        id: sessionDoc.id,
+        device: data.device,
+        userAgent: data.userAgent,
+        ip: data.ip,
+        signInProvider: data.signInProvider,
+        signedInAt: data.authTime ? new Date(data.authTime * 1000).toISOString() : null,
+        lastSeenAt: toIso(data.lastSeenAt),
+      };
+    })
+    .sort((a, b) => (b.lastSeenAt || '').localeCompare(a.lastSeenAt || ''));
+}
+
+/**
+ * Revokes one of `uid`'s sessions. Its ID tokens are refused from the next request on.
+ * Returns { ok: true } or { ok: false, status, error }.
+ */
+async function revokeSession(uid, sessionId, { actorUid = uid } = {}) {
+  const ref = doc(db, 'sessions', sessionId);
+  const snap = await getDoc(ref);
+  if (!snap.exists() || snap.data().uid !== uid) {
+    return { ok: false, status: 404, error: 'Session not found' };
+  }
+  if (snap.data().revokedAt) {
+    return { ok: false, status: 400, error: 'Session is already revoked' };
+  }
+  await updateDoc(ref, { revokedAt: serverTimestamp(), revokedBy: actorUid });
+  sessionCache.delete(sessionId);
+  return { ok: true };
+}
+
+/**
+ * Signs the user out everywhere: revokes their Firebase refresh tokens (so checkRevoked rejects every
+ * outstanding ID token) and marks all recorded sessions revoked. Returns the number of sessions revoked.
+ */
+async function revokeAllSessions(uid, { actorUid = uid } = {}) {
+  if (!adminAuth) {
+    throw new Error('Firebase Admin SDK not configured');
+  }
+  await adminAuth.revokeRefreshTokens(uid);
+
+  const snap = await getDocs(query(collection(db, 'sessions'), where('uid', '==', uid)));
+  const active = snap.docs.filter(sessionDoc => !sessionDoc.data().revokedAt);
+  for (let i = 0; i < active.length; i += 450) {
+    const batch = writeBatch(db);
+    active.slice(i, i + 450).forEach(sessionDoc => {
+      batch.update(sessionDoc.ref, { revokedAt: serverTimestamp(), revokedBy: actorUid });
+      sessionCache.delete(sessionDoc.id);
+    });
+    await batch.commit();
+  }
+  return active.length;
+}
+
+module.exports = {
+  sessionIdFor,
+  describeDevice,
+  touchSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+};
@@ -1,27 +1,125 @@
-const express = require('express'); 
-const { doc, updateDoc } = require('firebase/firestore');
+const express = require('express');
+const { doc, getDoc } = require('firebase/firestore');
 const db = require('./firebaseConfig').db;
+const { verifyAndCheckAdmin } = require('./verifyAndCheckAdmin');
+const { authorize, canActOnUser } = require('./rbac');
+const { recordAudit } = require('./auditLog');
+const { suspendUser, unsuspendUser } = require('./userManagement');
 const router = express.Router();
 
-// Suspend or unsuspend user
-router.post('/admin/suspend-user/:userId', async (req, res) => {
+/**
+ * @swagger
+ * /admin/suspend-user/{userId}:
+ *   post:
+ *     summary: Suspend or unsuspend a user
+ *     description: Suspended users receive 403 from every authenticated endpoint. A suspension with an expiry is lifted automatically once it passes.
+ *     tags: [User Management]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [suspend, unsuspend]
+ *               reason:
+ *                 type: string
+ *                 description: Required when suspending; shown to the user
+ *                 example: "Repeated policy violations"
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Optional date the suspension ends; omit for an indefinite suspension
+ *     responses:
+ *       200:
+ *         description: User status updated
+ *       400:
+ *         description: Invalid action, missing reason or invalid expiry
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Only full-access admins can suspend staff accounts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/admin/suspend-user/:userId', verifyAndCheckAdmin, authorize('users:suspend'), async (req, res) => {
   try {
     const { userId } = req.params;
-    const { action } = req.body; // 'suspend' or 'unsuspend'
+    const { action, reason, expiresAt } = req.body; // action: 'suspend' or 'unsuspend'
     if (!['suspend', 'unsuspend'].includes(action)) {
       return res.status(400).json({ error: 'Invalid action. Use "suspend" or "unsuspend"' });
     }
 
+    let until = null;
+    if (action === 'suspend') {
+      if (!reason || typeof reason !== 'string' || !reason.trim()) {
+        return res.status(400).json({ error: 'A reason is required to suspend a user' });
+      }
+      if (expiresAt) {
+        until = new Date(expiresAt);
+        if (isNaN(until.getTime()) || until <= new Date()) {
+          return res.status(400).json({ error: 'expiresAt must be a valid future date' });
+        }
+      }
+    }
+    if (userId === req.user.uid) {
+      return res.status(400).json({ error: 'You cannot change your own account status' });
+    }
+
     const userRef = doc(db, 'users', userId);
-    await updateDoc(userRef, {
-      status: action === 'suspend' ? 'suspended' : 'active',
-      updatedAt: new Date().toISOString(),
+    const userSnap = await getDoc(userRef);
+    if (!userSnap.exists()) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!(await canActOnUser(req.admin, { uid: userId, email: userSnap.data().email }))) {
+      return res.status(403).json({ error: 'Forbidden: Only full-access admins can change the status of staff accounts' });
+    }
+
+    if (action === 'suspend') {
+      await suspendUser(userId, { reason: reason.trim(), until, actorUid: req.user.uid });
+    } else {
+      await unsuspendUser(userId, { actorUid: req.user.uid });
+    }
+
+    const after = (await getDoc(userRef)).data();
+    await recordAudit(req, {
+      action: action === 'suspend' ? 'user.suspend' : 'user.unsuspend',
+      targetType: 'user',
+      targetId: userId,
+      before: { status: userSnap.data().status || 'active', suspension: userSnap.data().suspension || null },
+      after: { status: after.status, suspension: after.suspension || null },
+    });
+    res.json({
+      message: `User ${action === 'suspend' ? 'suspended' : 'unsuspended'} successfully`,
+      status: after.status,
+      suspendedUntil: until ? until.toISOString() : null,
     });
-    res.json({ message: `User ${action === 'suspend' ? 'suspended' : 'unsuspended'} successfully` });
   } catch (error) {
     console.error('Error suspending/unsuspending user:', error);
     res.status(500).json({ error: 'Failed to update user status: ' + error.message });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,71 @@
+// Minimal HS256 JWT signing/verification for short-lived server-issued tokens
+// (OTP verification tokens and similar). Firebase ID tokens are verified by the Admin SDK, not here.
+const crypto = require('crypto');
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+// Secrets the API signs tokens with in production (OTP verification, 2FA step-up, impersonation).
+// DEV_AUTH_SECRET is left out because development auth never runs in production.
+const PRODUCTION_SECRET_ENVS = ['OTP_TOKEN_SECRET', 'STEP_UP_TOKEN_SECRET', 'IMPERSONATION_TOKEN_SECRET'];
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+// Called once at startup so a production deploy without its signing secrets fails loudly
+function assertSigningSecrets() {
+  if (!isProduction()) return;
+  const missing = PRODUCTION_SECRET_ENVS.filter(envName => !process.env[envName]);
+  if (missing.length) {
+    throw new Error(`Token signing secrets must be set when NODE_ENV=production: ${missing.join(', ')}`);
+  }
+}
+
+// Outside production a missing secret falls back to a per-process random one, separate for each env var so
+// one kind of token can never pass as another; they will not survive a restart or validate across instances.
+const fallbackSecrets = new Map();
+const getSecret = (envName) => {
+  if (process.env[envName]) return process.env[envName];
+  if (isProduction()) throw new Error(`${envName} is not set`);
+  if (!fallbackSecrets.has(envName)) {
+    console.warn(`${envName} is not set; using a temporary secret. Signed tokens will not survive a restart.`);
+    fallbackSecrets.set(envName, crypto.randomBytes(32).toString('hex'));
+  }
+  return fallbackSecrets.get(envName);
+};
+
+const sign = (data, secret) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+/**
+ * Signs `claims` as a JWT that expires after `expiresInSeconds`.
+ * @param {string} secretEnv - name of the env var holding the signing secret
+ */
+function signToken(claims, { expiresInSeconds, secretEnv }) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({ ...claims, iat: now, exp: now + expiresInSeconds }));
+  return `${header}.${payload}.${sign(`${header}.${payload}`, getSecret(secretEnv))}`;
+}
+
+/**
+ * Returns the claims of a valid, unexpired token, or null.
+ */
+function verifyToken(token, { secretEnv }) {
+  if (typeof token !== 'string') return null;
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  const [header, payload, signature] = parts;
+  const expected = Buffer.from(sign(`${header}.${payload}`, getSecret(secretEnv)));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  try {
+    if (JSON.parse(Buffer.from(header, 'base64url').toString()).alg !== 'HS256') return null;
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (!claims.exp || claims.exp <= Math.floor(Date.now() / 1000)) return null;
+    return claims;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = { PRODUCTION_SECRET_ENVS, assertSigningSecrets, signToken, verifyToken };
@@ -0,0 +1,84 @@
+// RFC 6238 time-based one-time passwords (the codes shown by authenticator apps), using only Node's crypto.
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_S = 30;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// 160-bit secret, the size recommended by RFC 4226
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const counterAt = (timeMs = Date.now()) => Math.floor(timeMs / 1000 / TOTP_PERIOD_S);
+
+function generateCode(secret, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Checks a code against the current time step and `window` steps either side (clock drift).
+ * Returns the matching counter, or null. Callers should reject counters at or below the last one used.
+ */
+function verifyCode(secret, code, { window = 1, timeMs = Date.now() } = {}) {
+  if (!/^\d{6}$/.test(String(code))) return null;
+  const current = counterAt(timeMs);
+  for (let step = -window; step <= window; step++) {
+    const expected = Buffer.from(generateCode(secret, current + step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(String(code)))) return current + step;
+  }
+  return null;
+}
+
+// otpauth:// URI that authenticator apps read from a QR code
+const provisioningUri = ({ secret, accountName, issuer = 'FOREMADE' }) =>
+  `otpauth://totp/${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}` +
+  `?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD_S}`;
+
+module.exports = {
+  TOTP_PERIOD_S,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  counterAt,
+  verifyCode,
+  provisioningUri,
+};
@@ -0,0 +1,185 @@
+// TOTP two-factor authentication: enrolment, recovery codes and short-lived step-up tokens.
+// Secrets are stored AES-256-GCM encrypted in `twoFactor/{uid}` with a key derived from TOTP_ENCRYPTION_KEY;
+// recovery codes are stored as SHA-256 hashes and can each be used once.
+const crypto = require('crypto');
+const { doc, getDoc, setDoc, updateDoc, runTransaction, deleteField, serverTimestamp } = require('firebase/firestore');
+const { db } = require('./firebaseConfig');
+const totp = require('./totp');
+const { signToken, verifyToken } = require('./tokenSigner');
+const { getLockout, recordFailure, clearLockout, lockedResult } = require('./otpService');
+
+const RECOVERY_CODE_COUNT = 10;
+const STEP_UP_TTL_S = 5 * 60;
+const STEP_UP_SECRET_ENV = 'STEP_UP_TOKEN_SECRET';
+const STEP_UP_TOKEN_TYPE = 'totp_step_up';
+
+const isConfigured = () => Boolean(process.env.TOTP_ENCRYPTION_KEY);
+
+const encryptionKey = () => crypto.createHash('sha256').update(process.env.TOTP_ENCRYPTION_KEY).digest();
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+}
+
+function decryptSecret(payload) {
+  const [iv, tag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(String(code).replace(/[\s-]/g, '').toUpperCase()).digest('hex');
+
+// Recovery codes look like ABCDE-FGHIJ
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const raw = totp.base32Encode(crypto.randomBytes(7)).slice(0, 10);
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+});
+
+const twoFactorRef = (uid) => doc(db, 'twoFactor', uid);
+
+async function getTwoFactorStatus(uid) {
+  const snap = await getDoc(twoFactorRef(uid));
+  const data = snap.exists() ? snap.data() : {};
+  return {
+    enabled: data.enabled === true,
+    enabledAt: data.enabledAt?.toDate?.().toISOString() || null,
+    recoveryCodesRemaining: (data.recoveryCodeHashes || []).length,
+  };
+}
+
+/**
+ * Starts enrolment: stores a new pending secret and returns it with the otpauth:// URI for a QR code.
+ * The secret only becomes active after confirmEnrollment() with a valid code.
+ */
+async function startEnrollment(uid, accountName) {
+  const secret = totp.generateSecret();
+  await setDoc(twoFactorRef(uid), {
+    pendingSecret: encryptSecret(secret),
+    pendingCreatedAt: serverTimestamp(),
+  }, { merge: true });
+  return { secret, otpauthUri: totp.provisioningUri({ secret, accountName }) };
+}
+
+/**
+ * Activates the pending secret once the user proves their app produces valid codes.
+ * Returns { ok: true, recoveryCodes } (shown to the user once) or { ok: false, status, error }.
+ */
+async function confirmEnrollment(uid, code) {
+  const ref = twoFactorRef(uid);
+  const snap = await getDoc(ref);
+  if (!snap.exists() || !snap.data().pendingSecret) {
+    return { ok: false, status: 400, error: 'No enrolment in progress. Start enrolment first.' };
+  }
+
+  const secret = decryptSecret(snap.data().pendingSecret);
+  const counter = totp.verifyCode(secret, code);
+  if (counter === null) {
+    return { ok: false, status: 400, error: 'Invalid authenticator code' };
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  await updateDoc(ref, {
+    secret: snap.data().pendingSecret,
+    pendingSecret: deleteField(),
+    pendingCreatedAt: deleteField(),
+    enabled: true,
+    enabledAt: serverTimestamp(),
+    lastUsedCounter: counter,
+    recoveryCodeHashes: recoveryCodes.map(hashRecoveryCode),
+  });
+  return { ok: true, recoveryCodes };
+}
+
+/**
+ * Checks an authenticator code (or, failing that, a recovery code) for an enrolled user.
+ * Codes cannot be replayed and failures count towards the same progressive lockout as email OTPs.
+ * Returns { ok: true, method } or { ok: false, status, error, retryAfter? }.
+ */
+async function verifySecondFactor(uid, { code, recoveryCode }) {
+  const lockout = await getLockout('totp', uid);
+  if (lockout) return lockedResult(lockout.lockedUntil);
+
+  const ref = twoFactorRef(uid);
+  const outcome = await runTransaction(db, async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists() || !snap.data().enabled) {
+      return { ok: false, status: 400, error: 'Two-factor authentication is not enabled' };
+    }
+    const data = snap.data();
+
+    if (code) {
+      const counter = totp.verifyCode(decryptSecret(data.secret), code);
+      if (counter !== null && counter > (data.lastUsedCounter ?? -1)) {
+        tx.update(ref, { lastUsedCounter: counter, lastVerifiedAt: serverTimestamp() });
+        return { ok: true, method: 'totp' };
+      }
+    } else if (recoveryCode) {
+      const hash = hashRecoveryCode(recoveryCode);
+      const remaining = (data.recoveryCodeHashes || []).filter(h => h !== hash);
+      if (remaining.length < (data.recoveryCodeHashes || []).length) {
+        tx.update(ref, { recoveryCodeHashes: remaining, lastVerifiedAt: serverTimestamp() });
+        return { ok: true, method: 'recovery_code', recoveryCodesRemaining: remaining.length };
+      }
+    }
+    return { ok: false, status: 400, error: 'Invalid authenticator or recovery code', failed: true };
+  });
+
+  if (outcome.failed) {
+    const lockedUntil = await recordFailure('totp', uid);
+    if (lockedUntil) return lockedResult(lockedUntil);
+    delete outcome.failed;
+  } else if (outcome.ok) {
+    await clearLockout('totp', uid);
+  }
+  return outcome;
+}
+
+// Replaces every recovery code; the caller must already have passed a step-up
+async function regenerateRecoveryCodes(uid) {
+  const recoveryCodes = generateRecoveryCodes();
+  await updateDoc(twoFactorRef(uid), { recoveryCodeHashes: recoveryCodes.map(hashRecoveryCode) });
+  return recoveryCodes;
+}
+
+async function disableTwoFactor(uid) {
+  await setDoc(twoFactorRef(uid), {
+    enabled: false,
+    secret: deleteField(),
+    pendingSecret: deleteField(),
+    recoveryCodeHashes: deleteField(),
+    lastUsedCounter: deleteField(),
+    disabledAt: serverTimestamp(),
+  }, { merge: true });
+}
+
+const issueStepUpToken = (uid, method) => signToken(
+  { typ: STEP_UP_TOKEN_TYPE, sub: uid, amr: [method] },
+  { expiresInSeconds: STEP_UP_TTL_S, secretEnv: STEP_UP_SECRET_ENV }
+);
+
+/**
+ * Returns the claims of a valid step-up token issued to `uid` in the last STEP_UP_TTL_S seconds, or null.
+ */
+function verifyStepUpToken(token, uid) {
+  const claims = verifyToken(token, { secretEnv: STEP_UP_SECRET_ENV });
+  if (!claims || claims.typ !== STEP_UP_TOKEN_TYPE || claims.sub !== uid) return null;
+  return claims;
+}
+
+module.exports = {
+  STEP_UP_TTL_S,
+  isConfigured,
+  getTwoFactorStatus,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  issueStepUpToken,
+  verifyStepUpToken,
+};
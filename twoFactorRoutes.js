@@ -0,0 +1,258 @@
+const express = require('express');
+const { authenticateFirebaseToken, requireTotpStepUp } = require('./middleware');
+const twoFactor = require('./twoFactor');
+const router = express.Router();
+
+// Every 2FA endpoint needs TOTP_ENCRYPTION_KEY to read or store secrets
+const requireTotpConfigured = (req, res, next) => {
+  if (!twoFactor.isConfigured()) {
+    return res.status(503).json({ error: 'Two-factor authentication is not configured', details: 'Set TOTP_ENCRYPTION_KEY' });
+  }
+  next();
+};
+
+// Sends a failed service result, with Retry-After for lockouts
+const sendFailure = (res, result) => {
+  if (result.retryAfter) res.set('Retry-After', String(result.retryAfter));
+  return res.status(result.status).json({ error: result.error, retryAfter: result.retryAfter });
+};
+
+/**
+ * @swagger
+ * /api/2fa/status:
+ *   get:
+ *     summary: Get the signed-in user's two-factor status
+ *     tags: [Two-Factor]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Whether an authenticator app is enrolled and how many recovery codes are left
+ */
+router.get('/api/2fa/status', authenticateFirebaseToken, requireTotpConfigured, async (req, res) => {
+  try {
+    res.json(await twoFactor.getTwoFactorStatus(req.user.uid));
+  } catch (error) {
+    console.error('Two-factor status error:', error);
+    res.status(500).json({ error: 'Failed to fetch two-factor status', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/2fa/enroll:
+ *   post:
+ *     summary: Start authenticator app enrolment
+ *     description: Returns a new TOTP secret and an otpauth:// URI to render as a QR code. Enrolment is completed with /api/2fa/enroll/confirm.
+ *     tags: [Two-Factor]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret and provisioning URI
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/api/2fa/enroll', authenticateFirebaseToken, requireTotpConfigured, async (req, res) => {
+  try {
+    const status = await twoFactor.getTwoFactorStatus(req.user.uid);
+    if (status.enabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    const { secret, otpauthUri } = await twoFactor.startEnrollment(req.user.uid, req.user.email || req.user.uid);
+    res.json({ secret, otpauthUri, message: 'Scan the QR code with your authenticator app, then confirm with a code' });
+  } catch (error) {
+    console.error('Two-factor enrolment error:', error);
+    res.status(500).json({ error: 'Failed to start two-factor enrolment', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/2fa/enroll/confirm:
+ *   post:
+ *     summary: Confirm authenticator app enrolment
+ *     description: Enables two-factor authentication and returns ten single-use recovery codes. They are only shown once.
+ *     tags: [Two-Factor]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *       400:
+ *         description: Missing or invalid code, or no enrolment in progress
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/api/2fa/enroll/confirm', authenticateFirebaseToken, requireTotpConfigured, async (req, res) => {
+  try {
+    const { code } = req.body || {};
+    if (!code) {
+      return res.status(400).json({ error: 'Authenticator code is required' });
+    }
+    const result = await twoFactor.confirmEnrollment(req.user.uid, String(code));
+    if (!result.ok) return sendFailure(res, result);
+
+    res.json({ message: 'Two-factor authentication enabled', recoveryCodes: result.recoveryCodes });
+  } catch (error) {
+    console.error('Two-factor enrolment confirmation error:', error);
+    res.status(500).json({ error: 'Failed to confirm two-factor enrolment', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/2fa/verify:
+ *   post:
+ *     summary: Verify an authenticator or recovery code
+ *     description: Returns a step-up token valid for five minutes. Send it in the x-step-up-token header to endpoints that require a recent two-factor check (payout approval, admin bank details, seller bank-detail changes).
+ *     tags: [Two-Factor]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *                 description: Use instead of code when the authenticator app is unavailable; each recovery code works once
+ *                 example: "ABCDE-FGHIJ"
+ *     responses:
+ *       200:
+ *         description: Step-up token issued
+ *       400:
+ *         description: Missing or invalid code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many failed attempts; see Retry-After
+ */
+router.post('/api/2fa/verify', authenticateFirebaseToken, requireTotpConfigured, async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body || {};
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ error: 'Authenticator code or recovery code is required' });
+    }
+    const result = await twoFactor.verifySecondFactor(req.user.uid, {
+      code: code && String(code),
+      recoveryCode: !code && recoveryCode ? String(recoveryCode) : undefined,
+    });
+    if (!result.ok) return sendFailure(res, result);
+
+    res.json({
+      message: 'Two-factor verification successful',
+      stepUpToken: twoFactor.issueStepUpToken(req.user.uid, result.method),
+      expiresIn: twoFactor.STEP_UP_TTL_S,
+      recoveryCodesRemaining: result.recoveryCodesRemaining,
+    });
+  } catch (error) {
+    console.error('Two-factor verification error:', error);
+    res.status(500).json({ error: 'Failed to verify two-factor code', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/2fa/recovery-codes:
+ *   post:
+ *     summary: Regenerate recovery codes
+ *     description: Replaces all existing recovery codes. Requires a step-up token in x-step-up-token.
+ *     tags: [Two-Factor]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *       403:
+ *         description: Two-factor verification required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/api/2fa/recovery-codes', authenticateFirebaseToken, requireTotpStepUp(), async (req, res) => {
+  try {
+    const recoveryCodes = await twoFactor.regenerateRecoveryCodes(req.user.uid);
+    res.json({ message: 'Recovery codes regenerated', recoveryCodes });
+  } catch (error) {
+    console.error('Recovery code regeneration error:', error);
+    res.status(500).json({ error: 'Failed to regenerate recovery codes', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/2fa:
+ *   delete:
+ *     summary: Disable two-factor authentication
+ *     tags: [Two-Factor]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Missing or invalid code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/api/2fa', authenticateFirebaseToken, requireTotpConfigured, async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body || {};
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ error: 'Authenticator code or recovery code is required' });
+    }
+    const result = await twoFactor.verifySecondFactor(req.user.uid, {
+      code: code && String(code),
+      recoveryCode: !code && recoveryCode ? String(recoveryCode) : undefined,
+    });
+    if (!result.ok) return sendFailure(res, result);
+
+    await twoFactor.disableTwoFactor(req.user.uid);
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication', details: error.message });
+  }
+});
+
+module.exports = router;
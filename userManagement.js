@@ -0,0 +1,187 @@
+// Admin user management: suspension (with optional expiry) and cascading account deletion.
+const {
+  collection, doc, getDoc, getDocs, query, where, updateDoc, writeBatch, deleteField, serverTimestamp, Timestamp,
+} = require('firebase/firestore');
+const { db, adminAuth } = require('./firebaseConfig');
+const { OTP_PURPOSES, otpRef } = require('./otpService');
+const { removeProductFromIndex } = require('./productSearch');
+
+const SUSPENSION_CACHE_TTL_MS = 30 * 1000;
+const SUSPENSION_SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+const BATCH_LIMIT = 450;
+
+// uid -> { suspension, expiresAt }; keeps the auth middleware from reading `users` on every request
+const suspensionCache = new Map();
+
+const clearSuspensionCache = (userId) => suspensionCache.delete(userId);
+
+/**
+ * Suspends a user. `until` (Date) is optional; without it the suspension lasts until lifted by an admin.
+ */
+async function suspendUser(userId, { reason, until = null, actorUid }) {
+  await updateDoc(doc(db, 'users', userId), {
+    status: 'suspended',
+    suspension: {
+      reason,
+      suspendedBy: actorUid,
+      suspendedAt: Timestamp.now(),
+      suspendedUntil: until ? Timestamp.fromDate(until) : null,
+    },
+    suspendedUntil: until ? Timestamp.fromDate(until) : null,
+    statusChangedBy: actorUid,
+    updatedAt: serverTimestamp(),
+  });
+  clearSuspensionCache(userId);
+}
+
+async function unsuspendUser(userId, { actorUid = 'system' } = {}) {
+  await updateDoc(doc(db, 'users', userId), {
+    status: 'active',
+    suspension: deleteField(),
+    suspendedUntil: deleteField(),
+    statusChangedBy: actorUid,
+    updatedAt: serverTimestamp(),
+  });
+  clearSuspensionCache(userId);
+}
+
+/**
+ * Returns { reason, suspendedUntil } when the user is currently suspended, otherwise null.
+ * A suspension whose expiry has passed is lifted on the spot.
+ */
+async function getActiveSuspension(userId) {
+  if (!userId) return null;
+  const cached = suspensionCache.get(userId);
+  if (cached && cached.expiresAt > Date.now()) return cached.suspension;
+
+  let suspension = null;
+  const userSnap = await getDoc(doc(db, 'users', userId));
+  if (userSnap.exists() && userSnap.data().status === 'suspended') {
+    const userData = userSnap.data();
+    const until = userData.suspendedUntil?.toDate?.() || null;
+    if (until && until <= new Date()) {
+      await unsuspendUser(userId);
+      console.log(`Suspension for user ${userId} expired and was lifted`);
+    } else {
+      suspension = {
+        reason: userData.suspension?.reason || 'Account suspended',
+        suspendedUntil: until ? until.toISOString() : null,
+      };
+    }
+  }
+
+  suspensionCache.set(userId, { suspension, expiresAt: Date.now() + SUSPENSION_CACHE_TTL_MS });
+  return suspension;
+}
+
+// Lifts every suspension whose expiry has passed
+async function releaseExpiredSuspensions() {
+  const expiredQuery = query(
+    collection(db, 'users'),
+    where('status', '==', 'suspended'),
+    where('suspendedUntil', '<=', Timestamp.now())
+  );
+  const expiredSnap = await getDocs(expiredQuery);
+  for (const userDoc of expiredSnap.docs) {
+    await unsuspendUser(userDoc.id);
+    console.log(`Suspension for user ${userDoc.id} expired and was lifted`);
+  }
+  return expiredSnap.size;
+}
+
+function startSuspensionScheduler(intervalMs = SUSPENSION_SWEEP_INTERVAL_MS) {
+  const timer = setInterval(() => {
+    releaseExpiredSuspensions().catch(err => console.error('Suspension sweep error:', err.message || err));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+/**
+ * Reasons an account cannot be deleted yet: money left in the wallet or a withdrawal still in flight.
+ */
+async function findDeletionBlockers(userId) {
+  const blockers = [];
+
+  const walletSnap = await getDoc(doc(db, 'wallets', userId));
+  if (walletSnap.exists()) {
+    const wallet = walletSnap.data();
+    ['availableBalance', 'pendingBalance', 'pendingWithdrawals'].forEach(field => {
+      if ((wallet[field] || 0) > 0) blockers.push(`Wallet ${field} is ${wallet[field]}`);
+    });
+  }
+
+  // Seller withdrawals are keyed by sellerId, pro seller withdrawals by userId
+  for (const ownerField of ['sellerId', 'userId']) {
+    const withdrawalsSnap = await getDocs(query(
+      collection(db, 'transactions'),
+      where(ownerField, '==', userId),
+      where('type', '==', 'Withdrawal'),
+      where('status', 'in', ['Pending', 'pending_otp'])
+    ));
+    withdrawalsSnap.forEach(txDoc => blockers.push(`Withdrawal ${txDoc.id} is ${txDoc.data().status}`));
+  }
+
+  return blockers;
+}
+
+/**
+ * Deletes a user and everything keyed to them across `users`, `sellers`, `wallets`, `products`,
+ * `proSellers`/`proSellerApprovals` and `otps`. Returns the number of documents removed per collection.
+ */
+async function deleteUserCascade(userId) {
+  const userSnap = await getDoc(doc(db, 'users', userId));
+  const userData = userSnap.exists() ? userSnap.data() : {};
+  const otpRecipients = [userData.email, userData.phoneNumber || userData.phone].filter(Boolean);
+
+  const refs = [
+    doc(db, 'users', userId),
+    doc(db, 'sellers', userId),
+    doc(db, 'wallets', userId),
+  ];
+
+  const productsSnap = await getDocs(query(collection(db, 'products'), where('sellerId', '==', userId)));
+  productsSnap.forEach(productDoc => refs.push(productDoc.ref));
+
+  const proSellersSnap = await getDocs(query(collection(db, 'proSellers'), where('userId', '==', userId)));
+  proSellersSnap.forEach(proSellerDoc => {
+    refs.push(proSellerDoc.ref);
+    refs.push(doc(db, 'proSellerApprovals', proSellerDoc.id));
+  });
+
+  otpRecipients.forEach(recipient => OTP_PURPOSES.forEach(purpose => refs.push(otpRef(recipient, purpose))));
+
+  for (let i = 0; i < refs.length; i += BATCH_LIMIT) {
+    const batch = writeBatch(db);
+    refs.slice(i, i + BATCH_LIMIT).forEach(ref => batch.delete(ref));
+    await batch.commit();
+  }
+
+  if (adminAuth) {
+    try {
+      await adminAuth.deleteUser(userId);
+    } catch (err) {
+      if (err.code !== 'auth/user-not-found') throw err;
+    }
+  }
+  clearSuspensionCache(userId);
+  productsSnap.forEach(productDoc => removeProductFromIndex(productDoc.id));
+
+  return {
+    users: 1,
+    products: productsSnap.size,
+    proSellers: proSellersSnap.size,
+    otps: otpRecipients.length * OTP_PURPOSES.length,
+  };
+}
+
+module.exports = {
+  clearSuspensionCache,
+  suspendUser,
+  unsuspendUser,
+  getActiveSuspension,
+  releaseExpiredSuspensions,
+  startSuspensionScheduler,
+  findDeletionBlockers,
+  deleteUserCascade,
+};
@@ -1,7 +1,10 @@
 // middleware/verifyAndCheckAdmin.js
 // CommonJS style to match your codebase
-const { collection, query, where, getDocs, doc, getDoc } = require('firebase/firestore');
-const { db } = require('./firebaseConfig');
+const { resolveAdmin } = require('./rbac');
+const { verifyDevToken } = require('./devAuth');
+const { touchSession } = require('./sessions');
+const { getActiveSuspension } = require('./userManagement');
+const { sessionContext, suspendedResponse } = require('./middleware');
 
 const FIREBASE_API_KEY = process.env.FIREBASE_API_KEY;
 
@@ -9,11 +12,20 @@ if (!FIREBASE_API_KEY) {
   console.warn('FIREBASE_API_KEY not set. Token verification will fail without it.');
 }
 
-// Helper: verify idToken with Firebase REST API (accounts:lookup)
+// Helper: verify idToken with Firebase REST API (accounts:lookup), or the Auth emulator when configured.
+// Dev tokens (devAuth.js) are accepted when development auth is enabled.
 async function verifyIdToken(idToken) {
   if (!idToken) throw new Error('No ID token provided');
 
-  const url = `https://identitytoolkit.googleapis.com/v1/accounts:lookup?key=${FIREBASE_API_KEY}`;
+  const devToken = verifyDevToken(idToken);
+  if (devToken) {
+    return { localId: devToken.uid, email: devToken.email, emailVerified: devToken.email_verified, dev: true };
+  }
+
+  const base = process.env.FIREBASE_AUTH_EMULATOR_HOST
+    ? `http://${process.env.FIREBASE_AUTH_EMULATOR_HOST}/identitytoolkit.googleapis.com`
+    : 'https://identitytoolkit.googleapis.com';
+  const url = `${base}/v1/accounts:lookup?key=${FIREBASE_API_KEY}`;
   // Use global fetch (Node 18+) or node-fetch if installed
   const res = await fetch(url, {
     method: 'POST',
@@ -32,13 +44,27 @@ async function verifyIdToken(idToken) {
   return data.users[0];
 }
 
+// Claims identifying the token's session (uid, auth_time). accounts:lookup has already vouched for the token,
+// so its payload is read without checking the signature again.
+function tokenClaims(idToken) {
+  const devToken = verifyDevToken(idToken);
+  if (devToken) return devToken;
+  try {
+    return JSON.parse(Buffer.from(idToken.split('.')[1], 'base64url').toString());
+  } catch {
+    return {};
+  }
+}
+
 /**
  * Middleware to:
  * - verify Firebase ID token in Authorization header `Bearer <token>`
- * - check Firestore `admins` collection for the user's uid OR email
+ * - refuse revoked sessions and suspended accounts, as authenticateFirebaseToken does
+ * - resolve the user's admin role from the Firestore `admins` collection (see rbac.js)
  * - if not admin -> respond 403
  *
- * Attaches req.user = { uid, email, firebaseUserRecord }
+ * Attaches req.user = { uid, email, firebaseUserRecord } and req.admin = { role, permissions, record }.
+ * Pair with authorize('<permission>') from rbac.js to gate individual routes.
  */
 async function verifyAndCheckAdmin(req, res, next) {
   try {
@@ -54,26 +80,22 @@ async function verifyAndCheckAdmin(req, res, next) {
     const uid = firebaseUser.localId;
     const email = firebaseUser.email;
 
-    // 2) check Firestore admins collection
-    // Prefer checking by uid; fallback to email if uid not present in admins
-    const adminsByUidRef = doc(db, 'admins', uid);
-    const adminByUidSnap = await getDoc(adminsByUidRef);
-    let isAdminRegistered = false;
-    if (adminByUidSnap.exists()) {
-      isAdminRegistered = true;
-    } else {
-      // fallback: query by email
-      const adminsRef = collection(db, 'admins');
-      const adminQ = query(adminsRef, where('email', '==', email));
-      const adminSnapshot = await getDocs(adminQ);
-      isAdminRegistered = !adminSnapshot.empty;
+    const claims = tokenClaims(idToken);
+    if (!claims.auth_time) {
+      return res.status(401).json({ error: 'Unauthorized: Invalid or expired token' });
+    }
+    const session = await touchSession({ ...claims, uid }, sessionContext(req));
+    if (session.revoked) {
+      return res.status(401).json({ error: 'Session revoked. Please login again.' });
+    }
+    const suspension = await getActiveSuspension(uid);
+    if (suspension) {
+      return suspendedResponse(res, suspension);
     }
 
-    // 3) whitelist emails if you want (same as before). Remove if you want strict Firestore-only.
-    const adminEmails = ['Foremade@icloud.com', 'echinecherem729@gmail.com'];
-    const isAdminEmail = adminEmails.includes((email || '').toLowerCase());
-
-    if (!isAdminRegistered && !isAdminEmail) {
+    // 2) resolve admin role and permissions
+    const admin = await resolveAdmin({ uid, email, emailVerified: firebaseUser.emailVerified === true });
+    if (!admin) {
       return res.status(403).json({ error: 'Forbidden: You are not an admin' });
     }
 
@@ -83,6 +105,8 @@ async function verifyAndCheckAdmin(req, res, next) {
       email,
       firebaseUser, // raw firebase user object from REST call
     };
+    req.admin = admin;
+    req.sessionId = session.sessionId;
 
     next();
   } catch (err) {
@@ -95,4 +119,4 @@ async function verifyAndCheckAdmin(req, res, next) {
   }
 }
 
-module.exports = { verifyAndCheckAdmin };
+module.exports = { verifyAndCheckAdmin, verifyIdToken };
@@ -0,0 +1,179 @@
+// OTP confirmation for seller withdrawals.
+// A withdrawal request holds the funds and waits in `pending_otp` until the seller confirms it with a
+// payout_confirmation code; only then does it become `Pending` for admin approval. Requests that are
+// never confirmed expire and the held funds go back to the available balance.
+const {
+  collection, doc, getDoc, getDocs, query, where, addDoc, runTransaction, increment, serverTimestamp, Timestamp,
+} = require('firebase/firestore');
+const { db } = require('./firebaseConfig');
+const { issueOtp, OTP_TTL_MS } = require('./otpService');
+
+const WITHDRAWAL_OTP_PURPOSE = 'payout_confirmation';
+const WITHDRAWAL_EXPIRY_SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Unconfirmed withdrawals expire together with the code that was emailed for them
+const withdrawalOtpExpiry = () => Timestamp.fromDate(new Date(Date.now() + OTP_TTL_MS));
+
+const ownerOf = (transaction) => transaction.sellerId || transaction.userId;
+
+/**
+ * Emails a payout_confirmation code to the seller. Call before holding any funds: a 429 result
+ * (resend cooldown) means the withdrawal should not be created.
+ * Returns { ok: true, email } or the failed otpService result.
+ */
+async function sendWithdrawalOtp({ uid, email }) {
+  let recipient = email;
+  if (!recipient) {
+    const userSnap = await getDoc(doc(db, 'users', uid));
+    recipient = userSnap.exists() ? userSnap.data().email : null;
+  }
+  if (!recipient) {
+    return { ok: false, status: 400, error: 'No email address on file to send the confirmation code to' };
+  }
+
+  const result = await issueOtp(recipient, WITHDRAWAL_OTP_PURPOSE, { uid, channel: 'email' });
+  if (!result.ok) return result;
+  return { ok: true, email: recipient };
+}
+
+/**
+ * Holds `amount` of `uid`'s available balance in `holdField` and creates the `pending_otp` withdrawal in one
+ * Firestore transaction, so concurrent requests cannot both pass the balance check and overdraw the wallet.
+ * `transaction` holds the request-specific fields of the withdrawal record.
+ * Returns { ok: true, transactionId } or { ok: false, status, error, details }.
+ */
+async function holdWithdrawal(uid, amount, { holdField, transaction }) {
+  const walletRef = doc(db, 'wallets', uid);
+  const transactionRef = doc(collection(db, 'transactions'));
+  return runTransaction(db, async (tx) => {
+    const walletSnap = await tx.get(walletRef);
+    if (!walletSnap.exists()) return { ok: false, status: 400, error: 'Wallet not found', details: { uid } };
+    const availableBalance = walletSnap.data().availableBalance || 0;
+    if (availableBalance < amount) {
+      return { ok: false, status: 400, error: 'Insufficient available balance', details: { availableBalance, amount } };
+    }
+
+    tx.update(walletRef, {
+      availableBalance: increment(-amount),
+      [holdField]: increment(amount),
+      updatedAt: serverTimestamp(),
+    });
+    tx.set(transactionRef, {
+      ...transaction,
+      type: 'Withdrawal',
+      amount,
+      status: 'pending_otp',
+      holdField,
+      otpExpiresAt: withdrawalOtpExpiry(),
+      createdAt: serverTimestamp(),
+    });
+    return { ok: true, transactionId: transactionRef.id };
+  });
+}
+
+/**
+ * Moves a `pending_otp` withdrawal owned by `uid` to `Pending` (awaiting admin approval).
+ * Returns { ok: true, transaction } or { ok: false, status, error }.
+ */
+async function confirmWithdrawal(transactionId, uid) {
+  const transactionRef = doc(db, 'transactions', transactionId);
+  const outcome = await runTransaction(db, async (tx) => {
+    const transactionSnap = await tx.get(transactionRef);
+    if (!transactionSnap.exists() || transactionSnap.data().type !== 'Withdrawal') {
+      return { ok: false, status: 404, error: 'Withdrawal not found' };
+    }
+    const transaction = transactionSnap.data();
+    if (ownerOf(transaction) !== uid) {
+      return { ok: false, status: 403, error: 'You can only confirm your own withdrawals' };
+    }
+    if (transaction.status !== 'pending_otp') {
+      return { ok: false, status: 400, error: 'Withdrawal is not awaiting confirmation', details: transaction.status };
+    }
+    if (transaction.otpExpiresAt?.toDate?.() <= new Date()) {
+      return { ok: false, status: 400, error: 'Withdrawal confirmation window has expired', expired: true };
+    }
+
+    tx.update(transactionRef, {
+      status: 'Pending',
+      description: `Withdrawal request for ${transaction.reference} - Awaiting Admin Approval`,
+      otpConfirmedAt: serverTimestamp(),
+      updatedAt: serverTimestamp(),
+    });
+    return { ok: true, transaction: { id: transactionId, ...transaction, status: 'Pending' } };
+  });
+
+  if (outcome.expired) await expireWithdrawal(transactionId);
+  if (outcome.ok) {
+    const { transaction } = outcome;
+    await addDoc(collection(db, 'notifications'), {
+      type: 'payout_request',
+      message: `New payout request of ₦${Number(transaction.amount).toFixed(2)} from ${transaction.isProSeller ? 'pro seller' : 'seller'} ${uid}`,
+      createdAt: new Date(),
+      details: { transactionId, sellerId: uid },
+    });
+  }
+  return outcome;
+}
+
+/**
+ * Expires one unconfirmed withdrawal and returns its held amount to the available balance.
+ * Returns true when the withdrawal was expired by this call.
+ */
+async function expireWithdrawal(transactionId) {
+  const transactionRef = doc(db, 'transactions', transactionId);
+  return runTransaction(db, async (tx) => {
+    const transactionSnap = await tx.get(transactionRef);
+    if (!transactionSnap.exists() || transactionSnap.data().status !== 'pending_otp') return false;
+
+    const transaction = transactionSnap.data();
+    const holdField = transaction.holdField || 'pendingWithdrawals';
+    tx.update(doc(db, 'wallets', ownerOf(transaction)), {
+      availableBalance: increment(transaction.amount),
+      [holdField]: increment(-transaction.amount),
+      updatedAt: serverTimestamp(),
+    });
+    tx.update(transactionRef, {
+      status: 'Expired',
+      description: `Withdrawal request for ${transaction.reference} - Expired without OTP confirmation`,
+      updatedAt: serverTimestamp(),
+    });
+    return true;
+  });
+}
+
+// Expires every pending_otp withdrawal whose confirmation window has passed
+async function expireUnconfirmedWithdrawals() {
+  const staleQuery = query(
+    collection(db, 'transactions'),
+    where('status', '==', 'pending_otp'),
+    where('otpExpiresAt', '<=', Timestamp.now())
+  );
+  const staleSnap = await getDocs(staleQuery);
+  let expired = 0;
+  for (const transactionDoc of staleSnap.docs) {
+    if (await expireWithdrawal(transactionDoc.id)) {
+      expired += 1;
+      console.log(`Withdrawal ${transactionDoc.id} expired without OTP confirmation; funds released`);
+    }
+  }
+  return expired;
+}
+
+function startWithdrawalExpiryScheduler(intervalMs = WITHDRAWAL_EXPIRY_SWEEP_INTERVAL_MS) {
+  const timer = setInterval(() => {
+    expireUnconfirmedWithdrawals().catch(err => console.error('Withdrawal expiry sweep error:', err.message || err));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  WITHDRAWAL_OTP_PURPOSE,
+  withdrawalOtpExpiry,
+  sendWithdrawalOtp,
+  holdWithdrawal,
+  confirmWithdrawal,
+  expireWithdrawal,
+  expireUnconfirmedWithdrawals,
+  startWithdrawalExpiryScheduler,
+};